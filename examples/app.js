@@ -34,17 +34,26 @@ const CounterValue = createComponent('CounterValue', (valueState, isChangedState
     return counter;
 });
 
-const HomeComponent = () => {
-    const FeatureSection = createComponent('FeatureSection', (title, description, code) => {
-        const section = h('div').set('class', 'app-section');
-        
-        return section.child(
-            h('h3').child(title),
-            h('p').child(description),
-            h('pre').child(h('code').child(code))
-        );
-    });
+const FeatureSection = createComponent('FeatureSection', (title, description, code) => {
+    const section = h('div').set('class', 'app-section');
+    
+    return section.child(
+        h('h3').child(title),
+        h('p').child(description),
+        h('pre').child(h('code').child(code))
+    );
+});
+
+const DemoSection = createComponent('DemoSection', (title, content) => {
+    const section = h('div').set('class', 'app-section');
+    
+    return section.child(
+        h('h3').child(title),
+        content
+    );
+});
 
+const HomeComponent = () => {
     return h('div')
         .set('class', 'animate-fade-in')
         .child(
@@ -111,15 +120,6 @@ const DemosComponent = () => {
         globalNewItemText.value = '';
     };
 
-    const DemoSection = createComponent('DemoSection', (title, content) => {
-        const section = h('div').set('class', 'app-section');
-        
-        return section.child(
-            h('h3').child(title),
-            content
-        );
-    });
-
     return h('div')
         .child(
             h('h2').child('Interactive Demos'),
@@ -0,0 +1,158 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { performance } = require('perf_hooks');
+
+// The copy-upward reference stores O(n²) operations for deep trees, about 2 GB at 10000 elements.
+const nodeCount = Number(process.argv[2]) || 5000;
+const runs = 5;
+
+/**
+ * Builds trees of `count` elements in different shapes with the given `h()`.
+ * Deep trees are where copying child operations into every ancestor hurts the most.
+ */
+function createShapes(h) {
+    return {
+        'deep (1 child per level)': (count) => {
+            let element = h('span').child('leaf');
+            for (let i = 1; i < count; i++) {
+                element = h('div').set('class', 'level').child(element);
+            }
+            return element;
+        },
+        'balanced (10 children per node)': (count) => {
+            const elements = new Array(count);
+            for (let i = count - 1; i >= 0; i--) {
+                const children = [];
+                for (let c = i * 10 + 1; c <= i * 10 + 10 && c < count; c++) children.push(elements[c]);
+                elements[i] = h('div').set('data-index', String(i)).child(children.length ? children : 'leaf');
+            }
+            return elements[0];
+        },
+        'flat (1 parent)': (count) => h('ul').child(
+            Array.from({ length: count - 1 }, (_, i) => h('li').set('data-key', String(i)).child(`Item ${i}`))
+        )
+    };
+}
+
+/**
+ * Reference implementation of the previous strategy, where `child()` copied all operations of the child's stream into the parent's.
+ * It wraps the elements of `h()`, so that it does the same work plus the copying, and every element keeps its own copy: a tree stores
+ * each operation once per ancestor. It supports what the shapes use: `set()` and `child()` with elements or strings.
+ */
+function createCopyingH(h) {
+    const isOperation = (entry) => !Array.isArray(entry.entries);
+
+    class CopyingElement {
+        constructor(tagName) {
+            this.element = h(tagName);
+            this.children = [];
+            this.operations = this.element.stream.entries.filter(isOperation);
+        }
+
+        set(name, value) {
+            this.record(() => this.element.set(name, value));
+            return this;
+        }
+
+        child(...children) {
+            for (const child of children.flat()) {
+                if (child instanceof CopyingElement) {
+                    this.children.push(child);
+                    for (const op of child.operations) this.operations.push(op);
+                    this.record(() => this.element.child(child.element));
+                } else {
+                    this.record(() => this.element.child(child));
+                }
+            }
+            return this;
+        }
+
+        record(change) {
+            const start = this.element.stream.entries.length;
+            change();
+            this.element.stream.entries.slice(start).filter(isOperation).forEach(op => this.operations.push(op));
+        }
+    }
+
+    return {
+        shapes: createShapes(tagName => new CopyingElement(tagName)),
+        getOperations: (root) => root.operations,
+        storedEntries: (element) => element.operations.length
+    };
+}
+
+/**
+ * @returns {number} The number of operations and child stream references held by all streams of the tree.
+ */
+function countStoredEntries(root, storedEntries) {
+    let count = 0;
+    const stack = [root];
+    while (stack.length > 0) {
+        const element = stack.pop();
+        count += storedEntries(element);
+        stack.push(...element.children.filter(child => typeof child === 'object' && child !== null));
+    }
+    return count;
+}
+
+function measure(fn) {
+    const start = performance.now();
+    const result = fn();
+    return { result, time: performance.now() - start };
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+async function benchmark() {
+    const { h } = await import(pathToFileURL(path.join(__dirname, '../src/chainui.js')).href);
+    const strategies = {
+        'child streams': {
+            shapes: createShapes(h),
+            getOperations: (root) => root.stream.getOperations(),
+            serialize: (root) => root.stream.serialize(),
+            storedEntries: (element) => element.stream.entries.length
+        },
+        'copy upward (reference)': createCopyingH(h)
+    };
+
+    console.log(`Element trees with ${nodeCount} elements, median of ${runs} runs\n`);
+    const rows = [];
+    for (const shape of Object.keys(strategies['child streams'].shapes)) {
+        for (const [strategy, { shapes, getOperations, serialize, storedEntries }] of Object.entries(strategies)) {
+            const buildTimes = [];
+            const flattenTimes = [];
+            const serializeTimes = [];
+            let operationCount = 0;
+            let storedCount = 0;
+            for (let i = 0; i < runs; i++) {
+                const { result: root, time: buildTime } = measure(() => shapes[shape](nodeCount));
+                const { result: operations, time: flattenTime } = measure(() => getOperations(root));
+                buildTimes.push(buildTime);
+                flattenTimes.push(flattenTime);
+                if (serialize) serializeTimes.push(measure(() => serialize(root)).time);
+                operationCount = operations.length;
+                storedCount = countStoredEntries(root, storedEntries);
+            }
+            rows.push({
+                shape,
+                strategy,
+                operations: operationCount,
+                'stored entries': storedCount,
+                'build (ms)': median(buildTimes).toFixed(1),
+                'getOperations (ms)': median(flattenTimes).toFixed(1),
+                'serialize (ms)': serialize ? median(serializeTimes).toFixed(1) : '-'
+            });
+        }
+    }
+    console.table(rows);
+    const { heapUsed } = process.memoryUsage();
+    console.log(`Heap used: ${(heapUsed / 1024 / 1024).toFixed(1)} MB`);
+}
+
+benchmark().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
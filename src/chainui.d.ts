@@ -23,6 +23,13 @@ export declare const OperationType: {
     readonly BIND_STATE: 'BIND_STATE';
     readonly BIND_ATTRIBUTE: 'BIND_ATTRIBUTE';
     readonly BIND_LIST: 'BIND_LIST';
+    readonly BIND_EFFECT: 'BIND_EFFECT';
+    readonly BIND_MODEL: 'BIND_MODEL';
+    readonly BIND_LIFECYCLE: 'BIND_LIFECYCLE';
+    readonly LIST_INSERT: 'LIST_INSERT';
+    readonly LIST_REMOVE: 'LIST_REMOVE';
+    readonly LIST_MOVE: 'LIST_MOVE';
+    readonly LIST_UPDATE: 'LIST_UPDATE';
     readonly UPDATE_NODE: 'UPDATE_NODE';
     readonly ROUTE_CHANGE: 'ROUTE_CHANGE';
     readonly ROUTE_MATCH: 'ROUTE_MATCH';
@@ -52,6 +59,24 @@ export declare const generateId: (prefix: string) => string;
  */
 export declare const valueToString: (value: any) => string;
 
+/**
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} True if both values are identical, or are arrays or plain objects whose entries are identical one level deep.
+ * @description Shallow equality comparator, intended for the `equals` option of `createState`, `computed` and `map`.
+ */
+export declare const shallowEqual: (a: any, b: any) => boolean;
+
+/**
+ * @typedef {object} StateOptions
+ * @property {function(*, *): boolean} [equals=Object.is] - Decides whether a new value equals the current one. Equal values are ignored and do not notify subscribers.
+ */
+export interface StateOptions<T> {
+    equals?: (a: T, b: T) => boolean;
+    /** `createState` only. Called when the state gets its first subscriber; the returned function is called when the last subscriber unsubscribes. */
+    onObserve?: () => (() => void) | void;
+}
+
 /**
  * @typedef {object} ChainState
  * @property {*} value - The current value of the state.
@@ -66,20 +91,328 @@ export interface ChainState<T> {
     update(updater: ((value: T) => T) | T): void;
     subscribe(callback: (value: T) => void): () => void;
     toString(): string;
-    map<U>(mapperFn: (value: T) => U): ChainState<U>;
+    map<U>(mapperFn: (value: T) => U, options?: StateOptions<U>): ChainState<U>;
     isMapped?: boolean;
 }
 
 /**
  * @template T
  * @param {T} initialValue - The initial value of the state.
+ * @param {StateOptions} [options] - State options.
  * @returns {ChainState<T>} A reactive state object.
  * @description Creates and manages a reactive state object.
  */
-export declare function createState<T>(initialValue: T): ChainState<T>;
+export declare function createState<T>(initialValue: T, options?: StateOptions<T>): ChainState<T>;
+
+/**
+ * @template T
+ * @param {function(): T} computeFn - A function that derives a value from other states. Every state read during its evaluation becomes a dependency.
+ * @param {StateOptions} [options] - Options for the computed state. When `equals` reports a recomputed value as equal, the previous value is kept and subscribers are not notified.
+ * @returns {ChainState<T>} A read-only derived state.
+ * @description Creates a state derived from any number of other states. Dependencies are tracked automatically on each evaluation,
+ * and the value is only recomputed when it is read or observed after one of them has changed.
+ * @throws {Error} Throws an error when a value is assigned to the computed state.
+ * @example
+ * const total = computed(() => price.value * (1 + taxRate.value));
+ */
+export declare function computed<T>(computeFn: () => T, options?: StateOptions<T>): ChainState<T>;
+
+/**
+ * @template T
+ * @param {function(): T} fn - A function that updates one or more states.
+ * @returns {T} The return value of `fn`.
+ * @description Groups state updates so that subscribers are notified once, after the outermost batch ends.
+ * A state assigned several times is notified once with its final value, and not at all if it ends up unchanged.
+ */
+export declare function batch<T>(fn: () => T): T;
+
+export type EffectCleanup = () => void;
+
+/**
+ * @param {function(): (function(): void|void)} effectFn - The side effect to run. It may return a cleanup function.
+ * @returns {function(): void} A function that stops the effect and runs its last cleanup.
+ * @description Runs a side effect immediately and re-runs it whenever one of the states it read changes.
+ * The cleanup returned by the previous run is called before each re-run and when the effect is disposed.
+ */
+export declare function effect(effectFn: () => EffectCleanup | void): () => void;
+
+export interface WatchOptions {
+    immediate?: boolean;
+}
+
+/**
+ * @template T
+ * @param {ChainState<T>|function(): T} source - The state to watch, or a getter whose read states are tracked like in `computed`.
+ * @param {function(T, T): (function(): void|void)} callback - Called with the new and previous values on every change. It may return a cleanup function.
+ * @param {object} [options] - Watch options.
+ * @returns {function(): void} A function that stops watching and runs the last cleanup.
+ * @description Calls a function whenever a state changes, passing the new and previous values.
+ */
+export declare function watch<T>(source: ChainState<T> | (() => T), callback: (nextValue: T, prevValue: T | undefined) => EffectCleanup | void, options?: WatchOptions): () => void;
+
+export type StorePath = string | Array<string | number>;
+
+export interface StoreAction<P = any> {
+    type: string;
+    payload?: P;
+}
+
+export type StoreThunk<T, R = any> = (dispatch: (action: StoreAction | StoreThunk<T>) => any, getState: () => T) => R;
+
+export interface StoreMiddlewareApi<T> {
+    getState(): T;
+    dispatch(action: StoreAction | StoreThunk<T>): any;
+}
+
+export type StoreMiddleware<T = any> = (store: StoreMiddlewareApi<T>) => (next: (action: StoreAction) => any) => (action: StoreAction) => any;
+
+export type StoreReducers<T> = Record<string, (state: T, payload: any, action: StoreAction) => T>;
+
+export interface StoreOptions<T, R extends StoreReducers<T> = StoreReducers<T>> {
+    reducers?: R & StoreReducers<T>;
+    middleware?: StoreMiddleware<T>[];
+}
+
+export type StoreActions<R> = {
+    [K in keyof R]: R[K] extends (state: any, payload: infer P, ...rest: any[]) => any
+        ? (payload?: P) => any
+        : never;
+};
+
+export interface ChainStore<T, R extends StoreReducers<T> = {}> {
+    state: ChainState<T>;
+    select<V = any>(path: StorePath): ChainState<V>;
+    select<V>(selector: (state: T) => V, options?: StateOptions<V>): ChainState<V>;
+    get<V = any>(path?: StorePath): V;
+    set(path: StorePath, value: any): void;
+    update<V = any>(path: StorePath, updater: (value: V) => V): void;
+    dispatch<Res = any>(action: StoreAction | StoreThunk<T, Res>): Res;
+    actions: StoreActions<R>;
+}
+
+/**
+ * @template T
+ * @param {T} initialState - The initial nested state object.
+ * @param {StoreOptions<T>} [options] - Reducers and middleware.
+ * @returns {ChainStore<T>} The store.
+ * @description Creates a reactive store for a nested object. `select(path)` returns a writable `ChainState` for a single path,
+ * and updates replace only the objects along the changed path, so states selecting unrelated paths are not notified.
+ * `select(fn)` returns a memoized read-only state derived from the whole store. Stores declaring `reducers` can also be changed by dispatching actions.
+ */
+export declare function createStore<T extends object, R extends StoreReducers<T> = {}>(initialState: T, options?: StoreOptions<T, R>): ChainStore<T, R>;
+
+export interface ResourceFetcherInfo<T> {
+    signal: AbortSignal | undefined;
+    previous: T | undefined;
+}
+
+export interface ResourceOptions<T> {
+    initialValue?: T;
+}
+
+export interface ChainResource<T> {
+    data: ChainState<T | undefined>;
+    loading: ChainState<boolean>;
+    error: ChainState<any>;
+    refetch(): Promise<T | undefined>;
+    mutate(value: T): void;
+}
+
+/**
+ * @template S, T
+ * @param {ChainState<S>|function(): S} source - The state whose value is passed to the fetcher, or a getter whose read states are tracked.
+ * @param {function(S, {signal: AbortSignal|undefined, previous: T|undefined}): Promise<T>|T} fetcher - Loads the data for a source value.
+ * @param {object} [options] - Resource options.
+ * @returns {ChainResource<T>} The resource.
+ * @description Creates reactive `data`, `loading` and `error` states for asynchronous data. The resource starts fetching when one of its
+ * states is first observed, re-fetches when the source changes, and aborts the pending request when a newer one starts
+ * or when nothing observes the resource any more.
+ */
+export declare function createResource<S, T>(source: ChainState<S> | (() => S), fetcher: (sourceValue: S, info: ResourceFetcherInfo<T>) => Promise<T> | T, options?: ResourceOptions<T>): ChainResource<T>;
+
+export interface HistoryOptions {
+    limit?: number;
+}
+
+export interface ChainHistory<T> {
+    state: ChainState<T>;
+    canUndo: ChainState<boolean>;
+    canRedo: ChainState<boolean>;
+    undo(): void;
+    redo(): void;
+    group<R>(fn: () => R): R;
+    clear(): void;
+    dispose(): void;
+}
+
+/**
+ * @template T
+ * @param {ChainState<T>} state - The state whose changes are recorded.
+ * @param {object} [options] - History options.
+ * @param {number} [options.limit=100] - The maximum number of undo entries kept.
+ * @returns {ChainHistory<T>} The history controller.
+ * @description Records the values of a state so that changes can be undone and redone. Changes made inside `group()` create a single entry.
+ */
+export declare function withHistory<T>(state: ChainState<T>, options?: HistoryOptions): ChainHistory<T>;
+
+export interface StorageAdapter {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+}
+
+/**
+ * @param {Record<string, string>} [initialEntries] - Entries the storage starts with.
+ * @returns {StorageAdapter} A storage adapter that keeps its entries in memory.
+ * @description Creates an in-memory storage adapter, for tests and server-side rendering.
+ */
+export declare function createMemoryStorage(initialEntries?: Record<string, string>): StorageAdapter;
+
+export interface PersistedStateOptions<T> extends StateOptions<T> {
+    storage?: 'local' | 'session' | 'memory' | StorageAdapter;
+    serialize?: (record: { version: number; value: T }) => string;
+    deserialize?: (raw: string) => { version: number; value: any };
+    version?: number;
+    migrate?: (value: any, version: number) => T;
+    onError?: (error: Error, operation: 'restore' | 'persist') => void;
+}
+
+/**
+ * @template T
+ * @param {string} key - The storage key.
+ * @param {T} initialValue - The value used when nothing (valid) is stored.
+ * @param {PersistedStateOptions<T>} [options] - Persistence options.
+ * @returns {ChainState<T>} A state initialized from storage that writes every change back.
+ * @description Creates a state whose value survives reloads.
+ */
+export declare function createPersistedState<T>(key: string, initialValue: T, options?: PersistedStateOptions<T>): ChainState<T>;
+export type ListPatch<T> =
+    | { type: 'insert'; index: number; items: T[] }
+    | { type: 'remove'; index: number; count: number }
+    | { type: 'move'; from: number; to: number }
+    | { type: 'update'; index: number; item: T }
+    | { type: 'reset'; items: T[] };
+
+export interface ChainListState<T> extends ChainState<T[]> {
+    push(...items: T[]): number;
+    insert(index: number, ...items: T[]): void;
+    remove(index: number, count?: number): T[];
+    move(from: number, to: number): void;
+    updateAt(index: number, updater: T | ((item: T) => T)): void;
+    subscribePatches(callback: (patches: ListPatch<T>[], items: T[]) => void): () => void;
+}
+
+/**
+ * @template T
+ * @param {T[]} [initialItems=[]] - The initial items of the list.
+ * @param {StateOptions<T[]>} [options] - Options for the state.
+ * @returns {ChainListState<T>} An array state whose method calls are reported as patches.
+ * @description Creates a reactive list whose changes can be applied without reconciling the whole list. When bound with `map()`,
+ * each method call is turned into targeted DOM operations; assigning a new array to `value` still reconciles the whole list.
+ */
+export declare function createListState<T>(initialItems?: T[], options?: StateOptions<T[]>): ChainListState<T>;
+export interface SyncTransport {
+    postMessage(message: any): void;
+    subscribe(listener: (message: any) => void): () => void;
+    close?(): void;
+}
+
+/**
+ * @param {string} channelName - The name of the channel.
+ * @returns {SyncTransport} A transport endpoint that exchanges messages with the other in-memory endpoints of the same channel.
+ * @description Creates an in-process stand-in for `BroadcastChannel`, for tests and server-side rendering. Messages are delivered synchronously.
+ */
+export declare function createMemoryTransport(channelName: string): SyncTransport;
+
+/**
+ * @template T
+ * @param {ChainState<T>} state - The state to synchronize.
+ * @param {string} channelName - The channel shared by the states to keep in sync.
+ * @param {object} [options] - Synchronization options.
+ * @param {SyncTransport} [options.transport] - The transport to use. Defaults to a `BroadcastChannel` named `channelName`.
+ * @returns {function(): void} A function that stops synchronizing and closes the transport.
+ * @description Keeps a state in sync with the states using the same channel in other tabs, resolving conflicts by last writer wins.
+ */
+export declare function syncState<T>(state: ChainState<T>, channelName: string, options?: { transport?: SyncTransport }): () => void;
+export interface BindingDescriptor {
+    kind: 'text' | 'attr' | 'style' | 'class' | 'classList' | 'when';
+    nodeId: string;
+    name?: string;
+    property?: string;
+    className?: string;
+    trueFactory?: (() => ChainElement) | null;
+    falseFactory?: (() => ChainElement) | null;
+}
+
+/**
+ * The node tree of a runtime, as seen by the list reconciliation and `when()` switching shared by `ChainRuntime` and `WorkerRuntime`.
+ */
+export interface NodeAdapter {
+    getChildIds(nodeId: string): Array<string | undefined> | null;
+    getKey(nodeId: string): string | undefined;
+    getWhenChildId(nodeId: string): string | undefined;
+    render(element: ChainElement): void;
+    removeChild(parentId: string, childId: string): void;
+    applyOperation(op: Operation): void;
+}
+
+export interface ModelModifiers {
+    /** Update the state on `change` instead of on every `input` (text inputs and textareas). */
+    lazy?: boolean;
+    /** Convert numeric values with `parseFloat()`. Always on for `type="number"` and `type="range"` inputs. */
+    number?: boolean;
+    /** Trim whitespace from values before writing them to the state. */
+    trim?: boolean;
+}
+
+export interface ListenerOptions {
+    /** Calls `preventDefault()` before the handler runs. */
+    prevent?: boolean;
+    /** Ends the propagation after this element, so that the handlers of ancestor elements do not run. Native listeners are not affected, except for listeners bound directly, which call `stopPropagation()`. */
+    stop?: boolean;
+    /** Removes the listener after its first call. */
+    once?: boolean;
+    /** Only runs the handler when the event target is the element itself, not one of its descendants. */
+    self?: boolean;
+    /** Never cancels the event, which lets the browser keep scrolling without waiting for the handler. */
+    passive?: boolean;
+    /** Runs the handler before the handlers of descendant elements. */
+    capture?: boolean;
+    /** Only runs the handler for keyboard events whose `key` is in the list (case-insensitive). */
+    keys?: string[];
+    /** Calls the handler once the event has stopped firing for this many milliseconds. */
+    debounce?: number;
+    /** Calls the handler at most once per this many milliseconds. */
+    throttle?: number;
+}
+
+export interface DeserializeOptions {
+    handlers?: Record<string, (event: Event) => void> | ((actionId: string, eventType: string) => ((event: Event) => void) | undefined);
+    components?: Record<string, (...args: any[]) => ChainElement>;
+}
+
+export interface OperationDefinition {
+    /** Applies the operation, given the node its `nodeId` refers to and the runtime. */
+    apply(op: Operation, node: HTMLElement | Text | undefined, runtime: ChainRuntime): void;
+    /** Returns a JSON-compatible copy of the operation. By default, function properties are dropped. */
+    serialize?(op: Operation): Record<string, any>;
+    /** Rebuilds the live operation from the output of `serialize`. */
+    deserialize?(data: Record<string, any>): Operation;
+    /** Returns the attributes and raw HTML content the operation adds to the server-rendered element. */
+    toHtml?(op: Operation): { attributes?: Record<string, any>; html?: string } | void;
+}
+
+/**
+ * @param {string} type - The name of the new operation type. It must not be a built-in `OperationType`.
+ * @param {OperationDefinition} definition - How the runtime applies the operation, and how it is serialized and server-rendered.
+ * @returns {function(): void} A function that unregisters the operation type.
+ * @description Registers a custom operation type, which elements add with `ChainElement.prototype.operation()`.
+ */
+export declare function registerOperation(type: string, definition: OperationDefinition): () => void;
 
 export interface Operation {
-    type: typeof OperationType[keyof typeof OperationType];
+    /** A built-in `OperationType`, or a type registered with `registerOperation()`. */
+    type: typeof OperationType[keyof typeof OperationType] | (string & {});
     nodeId: string;
     tagName?: string;
     content?: string;
@@ -96,9 +429,25 @@ export interface Operation {
     state?: ChainState<any>;
     stateId?: string;
     updateFn?: (value: any, stream: OperationStream) => void;
+    binding?: BindingDescriptor;
     factory?: (item: any, index: number) => ChainElement;
+    index?: number;
+    count?: number;
+    from?: number;
+    to?: number;
+    item?: any;
     anchorId?: string;
+    effectId?: string;
+    setup?: (node: HTMLElement) => () => void;
+    modifiers?: ModelModifiers;
+    options?: ListenerOptions;
+    target?: 'window' | 'document';
+    hookId?: string;
+    onMount?: (node: HTMLElement) => EffectCleanup | void;
+    onUnmount?: (node: HTMLElement) => void;
     router?: any; // This could be more specific if we define RouterConfig
+    /** Properties of custom operation types. */
+    [key: string]: any;
 }
 
 /**
@@ -106,13 +455,20 @@ export interface Operation {
  * @description Manages a queue of operations for batch processing DOM updates.
  */
 export declare class OperationStream {
+    /** Own operations interleaved with references to child element streams. */
+    entries: Array<Operation | OperationStream>;
+    /** The flattened operation list; assigning replaces all entries. */
     operations: Operation[];
+    states: Record<string, ChainState<any>>;
     constructor();
     add(operation: Operation): void;
+    addStream(stream: OperationStream): void;
     getOperations(): Operation[];
     clear(): void;
     serialize(): string;
-    static deserialize(json: string): OperationStream;
+    static deserialize(json: string, options?: DeserializeOptions): OperationStream;
+    encode(): Uint8Array;
+    static decode(bytes: Uint8Array | ArrayBuffer, options?: DeserializeOptions): OperationStream;
 }
 
 /**
@@ -123,22 +479,61 @@ export declare class ChainElement {
     nodeId: string;
     stream: OperationStream;
     children: Array<ChainElement | string | ChainState<any>>;
-    eventHandlers: Array<{ actionId: string; eventType: string; handler: (event: Event) => void }>;
+    ownEventHandlers: Array<{ actionId: string; eventType: string; handler: (event: Event) => void; options?: ListenerOptions; target?: 'window' | 'document' }>;
+    /** Handlers of this element and all of its descendants, collected on access. */
+    readonly eventHandlers: Array<{ actionId: string; eventType: string; handler: (event: Event) => void; options?: ListenerOptions; target?: 'window' | 'document' }>;
     tagName?: string;
     constructor(tagName?: string);
     private _bind;
     private _setAttr;
     private _setStyle;
     private _setClass;
-    set(name: string | { attr?: Record<string, any>; style?: Record<string, string>; class?: string | string[] | Record<string, boolean | ChainState<boolean>> }, value?: any, type?: 'attr' | 'style' | 'class'): ChainElement;
-    on(eventType: string, handler: (event: Event) => void): ChainElement;
+    private _setClassList;
+    set(name: string | { attr?: Record<string, any>; style?: Record<string, string>; class?: string | ChainState<string | string[]> | Array<string | ChainState<string | string[]>> | Record<string, boolean | ChainState<boolean>> }, value?: any, type?: 'attr' | 'style' | 'class'): ChainElement;
+    on(eventType: string, handler: (event: Event) => void, options?: ListenerOptions): ChainElement;
+    /** @deprecated Registers the handler with the runtime right away. Mount the element with the runtime instead. */
+    on(eventType: string, handler: (event: Event) => void, runtime: ChainRuntime): ChainElement;
+    onWindow(eventType: string, handler: (event: Event) => void, options?: ListenerOptions): ChainElement;
+    onDocument(eventType: string, handler: (event: Event) => void, options?: ListenerOptions): ChainElement;
+    private _addListener;
+    effect(effectFn: (this: HTMLElement, node: HTMLElement) => EffectCleanup | void): ChainElement;
+    watch<T>(source: ChainState<T> | (() => T), callback: (this: HTMLElement, nextValue: T, prevValue: T | undefined) => EffectCleanup | void, options?: WatchOptions): ChainElement;
+    /**
+     * @description Binds a form control to a state in both directions, using the property and event that fit the control.
+     */
+    model(state: ChainState<any>, modifiers?: ModelModifiers): ChainElement;
+    private _addLifecycleHooks;
+    /**
+     * @description Passes the element's DOM node to a callback or state once it is in the document, and `null` before it is removed.
+     */
+    ref(target: ((node: HTMLElement | null) => void) | ChainState<HTMLElement | null>): ChainElement;
+    /**
+     * @description Runs code after the element is inserted into the document. A returned function is called when it is removed.
+     */
+    onMount(fn: (this: HTMLElement, node: HTMLElement) => EffectCleanup | void): ChainElement;
+    /**
+     * @description Runs code before a mounted element is removed from the document.
+     */
+    onUnmount(fn: (this: HTMLElement, node: HTMLElement) => void): ChainElement;
+    /**
+     * @description Adds a custom operation, registered with `registerOperation()`, targeting this element.
+     */
+    operation(type: string, data?: Record<string, any>): ChainElement;
     private _createTextChild;
     child(...children: Array<ChainElement | string | ChainState<string> | Array<ChainElement | string | ChainState<string>>>): ChainElement;
     mount(selector: string): void;
     when(state: ChainState<boolean>, trueFactory: () => ChainElement, falseFactory?: () => ChainElement, options?: { keepAlive?: boolean }): ChainElement;
-    toHtml(): { html: string; eventHandlers: Array<{ actionId: string; eventType: string; handler: (event: Event) => void }> };
+    toHtml(): { html: string; eventHandlers: Array<{ actionId: string; eventType: string; handler: (event: Event) => void; options?: ListenerOptions; target?: 'window' | 'document' }> };
 }
 
+/**
+ * @param {OperationStream} oldStream - The stream the existing nodes were created from.
+ * @param {OperationStream} newStream - The stream of the new version, e.g. from re-running a factory with new parameters.
+ * @returns {Array<object>} The operations turning the nodes of `oldStream` into `newStream`, targeting the existing node IDs.
+ * @description Computes a minimal patch between two streams of the same component, meant to be applied with `ChainRuntime.prototype.patch()`.
+ */
+export declare function diffStreams(oldStream: OperationStream, newStream: OperationStream): Operation[];
+
 /**
  * @class ChainRuntime
  * @description Client-side runtime responsible for executing operation streams to manipulate the real DOM.
@@ -151,7 +546,14 @@ export declare class ChainRuntime {
     batchQueue: Operation[];
     isBatchingScheduled: boolean;
     animationFrameId: number | null;
+    boundOperations: WeakSet<Operation>;
+    lifecycleDisposers: WeakSet<() => void>;
     rootNodeId?: string;
+    operationListeners: Set<(op: Operation, batched: boolean) => void>;
+    isApplyingBatch: boolean;
+    container: HTMLElement | null;
+    stream: OperationStream | null;
+    nodeAdapter: NodeAdapter;
     constructor();
     execute(operations: Operation[], immediate?: boolean): void;
     executeOperations(stream: OperationStream, immediate?: boolean): void;
@@ -159,6 +561,14 @@ export declare class ChainRuntime {
     scheduleBatchExecution(): void;
     applyOperation(op: Operation): void;
     cleanupNodeTree(node: HTMLElement | Text): void;
+    setControlValue(control: HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement, value: any): void;
+    bindModel(op: Operation, node: HTMLElement): () => void;
+    bindLifecycle(op: Operation, node: HTMLElement | Text): () => void;
+    placeChild(parentNodeId: string, child: HTMLElement, anchor: ChildNode | null): void;
+    patch(stream: OperationStream): void;
+    releaseNode(nodeId: string, kept?: Set<() => void>): void;
+    saveViewState(): () => void;
+    createListItem(item: any, index: number, factory: (item: any, index: number) => ChainElement): HTMLElement;
     reconcileList(parentNodeId: string, newItems: any[], factory: (item: any, index: number) => ChainElement): void;
     destroy(): void;
 }
@@ -170,13 +580,30 @@ export declare class ChainRuntime {
 export declare class EventDelegator {
     runtime: ChainRuntime;
     delegatedEvents: Set<string>;
+    passiveEvents: Set<string>;
+    directEvents: Set<string>;
+    directListeners: Map<string, { target: EventTarget; eventType: string; listener: (event: Event) => void; capture: boolean }>;
     handlerMap: Map<string, (event: Event) => void>;
+    actionOptions: Map<string, ListenerOptions>;
+    debounceTimers: Map<string, ReturnType<typeof setTimeout>>;
+    throttleTimes: Map<string, number>;
     boundHandleEvent: (event: Event) => void;
+    forwardEvent: ((actionId: string, event: Event, currentTarget: HTMLElement) => void) | null;
     constructor(runtime: ChainRuntime);
-    registerHandlers(handlers: Array<{ actionId: string; handler: (event: Event) => void }>): void;
+    registerHandlers(handlers: Array<{ actionId: string; handler: (event: Event) => void; options?: ListenerOptions }>): void;
+    getActions(element: HTMLElement): Array<{ actionId: string; eventType: string | null }>;
+    addAction(element: HTMLElement, actionId: string, eventType: string): void;
+    listen(element: HTMLElement, actionId: string, eventType: string, options?: ListenerOptions, target?: 'window' | 'document' | null): void;
+    bindDirect(target: EventTarget, element: HTMLElement, actionId: string, eventType: string, options?: ListenerOptions): void;
+    private unbindDirect;
+    private setActions;
+    removeAction(element: HTMLElement, actionId: string): void;
+    removeActions(element: HTMLElement): void;
+    private forgetAction;
     clearHandlersForNode(node: HTMLElement | Text): void;
-    delegate(eventType: string): void;
+    delegate(eventType: string, options?: ListenerOptions): void;
     handleEvent(e: Event): void;
+    dispatchAction(actionId: string, e: Event, element: HTMLElement): boolean;
     destroy(): void;
 }
 
@@ -191,25 +618,35 @@ export declare class EventDelegator {
 export declare function h(tagName: string): ChainElement;
 
 export interface MountSSRData {
-    eventHandlers: Array<{ actionId: string; eventType: string; handlerCode: string | null }>;
+    eventHandlers: Array<{ actionId: string; eventType: string; handlerCode: string | null; options?: ListenerOptions; target?: 'window' | 'document' }>;
 }
 
 /**
  * @param {string|HTMLElement} selector - The CSS selector of the DOM element or the actual HTMLElement to which the component will be mounted.
- * @param {ChainElement|object} [componentOrEventData=null] - The ChainElement instance to mount, or an object containing SSR event handler data.
+ * @param {ChainElement|OperationStream|object} [componentOrEventData=null] - The ChainElement instance or operation stream to mount, the output of
+ * `render(..., { format: 'stream' })`, or an object containing SSR event handler data.
+ * @param {object} [options] - Mount options.
+ * @param {OperationRecorder} [options.recorder] - A recorder created with `createRecorder()` that records every operation of the new runtime, including the initial render.
  * @returns {{runtime: ChainRuntime, destroy: function(): void}|null} An object containing the runtime instance and a destroy function, or null if the mount target is not found.
  * @description Mounts a component to the specified location in the DOM and binds event handlers.
  * @example
  * // Mount a ChainElement
  * mount('#app', h('div').child('My App'));
  *
+ * // Mount a serialized operation stream
+ * mount('#app', OperationStream.deserialize(json, { handlers: { 'action-3': () => console.log('Clicked') } }));
+ *
  * // Mount from SSR data
  * const ssrData = {
  *   eventHandlers: [{ actionId: 'action-1', eventType: 'click', handlerCode: 'function(e){ console.log("SSR Click"); }' }]
  * };
  * mount('#app', ssrData);
  */
-export declare function mount(selector: string | HTMLElement, componentOrEventData?: ChainElement | MountSSRData | null): { runtime: ChainRuntime; destroy: () => void } | null;
+export interface MountOptions {
+    recorder?: OperationRecorder;
+}
+
+export declare function mount(selector: string | HTMLElement, componentOrEventData?: ChainElement | OperationStream | RenderResultStream | MountSSRData | null, options?: MountOptions): { runtime: ChainRuntime; destroy: () => void } | null;
 
 export interface RenderOptions {
     format?: 'html' | 'stream';
@@ -218,20 +655,20 @@ export interface RenderOptions {
 export interface RenderResultHtml {
     html: string;
     state: Record<string, any>;
-    clientEventHandlers: Array<{ actionId: string; eventType: string; handlerCode: string | null }>;
+    clientEventHandlers: Array<{ actionId: string; eventType: string; handlerCode: string | null; options?: ListenerOptions; target?: 'window' | 'document' }>;
 }
 
 export interface RenderResultStream {
     stream: string;
     state: Record<string, any>;
-    eventHandlers: Array<{ actionId: string; eventType: string; handlerCode: string | null }>;
+    eventHandlers: Array<{ actionId: string; eventType: string; handlerCode: string | null; options?: ListenerOptions; target?: 'window' | 'document' }>;
 }
 
 /**
  * @param {function(): ChainElement} componentFactory - A factory function that creates the root ChainElement for the component.
  * @param {object} [options] - Rendering options.
  * @param {'html'|'stream'} [options.format='html'] - The format of the returned output, either 'html' or 'stream'.
- * @returns {{html: string, state: object, clientEventHandlers: Array<{actionId: string, eventType: string, handlerCode: string|null}>}|{stream: string, state: object, eventHandlers: Array<{actionId: string, eventType: string, handlerCode: string|null}>}}
+ * @returns {{html: string, state: object, clientEventHandlers: Array<{actionId: string, eventType: string, handlerCode: string|null, options?: ListenerOptions}>}|{stream: string, state: object, eventHandlers: Array<{actionId: string, eventType: string, handlerCode: string|null, options?: ListenerOptions}>}}
  * @description Renders a component for Server-Side Rendering (SSR).
  * @example
  * const { html, state, clientEventHandlers } = render(() => h('div').child('Hello SSR'));
@@ -239,6 +676,129 @@ export interface RenderResultStream {
  */
 export declare function render(componentFactory: () => ChainElement, options?: RenderOptions): RenderResultHtml | RenderResultStream;
 
+export interface RecordedOperation {
+    /** Milliseconds since the recording started. */
+    time: number;
+    /** Whether the operation was applied from the runtime's batch queue rather than immediately. */
+    batched: boolean;
+    /** A JSON-compatible copy of the applied operation. */
+    operation: Operation;
+}
+
+export interface OperationRecorder {
+    entries: RecordedOperation[];
+    attach(runtime: ChainRuntime): () => void;
+    stop(): void;
+    clear(): void;
+    export(): string;
+}
+
+/**
+ * @returns {OperationRecorder} A recorder that is not attached to any runtime yet.
+ * @description Creates a recorder capturing every DOM operation a runtime applies, both immediately and from its batch queue,
+ * with a timestamp. Pass it to `mount()` to include the initial render, or attach it to a running runtime.
+ */
+export declare function createRecorder(): OperationRecorder;
+
+export interface ReplayOptions {
+    until?: number;
+}
+
+/**
+ * @param {string|Array<RecordedOperation>} log - The output of `OperationRecorder.export()`, or recorded entries.
+ * @param {string|HTMLElement} target - The CSS selector of the container, or the container itself, that replaces the original mount target.
+ * @param {object} [options] - Replay options.
+ * @returns {{runtime: ChainRuntime, destroy: function(): void}|null} The runtime holding the replayed nodes, or null if the target is not found.
+ * @description Applies recorded operations, in order and synchronously, to a fresh runtime, reproducing the DOM the recorded runtime produced.
+ */
+export declare function replayOperations(log: string | RecordedOperation[], target: string | HTMLElement, options?: ReplayOptions): { runtime: ChainRuntime; destroy: () => void } | null;
+
+/**
+ * @param {Worker|MessagePort|object} port - A Web Worker, the worker's global scope (`self`), a `MessagePort`, or a Node `worker_threads` Worker or `parentPort`.
+ * @returns {SyncTransport} A transport sending and receiving messages through the port.
+ * @description Adapts a worker or message port to the transport used by `runInWorker()` and `mountWorker()`.
+ */
+export declare function createPortTransport(port: any): SyncTransport;
+
+export interface ForwardedEventTarget {
+    chainId?: string;
+    tagName?: string;
+    value?: string;
+    checked?: boolean;
+}
+
+/** The description of a main-thread event received by handlers running in a worker. */
+export interface ForwardedEvent {
+    type: string;
+    target: ForwardedEventTarget | null;
+    currentTarget: ForwardedEventTarget | null;
+    key?: string;
+    code?: string;
+    button?: number;
+    buttons?: number;
+    clientX?: number;
+    clientY?: number;
+    deltaX?: number;
+    deltaY?: number;
+    altKey?: boolean;
+    ctrlKey?: boolean;
+    metaKey?: boolean;
+    shiftKey?: boolean;
+    inputType?: string;
+    data?: string | null;
+    preventDefault(): void;
+    stopPropagation(): void;
+}
+
+/**
+ * @class WorkerRuntime
+ * @description Runs components and their states off the main thread, posting the resulting DOM operations to a runtime created with `mountWorker()`.
+ */
+export declare class WorkerRuntime {
+    transport: SyncTransport;
+    nodes: Map<string, { parentId: string | null; children: string[]; key: string | null; actionIds: string[] }>;
+    nodeSubscriptions: Map<string, Array<() => void>>;
+    handlerMap: Map<string, (event: ForwardedEvent) => void>;
+    whenChildren: Map<string, string>;
+    outgoing: Operation[];
+    isFlushScheduled: boolean;
+    warnedOperationTypes: Set<string>;
+    nodeAdapter: NodeAdapter;
+    constructor(transport: SyncTransport);
+    render(component: ChainElement): void;
+    execute(operations: Operation[]): void;
+    applyOperation(op: Operation): void;
+    warnUnsupported(type: string, message: string): void;
+    subscribe<T>(nodeId: string, state: ChainState<T>, callback: (value: T) => void): void;
+    post(op: Operation): void;
+    flush(): void;
+    detach(nodeId: string): void;
+    cleanupNodeTree(nodeId: string): void;
+    updateWhen(binding: BindingDescriptor, value: any): void;
+    reconcileList(parentNodeId: string, newItems: any[], factory: (item: any, index: number) => ChainElement): void;
+    createListItem(item: any, index: number, factory: (item: any, index: number) => ChainElement): string;
+    placeChild(parentNodeId: string, childId: string, anchorId: string | undefined): void;
+    applyListPatch(parentNodeId: string, patch: ListPatch<any>, factory: (item: any, index: number) => ChainElement): void;
+    dispatchEvent(actionId: string, event: Omit<ForwardedEvent, 'preventDefault' | 'stopPropagation'>): void;
+    reset(): void;
+}
+
+/**
+ * @param {function(): ChainElement} componentFactory - Creates the root element, in the worker.
+ * @param {SyncTransport} transport - The transport connected to the main thread.
+ * @returns {{runtime: WorkerRuntime, destroy: function(): void}} The worker runtime and a function that stops it.
+ * @description Renders a component inside a Web Worker for a main thread that calls `mountWorker()`.
+ */
+export declare function runInWorker(componentFactory: () => ChainElement, transport: SyncTransport): { runtime: WorkerRuntime; destroy: () => void };
+
+/**
+ * @param {string|HTMLElement} selector - The CSS selector of the DOM element or the actual HTMLElement to mount into.
+ * @param {SyncTransport} transport - The transport connected to a worker that calls `runInWorker()`.
+ * @returns {{runtime: ChainRuntime, destroy: function(): void}|null} The main-thread runtime and a function that unmounts it, or null if the mount target is not found.
+ * @description Mounts a UI built in a worker, forwarding events to the worker by action ID.
+ */
+export declare function mountWorker(selector: string | HTMLElement, transport: SyncTransport, options?: MountOptions): { runtime: ChainRuntime; destroy: () => void } | null;
+
 /**
  * @template T
  * @param {ChainState<Array<T>>} stateArray - A reactive array state whose values will be used to render the list.
@@ -254,10 +814,12 @@ export declare function render(componentFactory: () => ChainElement, options?: R
 export declare function map<T>(stateArray: ChainState<T[]>, factory: (item: T, index: number) => ChainElement): ChainElement;
 
 /**
- * @param {string} name - The name of the component, used for debugging or identification.
+ * @param {string} name - The name of the component, used for debugging or identification, and to reference the component in serialized operation streams.
  * @param {function(...any[]): ChainElement} factory - A factory function that accepts arguments and returns a ChainElement instance as the root of the component.
  * @returns {function(...any[]): ChainElement} A new component function that can be used like a ChainElement.
- * @description Creates a reusable component.
+ * @description Creates a reusable component. Components are registered by name for deserialization, so each name can be used once;
+ * define components at module level rather than inside functions that run more than once.
+ * @throws {Error} Throws an error if a component with the same name was already created.
  * @example
  * const MyButton = createComponent('MyButton', (text) => h('button').child(text));
  * h('div').child(MyButton('Click Me'));
@@ -406,7 +968,23 @@ export declare function createApp(config: CreateAppConfig): CreateAppResult;
 export interface ChainUI {
     h: typeof h;
     createState: typeof createState;
+    computed: typeof computed;
+    batch: typeof batch;
+    effect: typeof effect;
+    watch: typeof watch;
+    createStore: typeof createStore;
+    createResource: typeof createResource;
+    withHistory: typeof withHistory;
+    createPersistedState: typeof createPersistedState;
+    createListState: typeof createListState;
+    syncState: typeof syncState;
     createComponent: typeof createComponent;
+    registerOperation: typeof registerOperation;
+    createRecorder: typeof createRecorder;
+    replayOperations: typeof replayOperations;
+    runInWorker: typeof runInWorker;
+    mountWorker: typeof mountWorker;
+    diffStreams: typeof diffStreams;
     createApp: typeof createApp;
     createRouter: typeof createRouter;
     map: typeof map;
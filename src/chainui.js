@@ -28,12 +28,94 @@ export const OperationType = {
     BIND_STATE: 'BIND_STATE',
     BIND_ATTRIBUTE: 'BIND_ATTRIBUTE',
     BIND_LIST: 'BIND_LIST',
+    BIND_EFFECT: 'BIND_EFFECT',
+    BIND_MODEL: 'BIND_MODEL',
+    BIND_LIFECYCLE: 'BIND_LIFECYCLE',
+    LIST_INSERT: 'LIST_INSERT',
+    LIST_REMOVE: 'LIST_REMOVE',
+    LIST_MOVE: 'LIST_MOVE',
+    LIST_UPDATE: 'LIST_UPDATE',
     UPDATE_NODE: 'UPDATE_NODE',
     ROUTE_CHANGE: 'ROUTE_CHANGE',
     ROUTE_MATCH: 'ROUTE_MATCH',
     INIT_ROUTER: 'INIT_ROUTER',
 };
 
+/**
+ * @type {Set<string>}
+ * @description Operation types that subscribe to states and must only be applied once per runtime.
+ */
+const BINDING_OPERATION_TYPES = new Set([
+    OperationType.BIND_STATE,
+    OperationType.BIND_ATTRIBUTE,
+    OperationType.BIND_LIST,
+    OperationType.BIND_EFFECT,
+    OperationType.BIND_MODEL,
+    OperationType.BIND_LIFECYCLE,
+]);
+
+/**
+ * @type {Set<string>}
+ * @description Operation types that are carried out through other operations, and are therefore not passed to operation listeners.
+ */
+const COMPOSITE_OPERATION_TYPES = new Set([
+    ...BINDING_OPERATION_TYPES,
+    OperationType.LIST_INSERT,
+    OperationType.LIST_REMOVE,
+    OperationType.LIST_MOVE,
+    OperationType.LIST_UPDATE,
+    OperationType.INIT_ROUTER,
+]);
+
+/**
+ * @typedef {object} OperationDefinition
+ * @property {function(object, (HTMLElement|Text|undefined), ChainRuntime): void} apply - Applies the operation, given the operation,
+ * the node its `nodeId` refers to (if any) and the runtime.
+ * @property {function(object): object} [serialize] - Returns a JSON-compatible copy of the operation, keeping its `type`. By default, function
+ * properties are dropped.
+ * @property {function(object): object} [deserialize] - Rebuilds the live operation from the output of `serialize`.
+ * @property {function(object): {attributes?: Object<string, *>, html?: string}|void} [toHtml] - Returns the attributes the operation adds to
+ * the server-rendered element and raw HTML appended to its content. Without it, the operation has no effect on server-rendered HTML.
+ */
+
+/**
+ * @type {Map<string, OperationDefinition>}
+ * @description Operation types registered with `registerOperation`, by type.
+ */
+const customOperations = new Map();
+
+/**
+ * @param {string} type - The name of the new operation type. It must not be a built-in `OperationType`.
+ * @param {OperationDefinition} definition - How the runtime applies the operation, and how it is serialized and server-rendered.
+ * @returns {function(): void} A function that unregisters the operation type.
+ * @description Registers a custom operation type, which elements add with `ChainElement.prototype.operation()`. Registered operations are
+ * applied by every runtime, written to serialized and binary-encoded streams, recorded by `createRecorder()` and rendered by `toHtml()`.
+ * @throws {Error} Throws an error for a built-in or already registered type, or a definition without an `apply` function.
+ * @example
+ * registerOperation('FILL_RECT', {
+ *   apply: (op, canvas) => canvas.getContext('2d').fillRect(op.x, op.y, op.width, op.height)
+ * });
+ * h('canvas').operation('FILL_RECT', { x: 0, y: 0, width: 10, height: 10 });
+ */
+export function registerOperation(type, definition) {
+    if (typeof type !== 'string' || !type) {
+        throw new Error('Operation types must be non-empty strings.');
+    }
+    if (Object.prototype.hasOwnProperty.call(OperationType, type)) {
+        throw new Error(`Cannot register operation type "${type}": it is a built-in operation type.`);
+    }
+    if (customOperations.has(type)) {
+        throw new Error(`Operation type "${type}" is already registered.`);
+    }
+    if (!definition || typeof definition.apply !== 'function') {
+        throw new Error(`Cannot register operation type "${type}": its definition must have an apply function.`);
+    }
+    customOperations.set(type, definition);
+    return () => {
+        if (customOperations.get(type) === definition) customOperations.delete(type);
+    };
+}
+
 /**
  * @type {number}
  * @description Global ID counter used to generate unique node and state IDs.
@@ -69,6 +151,41 @@ export const valueToString = (value) => {
     return String(value);
 };
 
+/**
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} True if both values are identical, or are arrays or plain objects whose entries are identical one level deep.
+ * @description Shallow equality comparator, intended for the `equals` option of `createState`, `computed` and `map`.
+ * @example
+ * const filters = createState({ tag: 'js', page: 1 }, { equals: shallowEqual });
+ * filters.value = { tag: 'js', page: 1 }; // no notification
+ */
+export const shallowEqual = (a, b) => {
+    if (Object.is(a, b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) || Array.isArray(b)) {
+        if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (!Object.is(a[i], b[i])) return false;
+        }
+        return true;
+    }
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    for (const key of keysA) {
+        if (!Object.prototype.hasOwnProperty.call(b, key) || !Object.is(a[key], b[key])) return false;
+    }
+    return true;
+};
+
+/**
+ * @typedef {object} StateOptions
+ * @property {function(*, *): boolean} [equals=Object.is] - Decides whether a new value equals the current one. Equal values are ignored and do not notify subscribers.
+ * @property {function(): (function(): void|void)} [onObserve] - `createState` only. Called when the state gets its first subscriber; the function it returns is called when the last subscriber unsubscribes.
+ */
+
 /**
  * @type {Map<string, import('./chainui').ChainRuntime>}
  * @description Tracks all mounted runtime instances for cleanup on remount.
@@ -85,14 +202,148 @@ const _mountedRuntimes = new Map();
  * @property {boolean} [isMapped] - Indicates if this state is a mapped state.
  */
 
+/**
+ * @type {Set<ChainState<any>>|null}
+ * @description Collects the states read while a computed state is being evaluated.
+ */
+let activeDependencies = null;
+
+/**
+ * @private
+ * @template T
+ * @param {function(): T} fn - The function to run.
+ * @param {Set<ChainState<any>>|null} dependencies - The set receiving every state read by `fn`, or null to disable tracking.
+ * @returns {T} The return value of `fn`.
+ * @description Runs a function while recording the states it reads.
+ */
+const runWithDependencies = (fn, dependencies) => {
+    const previous = activeDependencies;
+    activeDependencies = dependencies;
+    try {
+        return fn();
+    } finally {
+        activeDependencies = previous;
+    }
+};
+
+/**
+ * @private
+ * @param {ChainState<any>} state - The state being read.
+ * @returns {void}
+ * @description Registers a state read with the computed state currently being evaluated.
+ */
+const trackDependency = (state) => {
+    if (activeDependencies) activeDependencies.add(state);
+};
+
+/**
+ * @private
+ * @template T
+ * @param {ChainState<T>} state - The state to subscribe to.
+ * @param {function(T): void} callback - The function called on every subsequent change.
+ * @returns {function(): void} A function to unsubscribe.
+ * @description Subscribes to a state without the immediate call that `subscribe` performs.
+ */
+const subscribeToChanges = (state, callback) => {
+    let initialCall = true;
+    const unsubscribe = state.subscribe(value => {
+        if (!initialCall) callback(value);
+    });
+    initialCall = false;
+    return unsubscribe;
+};
+
+/**
+ * @type {number}
+ * @description The nesting depth of the `batch()` calls currently running.
+ */
+let batchDepth = 0;
+
+/**
+ * @type {Set<function(): void>}
+ * @description Notification functions of the states changed during the current batch.
+ */
+const pendingNotifications = new Set();
+
+/**
+ * @private
+ * @param {function(): void} notify - The notification function of a changed state.
+ * @returns {void}
+ * @description Runs a state's notification immediately, or defers it until the outermost batch ends.
+ */
+const scheduleNotification = (notify) => {
+    if (batchDepth > 0) {
+        pendingNotifications.add(notify);
+    } else {
+        notify();
+    }
+};
+
+/**
+ * @private
+ * @returns {void}
+ * @description Delivers the deferred notifications. Updates triggered by subscribers (e.g. derived states) are
+ * deferred again and delivered in a later round, so every subscriber observes a consistent snapshot.
+ */
+const flushPendingNotifications = () => {
+    batchDepth++;
+    try {
+        while (pendingNotifications.size > 0) {
+            const notifications = Array.from(pendingNotifications);
+            pendingNotifications.clear();
+            notifications.forEach(notify => notify());
+        }
+    } finally {
+        batchDepth--;
+    }
+};
+
+/**
+ * @template T
+ * @param {function(): T} fn - A function that updates one or more states.
+ * @returns {T} The return value of `fn`.
+ * @description Groups state updates so that subscribers are notified once, after the outermost batch ends.
+ * A state assigned several times is notified once with its final value, and not at all if it ends up unchanged.
+ * @example
+ * batch(() => {
+ *   firstName.value = 'Ada';
+ *   lastName.value = 'Lovelace';
+ * }); // subscribers of both states run once, after both assignments
+ */
+export function batch(fn) {
+    batchDepth++;
+    try {
+        return fn();
+    } finally {
+        batchDepth--;
+        if (batchDepth === 0) flushPendingNotifications();
+    }
+}
+
 /**
  * @template T
  * @param {T} initialValue - The initial value of the state.
+ * @param {StateOptions} [options] - State options.
  * @returns {ChainState<T>} A reactive state object.
  * @description Creates and manages a reactive state object.
+ * @example
+ * const user = createState({ name: 'Ada' }, { equals: shallowEqual });
  */
-export function createState(initialValue) {
+export function createState(initialValue, options = {}) {
+    const { equals = Object.is, onObserve } = options;
     let currentValue = initialValue;
+    /**
+     * @private
+     * @type {function(): void|null}
+     * @description The function returned by `onObserve`, called when the last subscriber unsubscribes.
+     */
+    let stopObserving = null;
+    /**
+     * @private
+     * @type {T}
+     * @description The value last delivered to subscribers.
+     */
+    let notifiedValue = initialValue;
     /**
      * @private
      * @type {Set<function(T): void>}
@@ -100,12 +351,26 @@ export function createState(initialValue) {
      */
     const subscribers = new Set();
 
-    return {
-        get value() { return currentValue; },
+    /**
+     * @private
+     * @returns {void}
+     * @description Notifies subscribers if the value differs from the one they last received.
+     */
+    const notify = () => {
+        if (equals(notifiedValue, currentValue)) return;
+        notifiedValue = currentValue;
+        subscribers.forEach(sub => sub(currentValue));
+    };
+
+    const state = {
+        get value() {
+            trackDependency(state);
+            return currentValue;
+        },
         set value(newValue) {
-            if (Object.is(currentValue, newValue)) return;
+            if (equals(currentValue, newValue)) return;
             currentValue = newValue;
-            subscribers.forEach(sub => sub(currentValue));
+            scheduleNotification(notify);
         },
         /**
          * @param {function(T): T|T} updater - A function to update the state's value, or a new value.
@@ -119,9 +384,21 @@ export function createState(initialValue) {
          * @returns {function(): void} A function to unsubscribe.
          */
         subscribe(callback) {
+            const isFirst = subscribers.size === 0;
+            if (isFirst) notifiedValue = currentValue;
             subscribers.add(callback);
             callback(currentValue);
-            return () => subscribers.delete(callback);
+            if (isFirst && onObserve) {
+                const stop = onObserve();
+                stopObserving = typeof stop === 'function' ? stop : null;
+            }
+            return () => {
+                if (subscribers.delete(callback) && subscribers.size === 0 && stopObserving) {
+                    const stop = stopObserving;
+                    stopObserving = null;
+                    stop();
+                }
+            };
         },
         /**
          * @returns {string} The string representation of the state's value.
@@ -130,1219 +407,5232 @@ export function createState(initialValue) {
         /**
          * @template U
          * @param {function(T): U} mapperFn - A mapping function that transforms the current state value into a new state value.
-         * @returns {ChainState<U>} A new derived state.
+         * @param {StateOptions} [mapOptions] - Options for the derived state.
+         * @returns {ChainState<U>} A new read-only derived state. It only subscribes to this state while it has subscribers of its own,
+         * so a mapped state that is no longer bound anywhere can be garbage collected.
          */
-        map(mapperFn) {
-            const mappedState = createState(mapperFn(currentValue));
-            this.subscribe(newValue => mappedState.update(mapperFn(newValue)));
-            mappedState.isMapped = true;
-            return mappedState;
+        map(mapperFn, mapOptions) {
+            return computed(() => mapperFn(state.value), mapOptions);
         }
     };
+    return state;
 }
 
 /**
- * @class OperationStream
- * @description Manages a queue of operations for batch processing DOM updates.
+ * @template T
+ * @param {function(): T} computeFn - A function that derives a value from other states. Every state read during its evaluation becomes a dependency.
+ * @param {StateOptions} [options] - Options for the computed state. When `equals` reports a recomputed value as equal, the previous value is kept and subscribers are not notified.
+ * @returns {ChainState<T>} A read-only derived state.
+ * @description Creates a state derived from any number of other states. Dependencies are tracked automatically on each evaluation,
+ * and the value is only recomputed when it is read or observed after one of them has changed.
+ * @throws {Error} Throws an error when a value is assigned to the computed state.
+ * @example
+ * const items = createState([{ price: 10 }, { price: 5 }]);
+ * const taxRate = createState(0.2);
+ * const total = computed(() => items.value.reduce((sum, i) => sum + i.price, 0) * (1 + taxRate.value));
+ * h('p').child(total.map(t => `Total: ${t.toFixed(2)}`));
  */
-export class OperationStream {
+export function computed(computeFn, options = {}) {
+    const { equals = Object.is } = options;
+    let currentValue;
+    let hasValue = false;
     /**
-     * @constructor
+     * @private
+     * @type {*}
+     * @description The value last delivered to subscribers.
      */
-    constructor() {
-        /**
-         * @type {Array<object>}
-         * @description The array storing operations.
-         */
-        this.operations = [];
-    }
-
+    let notifiedValue;
     /**
-     * @param {object} operation - The operation to add to the stream.
-     * @param {OperationType} operation.type - The type of operation.
-     * @param {string} operation.nodeId - The ID of the target node.
-     * @param {string} [operation.tagName] - For CREATE_ELEMENT, the tag name of the element.
-     * @param {string} [operation.content] - For CREATE_TEXT_NODE or SET_TEXT_CONTENT, the text content.
-     * @param {string} [operation.parentId] - For APPEND_CHILD or REMOVE_CHILD, the ID of the parent node.
-     * @param {string} [operation.childId] - For APPEND_CHILD or REMOVE_CHILD, the ID of the child node.
-     * @param {string} [operation.name] - For SET_ATTRIBUTE or REMOVE_ATTRIBUTE, the attribute name.
-     * @param {*} [operation.value] - For SET_ATTRIBUTE or SET_STYLE, the attribute or style value.
-     * @param {string} [operation.property] - For SET_STYLE, the style property name.
-     * @param {string} [operation.className] - For ADD_CLASS or REMOVE_CLASS, the CSS class name.
-     * @param {string} [operation.eventType] - For ADD_EVENT_LISTENER, the event type.
-     * @param {string} [operation.actionId] - For ADD_EVENT_LISTENER, the event action ID.
-     * @param {function(Event): void} [operation.handler] - For ADD_EVENT_LISTENER, the event handler function.
-     * @param {string} [operation.selector] - For MOUNT, the CSS selector of the mount target.
-     * @param {ChainState<any>} [operation.state] - For BIND_STATE or BIND_LIST, the bound state object.
-     * @param {string} [operation.stateId] - For BIND_STATE, the ID of the state.
-     * @param {function(*, OperationStream): void} [operation.updateFn] - For BIND_STATE, the state update function.
-     * @param {function(object, number): ChainElement} [operation.factory] - For BIND_LIST, the factory function for list items.
-     * @param {string} [operation.anchorId] - For INSERT_BEFORE, the ID of the anchor node.
-     * @param {object} [operation.router] - For INIT_ROUTER, the router instance or configuration.
-     * @returns {void}
-     * @description Adds an operation to the stream and optimizes consecutive operations on the same node.
+     * @private
+     * @type {Array<{state: ChainState<any>, value: *}>}
+     * @description The dependencies read by the last evaluation, with the values they had at that time.
      */
-    add(operation) {
-        const lastOp = this.operations[this.operations.length - 1];
-        if (lastOp && operation.nodeId === lastOp.nodeId) {
-            if (operation.type === OperationType.SET_ATTRIBUTE &&
-                lastOp.type === OperationType.SET_ATTRIBUTE &&
-                operation.name === lastOp.name) {
-                lastOp.value = operation.value;
-                return;
-            }
-            if (operation.type === OperationType.SET_STYLE &&
-                lastOp.type === OperationType.SET_STYLE &&
-                operation.property === lastOp.property) {
-                lastOp.value = operation.value;
-                return;
-            }
-        }
-        this.operations.push(operation);
-    }
+    let dependencies = [];
+    /**
+     * @private
+     * @type {Array<function(): void>}
+     * @description Unsubscribe functions for the dependencies, held only while the computed state has subscribers.
+     */
+    let dependencyUnsubscribers = [];
+    /**
+     * @private
+     * @type {Set<function(T): void>}
+     * @description A set of subscriber functions to be called when the computed value changes.
+     */
+    const subscribers = new Set();
 
     /**
-     * @returns {Array<object>} A copy of the current operation queue.
+     * @private
+     * @returns {boolean} True if the value has never been computed or a dependency changed since the last evaluation.
      */
-    getOperations() { return this.operations; }
+    const isStale = () => !hasValue || dependencies.some(dep =>
+        !Object.is(runWithDependencies(() => dep.state.value, null), dep.value)
+    );
 
     /**
+     * @private
      * @returns {void}
-     * @description Clears the operation queue.
+     * @description Subscribes to the current dependencies, replacing the previous subscriptions.
      */
-    clear() { this.operations = []; }
+    const connect = () => {
+        const previousUnsubscribers = dependencyUnsubscribers;
+        dependencyUnsubscribers = dependencies.map(({ state }) => subscribeToChanges(state, onDependencyChange));
+        previousUnsubscribers.forEach(unsubscribe => unsubscribe());
+    };
 
     /**
-     * @returns {string} The JSON string representation of the operation stream, for SSR.
+     * @private
+     * @returns {void}
+     * @description Re-evaluates `computeFn` and records its dependencies.
      */
-    serialize() {
-        return JSON.stringify(this.operations);
-    }
+    const evaluate = () => {
+        const reads = new Set();
+        const previousStates = dependencies.map(dep => dep.state);
+        const nextValue = runWithDependencies(computeFn, reads);
+        if (!hasValue || !equals(currentValue, nextValue)) currentValue = nextValue;
+        hasValue = true;
+        dependencies = Array.from(reads, state => ({ state, value: runWithDependencies(() => state.value, null) }));
+        if (subscribers.size > 0 &&
+            (previousStates.length !== dependencies.length || dependencies.some((dep, i) => dep.state !== previousStates[i]))) {
+            connect();
+        }
+    };
 
     /**
-     * @static
-     * @param {string} json - The JSON string of the operation stream.
-     * @returns {OperationStream} An OperationStream instance deserialized from the JSON string.
+     * @private
+     * @returns {void}
+     * @description Recomputes the value after a dependency notification and notifies subscribers if it changed.
      */
-    static deserialize(json) {
-        const stream = new OperationStream();
-        stream.operations = JSON.parse(json);
-        return stream;
-    }
-}
+    const onDependencyChange = () => {
+        if (isStale()) evaluate();
+        scheduleNotification(notify);
+    };
 
-/**
- * @class ChainElement
- * @description Represents a DOM element that can be built using a chainable method call.
- */
-export class ChainElement {
     /**
-     * @param {string} [tagName] - The HTML tag name of the element. If not provided, this ChainElement instance might be a placeholder for internal logic.
+     * @private
+     * @returns {void}
+     * @description Notifies subscribers if the value differs from the one they last received.
      */
-    constructor(tagName) {
+    const notify = () => {
+        if (equals(notifiedValue, currentValue)) return;
+        notifiedValue = currentValue;
+        subscribers.forEach(sub => sub(currentValue));
+    };
+
+    const state = {
+        get value() {
+            trackDependency(state);
+            if (isStale()) evaluate();
+            return currentValue;
+        },
+        set value(newValue) {
+            throw new Error('Cannot assign to a computed state.');
+        },
         /**
-         * @type {string}
-         * @description The unique node ID of the element.
+         * @returns {void}
+         * @throws {Error} Computed states are read-only.
          */
-        this.nodeId = generateId('node');
+        update() {
+            throw new Error('Cannot update a computed state.');
+        },
         /**
-         * @type {OperationStream}
-         * @description The operation stream associated with this element, used to record DOM operations.
+         * @param {function(T): void} callback - The subscription callback function.
+         * @returns {function(): void} A function to unsubscribe.
          */
-        this.stream = new OperationStream();
+        subscribe(callback) {
+            if (subscribers.size === 0) {
+                if (isStale()) evaluate();
+                notifiedValue = currentValue;
+                subscribers.add(callback);
+                connect();
+            } else {
+                subscribers.add(callback);
+            }
+            callback(currentValue);
+            return () => {
+                if (subscribers.delete(callback) && subscribers.size === 0) {
+                    dependencyUnsubscribers.forEach(unsubscribe => unsubscribe());
+                    dependencyUnsubscribers = [];
+                }
+            };
+        },
         /**
-         * @type {Array<ChainElement|string|ChainState<any>>}
-         * @description An array of child elements for this element.
+         * @returns {string} The string representation of the computed value.
          */
-        this.children = [];
+        toString() { return valueToString(state.value); },
         /**
-         * @type {Array<{actionId: string, eventType: string, handler: function(Event): void}>}
-         * @description All event handlers for this element and its children.
+         * @template U
+         * @param {function(T): U} mapperFn - A mapping function applied to the computed value.
+         * @param {StateOptions} [mapOptions] - Options for the derived state.
+         * @returns {ChainState<U>} A new derived state.
          */
-        this.eventHandlers = [];
+        map(mapperFn, mapOptions) {
+            return computed(() => mapperFn(state.value), mapOptions);
+        },
+        isMapped: true
+    };
+    return state;
+}
 
-        if (tagName) {
-            this.tagName = tagName;
-            this.stream.add({ type: OperationType.CREATE_ELEMENT, nodeId: this.nodeId, tagName });
-        }
-    }
+/**
+ * @param {function(): (function(): void|void)} effectFn - The side effect to run. It may return a cleanup function.
+ * @returns {function(): void} A function that stops the effect and runs its last cleanup.
+ * @description Runs a side effect immediately and re-runs it whenever one of the states it read changes.
+ * The cleanup returned by the previous run is called before each re-run and when the effect is disposed.
+ * Use `ChainElement.effect()` to tie the effect to the lifetime of an element.
+ * @example
+ * const stop = effect(() => {
+ *   const timer = setInterval(() => console.log(count.value), 1000);
+ *   return () => clearInterval(timer);
+ * });
+ */
+export function effect(effectFn) {
+    let disposed = false;
+    /**
+     * @private
+     * @type {function(): void|null}
+     * @description The cleanup function returned by the last run.
+     */
+    let cleanup = null;
+    /**
+     * @private
+     * @type {Array<{state: ChainState<any>, value: *}>}
+     * @description The states read by the last run, with the values they had at that time.
+     */
+    let dependencies = [];
+    /**
+     * @private
+     * @type {Array<function(): void>}
+     * @description Unsubscribe functions for the dependencies.
+     */
+    let dependencyUnsubscribers = [];
 
     /**
      * @private
-     * @param {ChainState<any>|*} value - The value to bind, which can be a ChainState instance or a regular value.
-     * @param {function(*, OperationStream): void} updateFn - The function to execute when the value updates.
-     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
-     * @description Internal method to bind a reactive state to an element's attribute or content.
+     * @returns {void}
+     * @description Calls the cleanup returned by the last run, if any.
      */
-    _bind(value, updateFn) {
-        if (value && typeof value.subscribe === 'function') {
-            const stateId = generateId('state');
-            updateFn(value.value, this.stream);
-            this.stream.add({ type: OperationType.BIND_STATE, nodeId: this.nodeId, stateId, updateFn, state: value });
-        } else {
-            updateFn(value, this.stream);
-        }
-        return this;
-    }
+    const runCleanup = () => {
+        if (!cleanup) return;
+        const cleanupFn = cleanup;
+        cleanup = null;
+        runWithDependencies(cleanupFn, null);
+    };
 
     /**
      * @private
-     * @param {string} name - The attribute name.
-     * @param {ChainState<any>|*} value - The attribute value, which can be a ChainState instance or a regular value.
      * @returns {void}
-     * @description Internal method to set an element's attribute.
+     * @description Runs the effect and subscribes to the states it read.
      */
-    _setAttr(name, value) {
-        const nodeId = this.nodeId;
-        if (value && typeof value.subscribe === 'function' && !value.isMapped) {
-            const initialValue = valueToString(value.value);
-            this.stream.add({ type: OperationType.SET_ATTRIBUTE, nodeId, name, value: initialValue });
-            this.stream.add({ type: OperationType.BIND_ATTRIBUTE, nodeId: this.nodeId, name, state: value, stateId: generateId('attr_state') });
-            return;
-        }
+    const run = () => {
+        runCleanup();
+        const reads = new Set();
+        const result = runWithDependencies(effectFn, reads);
+        cleanup = typeof result === 'function' ? result : null;
+        dependencies = Array.from(reads, state => ({ state, value: runWithDependencies(() => state.value, null) }));
+        const previousUnsubscribers = dependencyUnsubscribers;
+        dependencyUnsubscribers = dependencies.map(({ state }) => subscribeToChanges(state, () => scheduleNotification(rerun)));
+        previousUnsubscribers.forEach(unsubscribe => unsubscribe());
+    };
 
-        if (value == null) {
-            this.stream.add({ type: OperationType.REMOVE_ATTRIBUTE, nodeId, name });
-            return;
-        }
+    /**
+     * @private
+     * @returns {void}
+     * @description Re-runs the effect if it is still active and one of its dependencies changed.
+     */
+    const rerun = () => {
+        if (disposed) return;
+        const changed = dependencies.some(dep => !Object.is(runWithDependencies(() => dep.state.value, null), dep.value));
+        if (changed) run();
+    };
 
-        this._bind(value, (val, updateStream) => {
-            updateStream.add({ type: OperationType.SET_ATTRIBUTE, nodeId, name, value: val });
-        });
-    }
+    run();
+
+    return () => {
+        if (disposed) return;
+        disposed = true;
+        dependencyUnsubscribers.forEach(unsubscribe => unsubscribe());
+        dependencyUnsubscribers = [];
+        runCleanup();
+    };
+}
 
+/**
+ * @template T
+ * @param {ChainState<T>|function(): T} source - The state to watch, or a getter whose read states are tracked like in `computed`.
+ * @param {function(T, T): (function(): void|void)} callback - Called with the new and previous values on every change. It may return a cleanup function.
+ * @param {object} [options] - Watch options.
+ * @param {boolean} [options.immediate=false] - If true, the callback is also called immediately with the current value.
+ * @returns {function(): void} A function that stops watching and runs the last cleanup.
+ * @description Calls a function whenever a state changes, passing the new and previous values.
+ * Use `ChainElement.watch()` to tie the watcher to the lifetime of an element.
+ * @example
+ * const stop = watch(userId, (id, previousId) => console.log(`user ${previousId} -> ${id}`));
+ */
+export function watch(source, callback, options = {}) {
+    const { immediate = false } = options;
+    const state = typeof source === 'function' ? computed(source) : source;
+    let previousValue = runWithDependencies(() => state.value, null);
     /**
      * @private
-     * @param {string} property - The CSS style property name (e.g., 'color', 'fontSize').
-     * @param {ChainState<string>|string} value - The style value, which can be a ChainState instance or a string.
-     * @returns {void}
-     * @description Internal method to set an element's style property.
+     * @type {function(): void|null}
+     * @description The cleanup function returned by the last callback call.
      */
-    _setStyle(property, value) {
-        const nodeId = this.nodeId;
-        this._bind(value, (val, updateStream) => {
-            updateStream.add({ type: OperationType.SET_STYLE, nodeId, property, value: val });
-        });
-    }
+    let cleanup = null;
 
     /**
      * @private
-     * @param {string} className - The CSS class name.
-     * @param {boolean|ChainState<boolean>} shouldAdd - Indicates whether to add the class, can be a boolean or a ChainState instance.
+     * @param {T} nextValue - The new value.
+     * @param {T} prevValue - The previous value.
      * @returns {void}
-     * @description Internal method to add or remove a CSS class from an element.
      */
-    _setClass(className, shouldAdd) {
-        const nodeId = this.nodeId;
-        if (shouldAdd === null || shouldAdd === false) {
-            this.stream.add({ type: OperationType.REMOVE_CLASS, nodeId, className });
-        } else {
-            const classes = className.split(' ').filter(Boolean);
-            for (const singleClassName of classes) {
-                this.stream.add({ type: OperationType.ADD_CLASS, nodeId, className: singleClassName });
-            }
+    const invoke = (nextValue, prevValue) => {
+        if (cleanup) {
+            const cleanupFn = cleanup;
+            cleanup = null;
+            runWithDependencies(cleanupFn, null);
         }
+        const result = runWithDependencies(() => callback(nextValue, prevValue), null);
+        cleanup = typeof result === 'function' ? result : null;
+    };
+
+    const unsubscribe = subscribeToChanges(state, nextValue => {
+        const prevValue = previousValue;
+        previousValue = nextValue;
+        invoke(nextValue, prevValue);
+    });
+    if (immediate) invoke(previousValue, undefined);
+
+    let disposed = false;
+    return () => {
+        if (disposed) return;
+        disposed = true;
+        unsubscribe();
+        if (cleanup) runWithDependencies(cleanup, null);
+        cleanup = null;
+    };
+}
+
+/**
+ * @private
+ * @param {string|Array<string|number>} path - A dot-separated path (e.g. 'user.profile.name') or an array of keys.
+ * @returns {Array<string>} The path split into keys.
+ */
+const toPathKeys = (path) => Array.isArray(path) ? path.map(String) : String(path).split('.').filter(Boolean);
+
+/**
+ * @private
+ * @param {*} source - The object to read from.
+ * @param {Array<string>} keys - The path keys.
+ * @returns {*} The value at the path, or undefined if any segment is missing.
+ */
+const getAtPath = (source, keys) => {
+    let current = source;
+    for (const key of keys) {
+        if (current === null || current === undefined) return undefined;
+        current = current[key];
     }
+    return current;
+};
+
+/**
+ * @private
+ * @param {*} source - The object to update.
+ * @param {Array<string>} keys - The path keys.
+ * @param {*} value - The new value at the path.
+ * @returns {*} A copy of `source` where only the objects along the path are replaced, or `source` itself if the value is unchanged.
+ */
+const setAtPath = (source, keys, value) => {
+    if (keys.length === 0) return value;
+    const [key, ...rest] = keys;
+    const container = source !== null && typeof source === 'object' ? source : {};
+    const nextChild = setAtPath(container[key], rest, value);
+    if (container === source && Object.is(container[key], nextChild)) return source;
+    const copy = Array.isArray(container) ? container.slice() : { ...container };
+    copy[key] = nextChild;
+    return copy;
+};
+
+/**
+ * @typedef {object} StoreAction
+ * @property {string} type - The action type, i.e. the name of the reducer handling it.
+ * @property {*} [payload] - The data passed to the reducer.
+ */
 
+/**
+ * @template T
+ * @param {T} initialState - The initial nested state object.
+ * @param {object} [options] - Store options.
+ * @param {Object<string, function(T, *, StoreAction): T>} [options.reducers] - Pure functions computing the next state, keyed by action type.
+ * Each reducer also becomes an action creator in `store.actions`.
+ * @param {Array<function({getState: function(): T, dispatch: function(*): *}): function(function(StoreAction): *): function(StoreAction): *>} [options.middleware]
+ * - Middleware wrapping `dispatch`, in the form `store => next => action => result`. The first middleware sees each action first.
+ * @returns {{state: ChainState<T>, select: function((string|Array<string|number>|function(T): *), StateOptions=): ChainState<any>, get: function((string|Array<string|number>)=): any, set: function((string|Array<string|number>), any): void, update: function((string|Array<string|number>), function(any): any): void, dispatch: function(StoreAction|function(function(*): *, function(): T): *): *, actions: Object<string, function(*=): *>}} The store.
+ * @description Creates a reactive store for a nested object. `select(path)` returns a writable `ChainState` for a single path,
+ * and updates replace only the objects along the changed path, so states selecting unrelated paths are not notified.
+ * `select(fn)` returns a memoized read-only state derived from the whole store. Stores declaring `reducers` can also be changed by dispatching actions.
+ * @example
+ * const store = createStore({ user: { profile: { name: 'Ada' } }, theme: 'dark' });
+ * const name = store.select('user.profile.name');
+ * h('p').child(name);
+ * store.set('user.profile.name', 'Grace'); // only bindings of 'user', 'user.profile' and 'user.profile.name' update
+ * @example
+ * const cart = createStore({ items: [] }, {
+ *   reducers: {
+ *     addItem: (state, item) => ({ ...state, items: [...state.items, item] }),
+ *     clear: (state) => ({ ...state, items: [] })
+ *   },
+ *   middleware: [store => next => action => { console.log(action.type); return next(action); }]
+ * });
+ * const count = cart.select(state => state.items.length);
+ * cart.actions.addItem({ id: 1 });
+ * cart.dispatch(async (dispatch) => dispatch({ type: 'addItem', payload: await fetchItem() }));
+ */
+export function createStore(initialState, options = {}) {
+    const { reducers = {}, middleware = [] } = options;
+    const root = createState(initialState);
     /**
-     * @param {string|object} name - The attribute name, style property name, class name, or an object containing attr/style/class configurations.
-     * @param {*|ChainState<any>} [value] - The corresponding value, which can be a regular value or a ChainState instance.
-     * @param {'attr'|'style'|'class'} [type] - Optional parameter to explicitly specify the type of setting (attribute, style, or class).
-     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
-     * @description Sets an element's attributes, styles, or classes in a unified manner.
-     * @example
-     * h('div').set('id', 'myDiv');
-     * h('div').set('color', 'red', 'style');
-     * h('div').set('active', true, 'class');
-     * h('div').set({ attr: { id: 'myDiv' }, style: { color: 'red' }, class: { active: true } });
+     * @private
+     * @type {Map<string, ChainState<any>>}
+     * @description Selected path states that have subscribers, cached by their JSON-encoded path keys.
      */
-    set(name, value, type) {
-        if (typeof name === 'object' && name !== null && arguments.length === 1) {
-            const config = name;
-            if (config.attr) {
-                for (const [k, v] of Object.entries(config.attr)) {
-                    this._setAttr(k, v);
-                }
-            }
-            if (config.style) {
-                for (const [k, v] of Object.entries(config.style)) {
-                    this._setStyle(k, v);
-                }
-            }
-            if (config.class) {
-                if (typeof config.class === 'string') {
-                    this._setClass(config.class, true);
-                } else if (Array.isArray(config.class)) {
-                    for (const c of config.class) {
-                        this._setClass(c, true);
-                    }
-                } else if (typeof config.class === 'object') {
-                    for (const [k, v] of Object.entries(config.class)) {
-                        this._setClass(k, v);
-                    }
-                }
-            }
-            return this;
-        }
+    const selections = new Map();
+    /**
+     * @private
+     * @type {WeakMap<function(T): *, ChainState<any>>}
+     * @description Selector states, cached by their selector function.
+     */
+    const selectorStates = new WeakMap();
+    let isReducing = false;
 
-        if (typeof name === 'string') {
-            if (!type) {
-                const isStyle = typeof document !== 'undefined' && (name in document.documentElement.style);
-                type = (name.startsWith('data-') || name.includes('-')) ? 'attr' : isStyle ? 'style' : 'attr';
-            }
-            
-            switch (type) {
-                case 'style': this._setStyle(name, value); break;
-                case 'class': this._setClass(name, value); break;
-                case 'attr': 
-                default: this._setAttr(name, value); break;
+    /**
+     * @param {string|Array<string|number>} path - The path to update.
+     * @param {*} value - The new value.
+     * @returns {void}
+     */
+    const set = (path, value) => {
+        root.value = setAtPath(root.value, toPathKeys(path), value);
+    };
+
+    /**
+     * @param {string|Array<string|number>} path - The path to update.
+     * @param {function(*): *} updater - Receives the current value at the path and returns the new one.
+     * @returns {void}
+     */
+    const update = (path, updater) => {
+        const keys = toPathKeys(path);
+        root.value = setAtPath(root.value, keys, updater(getAtPath(root.value, keys)));
+    };
+
+    /**
+     * @param {string|Array<string|number>} [path] - The path to read. Omit it to read the whole state.
+     * @returns {*} The current value at the path.
+     */
+    const get = (path = []) => getAtPath(root.value, toPathKeys(path));
+
+    /**
+     * @param {string|Array<string|number>|function(T): *} path - The path to select, or a selector function receiving the whole state.
+     * @param {StateOptions} [selectOptions] - For selector functions, options for the derived state, e.g. `{ equals: shallowEqual }`.
+     * @returns {ChainState<any>} A state for the value at the path, which updates the store when assigned, or a read-only state for the selector.
+     */
+    const select = (path, selectOptions) => {
+        if (typeof path === 'function') {
+            if (!selectorStates.has(path)) {
+                selectorStates.set(path, computed(() => path(root.value), selectOptions));
             }
+            return selectorStates.get(path);
         }
-        return this;
-    }
+        const keys = toPathKeys(path);
+        const cacheKey = JSON.stringify(keys);
+        if (selections.has(cacheKey)) return selections.get(cacheKey);
+
+        const derived = computed(() => getAtPath(root.value, keys));
+        let subscriberCount = 0;
+        const selection = {
+            get value() { return derived.value; },
+            set value(newValue) { set(keys, newValue); },
+            /**
+             * @param {function(*): *|*} updater - A function to update the value at the path, or a new value.
+             * @returns {void}
+             */
+            update(updater) {
+                if (typeof updater === 'function') {
+                    update(keys, updater);
+                } else {
+                    set(keys, updater);
+                }
+            },
+            /**
+             * @param {function(*): void} callback - Called with the current value and on every change.
+             * @returns {function(): void} A function that unsubscribes.
+             * @description Subscribes to the value at the path. The selection stays cached while it has subscribers.
+             */
+            subscribe(callback) {
+                const unsubscribe = derived.subscribe(callback);
+                subscriberCount++;
+                if (!selections.has(cacheKey)) selections.set(cacheKey, selection);
+                let isSubscribed = true;
+                return () => {
+                    if (!isSubscribed) return;
+                    isSubscribed = false;
+                    unsubscribe();
+                    subscriberCount--;
+                    if (subscriberCount === 0 && selections.get(cacheKey) === selection) selections.delete(cacheKey);
+                };
+            },
+            toString: derived.toString,
+            map: derived.map,
+            isMapped: true
+        };
+        return selection;
+    };
 
     /**
-     * @param {string} eventType - The event type (e.g., 'click', 'input').
-     * @param {function(Event): void} handler - The event handler function.
-     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
-     * @description Adds an event listener to the element.
+     * @private
+     * @returns {T} The current state, read without registering a dependency.
      */
-    on(eventType, handler) {
-        const actionId = generateId('action');
-        this.stream.add({ type: OperationType.ADD_EVENT_LISTENER, nodeId: this.nodeId, eventType, actionId, handler });
-        
-        if (typeof window !== 'undefined') {
-            let runtime = null;
-            
-            if (arguments.length > 2 && arguments[2] && typeof arguments[2] === 'object' && arguments[2].eventDelegator) {
-                runtime = arguments[2];
-            }
-            else if (typeof window.__CHAIN_ACTIVE_RUNTIME__ !== 'undefined') {
-                runtime = window.__CHAIN_ACTIVE_RUNTIME__;
-            }
-            
-            if (runtime) {
-                runtime.eventDelegator.registerHandlers([{ actionId, handler }]);
-                runtime.eventDelegator.delegate(eventType);
+    const getState = () => runWithDependencies(() => root.value, null);
+
+    /**
+     * @private
+     * @param {StoreAction} action - The action to reduce.
+     * @returns {StoreAction} The action.
+     * @throws {Error} Throws an error when the action is not a plain object with a type, or when a reducer dispatches.
+     */
+    const reduce = (action) => {
+        if (!action || typeof action !== 'object' || typeof action.type !== 'string') {
+            throw new Error('Actions must be objects with a string "type" property.');
+        }
+        if (isReducing) throw new Error('Reducers may not dispatch actions.');
+        const reducer = reducers[action.type];
+        if (typeof reducer === 'function') {
+            let nextState;
+            isReducing = true;
+            try {
+                nextState = reducer(getState(), action.payload, action);
+            } finally {
+                isReducing = false;
             }
+            root.value = nextState;
         }
-        
-        this.eventHandlers.push({ actionId, eventType, handler });
-        return this;
-    }
+        return action;
+    };
 
     /**
      * @private
-     * @param {string|ChainState<string>} content - The text content, which can be a string or a ChainState instance.
-     * @returns {void}
-     * @description Internal method to create and append a text child node.
+     * @type {function(StoreAction): *}
      */
-    _createTextChild(content) {
-        const textNodeId = generateId('text');
-        const isState = content && typeof content.subscribe === 'function';
-        const initialContent = isState ? content.value : content;
-        const processedContent = valueToString(initialContent);
+    let dispatchAction = reduce;
 
-        this.stream.add({ type: OperationType.CREATE_TEXT_NODE, nodeId: textNodeId, content: processedContent });
-        this.stream.add({ type: OperationType.APPEND_CHILD, parentId: this.nodeId, childId: textNodeId });
+    /**
+     * @param {StoreAction|function(function(*): *, function(): T): *} action - The action to dispatch, or a function (thunk) called with `dispatch` and `getState`.
+     * @returns {*} The result of the middleware chain, or the thunk's return value.
+     */
+    const dispatch = (action) => typeof action === 'function' ? action(dispatch, getState) : dispatchAction(action);
 
-        if (isState) {
-            this.stream.add({
-                type: OperationType.BIND_STATE,
-                nodeId: this.nodeId,
-                stateId: generateId('state'),
-                updateFn: (val, updateStream) => {
-                    updateStream.add({ type: OperationType.SET_TEXT_CONTENT, nodeId: textNodeId, content: valueToString(val) });
-                },
-                state: content
-            });
+    const middlewareApi = { getState, dispatch };
+    dispatchAction = middleware.reduceRight((next, mw) => mw(middlewareApi)(next), reduce);
+
+    /**
+     * @type {Object<string, function(*=): *>}
+     * @description Action creators that dispatch `{ type, payload }` for each reducer.
+     */
+    const actions = {};
+    Object.keys(reducers).forEach(type => {
+        actions[type] = (payload) => dispatch({ type, payload });
+    });
+
+    return { state: root, select, get, set, update, dispatch, actions };
+}
+
+/**
+ * @template S, T
+ * @param {ChainState<S>|function(): S} source - The state whose value is passed to the fetcher, or a getter whose read states are tracked.
+ * While the source value is `null`, `undefined` or `false`, no request is made.
+ * @param {function(S, {signal: AbortSignal|undefined, previous: T|undefined}): Promise<T>|T} fetcher - Loads the data for a source value. The signal is aborted when the request becomes stale.
+ * @param {object} [options] - Resource options.
+ * @param {T} [options.initialValue] - The value of `data` before the first request completes.
+ * @returns {{data: ChainState<T|undefined>, loading: ChainState<boolean>, error: ChainState<*>, refetch: function(): Promise<T|undefined>, mutate: function(T): void}} The resource.
+ * @description Creates reactive `data`, `loading` and `error` states for asynchronous data. The resource starts fetching when one of its
+ * states is first observed (e.g. bound by a runtime), re-fetches when the source changes, and aborts the pending request when a newer one starts
+ * or when nothing observes the resource any more, such as after the owning runtime is destroyed.
+ * @example
+ * const userId = createState(1);
+ * const user = createResource(userId, (id, { signal }) => fetch(`/api/users/${id}`, { signal }).then(r => r.json()));
+ * h('div').when(user.loading, () => h('p').child('Loading...'), () => h('p').child(user.data.map(u => u?.name)));
+ */
+export function createResource(source, fetcher, options = {}) {
+    const sourceState = typeof source === 'function' ? computed(source) : source;
+    /**
+     * @private
+     * @type {number}
+     * @description The number of resource states that currently have subscribers.
+     */
+    let observedStates = 0;
+    /**
+     * @private
+     * @type {function(): void|null}
+     * @description Unsubscribes from the source while the resource is observed.
+     */
+    let unsubscribeSource = null;
+    /**
+     * @private
+     * @type {AbortController|null}
+     * @description The controller of the pending request.
+     */
+    let controller = null;
+    /**
+     * @private
+     * @type {number}
+     * @description Incremented for each request so that results of stale requests are ignored.
+     */
+    let requestVersion = 0;
+    let hasFetched = false;
+    /**
+     * @private
+     * @type {*}
+     * @description The source value of the last request.
+     */
+    let fetchedSourceValue;
+
+    /**
+     * @private
+     * @returns {function(): void} Releases the observation.
+     */
+    const observe = () => {
+        observedStates++;
+        if (observedStates === 1) start();
+        return () => {
+            observedStates--;
+            if (observedStates === 0) stop();
+        };
+    };
+
+    const data = createState(options.initialValue, { onObserve: observe });
+    const loading = createState(false, { onObserve: observe });
+    const error = createState(null, { onObserve: observe });
+
+    /**
+     * @private
+     * @returns {void}
+     * @description Aborts the pending request, if any.
+     */
+    const abort = () => {
+        requestVersion++;
+        if (controller) {
+            controller.abort();
+            controller = null;
         }
-    }
+    };
 
     /**
-     * @param {...(ChainElement|string|ChainState<string>|Array<ChainElement|string|ChainState<string>>)} children - One or more child elements, which can be ChainElement instances, strings, ChainState instances, or arrays thereof.
-     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
-     * @description Appends one or more child elements to the current element.
+     * @private
+     * @param {S} sourceValue - The source value to fetch data for.
+     * @returns {Promise<T|undefined>} Resolves with the loaded data, or the current data if the request was skipped, aborted or failed.
      */
-    child(...children) {
-        for (const childNode of children.flat()) {
-            if (childNode instanceof ChainElement) {
-                this.children.push(childNode);
-                this.stream.operations.push(...childNode.stream.getOperations());
-                this.stream.add({ type: OperationType.APPEND_CHILD, parentId: this.nodeId, childId: childNode.nodeId });
-                this.eventHandlers.push(...childNode.eventHandlers);
-            } else {
-                this._createTextChild(childNode);
-            }
+    const load = (sourceValue) => {
+        abort();
+        hasFetched = true;
+        fetchedSourceValue = sourceValue;
+        if (sourceValue === null || sourceValue === undefined || sourceValue === false) {
+            loading.value = false;
+            return Promise.resolve(data.value);
+        }
+
+        const version = requestVersion;
+        const requestController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        controller = requestController;
+        batch(() => {
+            loading.value = true;
+            error.value = null;
+        });
+
+        let request;
+        try {
+            request = Promise.resolve(fetcher(sourceValue, { signal: requestController?.signal, previous: data.value }));
+        } catch (err) {
+            request = Promise.reject(err);
         }
-        return this;
-    }
+
+        return request.then(result => {
+            if (version !== requestVersion) return data.value;
+            controller = null;
+            batch(() => {
+                data.value = result;
+                loading.value = false;
+            });
+            return result;
+        }, err => {
+            if (version !== requestVersion) return data.value;
+            controller = null;
+            batch(() => {
+                error.value = err;
+                loading.value = false;
+            });
+            return data.value;
+        });
+    };
 
     /**
-     * @param {string} selector - The CSS selector of the DOM element to which the component will be mounted.
+     * @private
      * @returns {void}
-     * @description Mounts the current element to the specified DOM selector. This method is typically called at the end of a ChainElement chain.
+     * @description Starts following the source when the resource becomes observed.
      */
-    mount(selector) {
-        this.stream.add({ type: OperationType.MOUNT, nodeId: this.nodeId, selector });
-    }
+    const start = () => {
+        unsubscribeSource = subscribeToChanges(sourceState, load);
+        const sourceValue = runWithDependencies(() => sourceState.value, null);
+        if (!hasFetched || !Object.is(sourceValue, fetchedSourceValue)) load(sourceValue);
+    };
 
     /**
-     * @param {ChainState<boolean>} state - A boolean reactive state to control conditional rendering.
-     * @param {function(): ChainElement} trueFactory - A factory function to create the component when the state is true.
-     * @param {function(): ChainElement} [falseFactory] - An optional factory function to create the component when the state is false.
-     * @param {object} [options] - Rendering options.
-     * @param {boolean} [options.keepAlive=false] - If true, both components will be created and toggled visible/hidden based on state, instead of destroyed/recreated.
-     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
-     * @description Conditionally renders one of two components based on the value of a reactive state.
+     * @private
+     * @returns {void}
+     * @description Stops following the source and aborts the pending request when the resource is no longer observed.
      */
-    when(state, trueFactory, falseFactory, options = {}) {
-        const { keepAlive = false } = options;
-        
-        if (keepAlive) {
-            const trueComponent = trueFactory();
-            const falseComponent = falseFactory ? falseFactory() : null;
-            
-            if (trueComponent) {
-                trueComponent.set('display', state.map(v => v ? 'block' : 'none'), 'style');
-                this.child(trueComponent);
-            }
-            
-            if (falseComponent) {
-                falseComponent.set('display', state.map(v => v ? 'none' : 'block'), 'style');
-                this.child(falseComponent);
+    const stop = () => {
+        if (unsubscribeSource) {
+            unsubscribeSource();
+            unsubscribeSource = null;
+        }
+        if (controller) {
+            abort();
+            hasFetched = false;
+            loading.value = false;
+        }
+    };
+
+    return {
+        data,
+        loading,
+        error,
+        /**
+         * @returns {Promise<T|undefined>} Fetches again for the current source value, even if the resource is not observed.
+         */
+        refetch: () => load(runWithDependencies(() => sourceState.value, null)),
+        /**
+         * @param {T} value - The value to set without fetching, e.g. for optimistic updates.
+         * @returns {void}
+         */
+        mutate: (value) => { data.value = value; }
+    };
+}
+
+/**
+ * @template T
+ * @param {ChainState<T>} state - The state whose changes are recorded.
+ * @param {object} [options] - History options.
+ * @param {number} [options.limit=100] - The maximum number of undo entries kept. The oldest entries are dropped first.
+ * @returns {{state: ChainState<T>, undo: function(): void, redo: function(): void, canUndo: ChainState<boolean>, canRedo: ChainState<boolean>, group: function(function(): *): *, clear: function(): void, dispose: function(): void}} The history controller.
+ * @description Records the values of a state so that changes can be undone and redone. Any change made to the state, including
+ * through `update`, creates an entry; changes made inside `group()` create a single entry. A new change clears the redo entries.
+ * @example
+ * const text = createState('');
+ * const history = withHistory(text, { limit: 50 });
+ * h('button').set('disabled', history.canUndo.map(v => !v)).on('click', () => history.undo()).child('Undo');
+ */
+export function withHistory(state, options = {}) {
+    const { limit = 100 } = options;
+    /**
+     * @private
+     * @type {Array<T>}
+     * @description Values to restore on undo, oldest first.
+     */
+    let past = [];
+    /**
+     * @private
+     * @type {Array<T>}
+     * @description Values to restore on redo, most recently undone last.
+     */
+    let future = [];
+    /**
+     * @private
+     * @type {T}
+     * @description The value the history last observed.
+     */
+    let lastValue = runWithDependencies(() => state.value, null);
+    let groupDepth = 0;
+    /**
+     * @private
+     * @type {T}
+     * @description The value before the outermost running group.
+     */
+    let groupStartValue;
+
+    const canUndo = createState(false);
+    const canRedo = createState(false);
+
+    /**
+     * @private
+     * @returns {void}
+     */
+    const syncFlags = () => batch(() => {
+        canUndo.value = past.length > 0;
+        canRedo.value = future.length > 0;
+    });
+
+    /**
+     * @private
+     * @param {T} previousValue - The value to restore when the entry is undone.
+     * @returns {void}
+     */
+    const record = (previousValue) => {
+        past.push(previousValue);
+        if (past.length > limit) past.splice(0, past.length - limit);
+        future = [];
+        syncFlags();
+    };
+
+    const unsubscribe = subscribeToChanges(state, nextValue => {
+        if (Object.is(nextValue, lastValue)) return;
+        const previousValue = lastValue;
+        lastValue = nextValue;
+        if (groupDepth === 0) record(previousValue);
+    });
+
+    return {
+        state,
+        canUndo,
+        canRedo,
+        /**
+         * @returns {void}
+         * @description Restores the value before the last recorded change.
+         */
+        undo() {
+            if (past.length === 0) return;
+            const previousValue = past.pop();
+            future.push(lastValue);
+            lastValue = previousValue;
+            state.value = previousValue;
+            syncFlags();
+        },
+        /**
+         * @returns {void}
+         * @description Re-applies the last undone change.
+         */
+        redo() {
+            if (future.length === 0) return;
+            const nextValue = future.pop();
+            past.push(lastValue);
+            lastValue = nextValue;
+            state.value = nextValue;
+            syncFlags();
+        },
+        /**
+         * @template R
+         * @param {function(): R} fn - A function making several changes to the state.
+         * @returns {R} The return value of `fn`.
+         * @description Records all changes made by `fn` as a single history entry.
+         */
+        group(fn) {
+            if (groupDepth === 0) groupStartValue = lastValue;
+            groupDepth++;
+            try {
+                return fn();
+            } finally {
+                groupDepth--;
+                if (groupDepth === 0 && !Object.is(groupStartValue, lastValue)) record(groupStartValue);
             }
-        } else {
-            const placeholder = new ChainElement('div').set('data-chain-placeholder', 'true', 'attr');
-            this.child(placeholder);
-    
-            /**
-             * @param {boolean} value - The current value of the state.
-             * @this {ChainRuntime}
-             * @returns {void}
-             */
-            const updateFn = function(value) {
-                const parentNode = this.nodeMap?.get(placeholder.nodeId);
-                if (!parentNode) return;
-                
-                const oldChildId = parentNode.dataset.childNodeId;
-                if (oldChildId) {
-                    const oldChildNode = this.nodeMap.get(oldChildId);
-                    if (oldChildNode) {
-                        this.cleanupNodeTree(oldChildNode);
-                        if (parentNode.contains(oldChildNode)) {
-                            parentNode.removeChild(oldChildNode);
-                        }
-                    }
-                    this.nodeMap.delete(oldChildId);
-                    delete parentNode.dataset.childNodeId;
-                }
+        },
+        /**
+         * @returns {void}
+         * @description Removes all undo and redo entries.
+         */
+        clear() {
+            past = [];
+            future = [];
+            syncFlags();
+        },
+        /**
+         * @returns {void}
+         * @description Stops recording changes.
+         */
+        dispose() {
+            unsubscribe();
+        }
+    };
+}
 
-                const factoryToUse = value ? trueFactory : falseFactory;
-                if (factoryToUse) {
-                    const newComponent = factoryToUse();
-                    if (newComponent) {
-                        const runtime = this;
-                        runtime.executeOperations(newComponent.stream);
-                        const newNode = runtime.nodeMap.get(newComponent.nodeId);
-                        if (newNode) {
-                            parentNode.appendChild(newNode);
-                            parentNode.dataset.childNodeId = newComponent.nodeId;
-                            runtime.bindOperations(newComponent.stream);
-                            
-                            if (newNode instanceof HTMLInputElement || newNode instanceof HTMLTextAreaElement) {
-                                setTimeout(() => newNode.focus(), 10);
-                            }
-                        }
-                    }
-                }
-            };
-    
-            this.stream.add({
-                type: OperationType.BIND_STATE,
-                nodeId: placeholder.nodeId,
-                stateId: generateId('when'),
-                updateFn,
-                state: state
-            });
+/**
+ * @typedef {object} StorageAdapter
+ * @property {function(string): (string|null)} getItem - Returns the stored string for a key, or null.
+ * @property {function(string, string): void} setItem - Stores a string for a key.
+ * @property {function(string): void} removeItem - Removes a key.
+ */
+
+/**
+ * @param {Object<string, string>} [initialEntries={}] - Entries to pre-populate the storage with.
+ * @returns {StorageAdapter} A storage adapter that keeps its entries in memory.
+ * @description Creates an in-memory storage adapter, for tests and server-side rendering.
+ */
+export function createMemoryStorage(initialEntries = {}) {
+    const entries = new Map(Object.entries(initialEntries));
+    return {
+        getItem: (key) => entries.has(key) ? entries.get(key) : null,
+        setItem: (key, value) => { entries.set(key, String(value)); },
+        removeItem: (key) => { entries.delete(key); }
+    };
+}
+
+/**
+ * @private
+ * @param {'local'|'session'|'memory'|StorageAdapter} storage - The storage option.
+ * @returns {StorageAdapter} The storage adapter to use. Falls back to memory storage when Web Storage is unavailable.
+ */
+const resolveStorage = (storage) => {
+    if (storage && typeof storage === 'object') return storage;
+    if (storage !== 'memory' && typeof window !== 'undefined') {
+        try {
+            const webStorage = storage === 'session' ? window.sessionStorage : window.localStorage;
+            if (webStorage) return webStorage;
+        } catch (e) {
+            // Access to Web Storage can throw, e.g. when it is disabled by privacy settings.
         }
-        return this;
     }
-    
+    return createMemoryStorage();
+};
+
+/**
+ * @template T
+ * @param {string} key - The storage key.
+ * @param {T} initialValue - The value used when nothing (valid) is stored.
+ * @param {object} [options] - Persistence options.
+ * @param {'local'|'session'|'memory'|StorageAdapter} [options.storage='local'] - Where to store the value. Falls back to memory storage when `window` is undefined.
+ * @param {function({version: number, value: T}): string} [options.serialize=JSON.stringify] - Converts the stored record to a string.
+ * @param {function(string): {version: number, value: *}} [options.deserialize=JSON.parse] - Converts a stored string back to a record.
+ * @param {number} [options.version=0] - The version of the stored value's shape.
+ * @param {function(*, number): T} [options.migrate] - Converts a value stored with another version. Without it, such values are discarded.
+ * @param {function(*, *): boolean} [options.equals] - See `createState`.
+ * @param {function(Error, 'restore'|'persist'): void} [options.onError] - Called with the error when the stored value cannot be read,
+ * deserialized or migrated (`'restore'`), or when a change cannot be written (`'persist'`). Such errors are ignored otherwise.
+ * @returns {ChainState<T>} A state initialized from storage that writes every change back.
+ * @description Creates a state whose value survives reloads.
+ * @example
+ * const theme = createPersistedState('theme', 'light');
+ * const settings = createPersistedState('settings', { fontSize: 14 }, {
+ *   version: 2,
+ *   migrate: (old, version) => version === 1 ? { fontSize: old.size } : { fontSize: 14 }
+ * });
+ */
+export function createPersistedState(key, initialValue, options = {}) {
+    const {
+        storage = 'local',
+        serialize = JSON.stringify,
+        deserialize = JSON.parse,
+        version = 0,
+        migrate,
+        onError,
+        ...stateOptions
+    } = options;
+    const adapter = resolveStorage(storage);
+
+    let restoredValue = initialValue;
+    let migrated = false;
+    try {
+        const raw = adapter.getItem(key);
+        if (raw !== null && raw !== undefined) {
+            const record = deserialize(raw);
+            if (record && record.version === version) {
+                restoredValue = record.value;
+            } else if (record && typeof migrate === 'function') {
+                restoredValue = migrate(record.value, record.version);
+                migrated = true;
+            }
+        }
+    } catch (e) {
+        onError?.(e, 'restore');
+    }
+
+    const state = createState(restoredValue, stateOptions);
     /**
-     * @returns {{html: string, eventHandlers: Array<{actionId: string, eventType: string, handler: function(Event): void}>}} An object containing the HTML string and event handler data, for SSR.
-     * @description Converts the current element and its children into an HTML string, for Server-Side Rendering (SSR).
+     * @private
+     * @param {T} value - The value to store.
+     * @returns {void}
      */
-    toHtml() {
+    const persist = (value) => {
+        try {
+            adapter.setItem(key, serialize({ version, value }));
+        } catch (e) {
+            onError?.(e, 'persist');
+        }
+    };
+    if (migrated) persist(restoredValue);
+    subscribeToChanges(state, persist);
+    return state;
+}
+
+/**
+ * @typedef {object} ListPatch
+ * @property {'insert'|'remove'|'move'|'update'|'reset'} type - The kind of change.
+ * @property {number} [index] - For insert, remove and update, the index of the first affected item.
+ * @property {number} [count] - For remove, the number of removed items.
+ * @property {number} [from] - For move, the previous index of the item.
+ * @property {number} [to] - For move, the new index of the item.
+ * @property {*} [item] - For update, the new item.
+ * @property {Array<*>} [items] - For insert, the inserted items; for reset, the whole new list.
+ */
+
+/**
+ * @template T
+ * @param {Array<T>} [initialItems=[]] - The initial items of the list.
+ * @param {StateOptions} [options] - Options for the state.
+ * @returns {ChainState<Array<T>>} An array state with `push`, `insert`, `remove`, `move` and `updateAt` methods, and a `subscribePatches` method
+ * that reports each change as a list of patches instead of the whole array.
+ * @description Creates a reactive list whose changes can be applied without reconciling the whole list. When bound with `map()`,
+ * each method call is turned into targeted DOM operations; assigning a new array to `value` still reconciles the whole list.
+ * @example
+ * const todos = createListState([{ id: 1, text: 'Write docs' }]);
+ * h('ul').child(map(todos, todo => h('li').child(todo.text)));
+ * todos.push({ id: 2, text: 'Ship it' });
+ * todos.move(1, 0);
+ * todos.updateAt(0, todo => ({ ...todo, text: 'Ship it now' }));
+ */
+export function createListState(initialItems = [], options = {}) {
+    const state = createState(initialItems, options);
+    /**
+     * @private
+     * @type {Set<{callback: function(Array<ListPatch>, Array<T>): void, base: Array<T>}>}
+     * @description The patch subscribers, with the list value each of them last received.
+     */
+    const patchListeners = new Set();
+    /**
+     * @private
+     * @type {Array<ListPatch>|null}
+     * @description The patches made since the last notification, or null when the list was also assigned directly.
+     */
+    let pendingPatches = [];
+    /**
+     * @private
+     * @type {Array<T>}
+     * @description The value the pending patches start from.
+     */
+    let deliveredValue = initialItems;
+    /**
+     * @private
+     * @type {Array<T>}
+     * @description The value the pending patches lead to.
+     */
+    let patchedValue = initialItems;
+    let stopListening = null;
+
+    /**
+     * @private
+     * @returns {Array<T>} The current items, read without registering a dependency.
+     */
+    const read = () => runWithDependencies(() => state.value, null);
+
+    /**
+     * @private
+     * @param {Array<T>} value - The notified value.
+     * @returns {void}
+     * @description Delivers the pending patches to the patch subscribers. Subscribers that did not see the starting value,
+     * and changes that were not made through the list methods, are reported as a single reset patch.
+     */
+    const deliver = (value) => {
+        const reset = [{ type: 'reset', items: value }];
+        const patches = pendingPatches && value === patchedValue ? pendingPatches : reset;
+        const startValue = deliveredValue;
+        pendingPatches = [];
+        deliveredValue = patchedValue = value;
+        patchListeners.forEach(listener => {
+            const listenerPatches = listener.base === startValue ? patches : reset;
+            listener.base = value;
+            if (listenerPatches.length > 0) listener.callback(listenerPatches, value);
+        });
+    };
+
+    /**
+     * @private
+     * @param {ListPatch} patch - The patch describing the change.
+     * @param {Array<T>} current - The value the change was made on.
+     * @param {Array<T>} next - The new value.
+     * @returns {void}
+     */
+    const commit = (patch, current, next) => {
+        if (patchListeners.size > 0) {
+            if (current !== patchedValue) pendingPatches = null;
+            if (pendingPatches) pendingPatches.push(patch);
+            patchedValue = next;
+        }
+        state.value = next;
+    };
+
+    return Object.assign(state, {
         /**
-         * @private
-         * @param {*} text - The text to escape.
-         * @returns {string} The escaped HTML string.
+         * @param {...T} items - The items to append.
+         * @returns {number} The new length of the list.
          */
-        const escapeHtml = (text) => {
-            if (typeof text !== 'string') return String(text);
-            return text
-                .replace(/&/g, '&')
-                .replace(/</g, '<')
-                .replace(/>/g, '>')
-                .replace(/"/g, '"')
-                .replace(/'/g, '&#039;');
-        };
-        
+        push(...items) {
+            const current = read();
+            if (items.length > 0) commit({ type: 'insert', index: current.length, items }, current, [...current, ...items]);
+            return current.length + items.length;
+        },
         /**
-         * @type {Array<{actionId: string, eventType: string, handler: function(Event): void}>}
-         * @description Array to collect event handlers.
+         * @param {number} index - The index to insert at. It is clamped to the bounds of the list.
+         * @param {...T} items - The items to insert.
+         * @returns {void}
          */
-        const eventHandlers = [];
+        insert(index, ...items) {
+            const current = read();
+            if (items.length === 0) return;
+            const at = Math.max(0, Math.min(index, current.length));
+            commit({ type: 'insert', index: at, items }, current, [...current.slice(0, at), ...items, ...current.slice(at)]);
+        },
         /**
-         * @type {Set<string>}
-         * @description Set to track seen action IDs to avoid duplicates.
+         * @param {number} index - The index of the first item to remove.
+         * @param {number} [count=1] - The number of items to remove.
+         * @returns {Array<T>} The removed items.
          */
-        const seenActionIds = new Set();
-        
+        remove(index, count = 1) {
+            const current = read();
+            if (index < 0 || index >= current.length || count < 1) return [];
+            const next = current.slice();
+            const removed = next.splice(index, count);
+            commit({ type: 'remove', index, count: removed.length }, current, next);
+            return removed;
+        },
         /**
-         * @private
-         * @param {ChainElement} element - The element to collect event handlers from.
+         * @param {number} from - The current index of the item.
+         * @param {number} to - The index the item should end up at.
          * @returns {void}
          */
-        const collectEventHandlers = (element) => {
-            if (element.eventHandlers?.length > 0) {
-                element.eventHandlers.forEach(handler => {
-                    if (!seenActionIds.has(handler.actionId)) {
-                        eventHandlers.push(handler);
-                        seenActionIds.add(handler.actionId);
-                    }
-                });
-            }
-            if (element.children) {
-                element.children.forEach(child => {
-                    if (child instanceof ChainElement) {
-                        collectEventHandlers(child);
-                    }
-                });
-            }
-        };
-        collectEventHandlers(this);
-        
+        move(from, to) {
+            const current = read();
+            if (from === to || from < 0 || to < 0 || from >= current.length || to >= current.length) return;
+            const next = current.slice();
+            next.splice(to, 0, next.splice(from, 1)[0]);
+            commit({ type: 'move', from, to }, current, next);
+        },
         /**
-         * @private
-         * @param {ChainElement|string} element - The element or text to generate HTML for.
-         * @returns {string} The generated HTML string.
+         * @param {number} index - The index of the item to replace.
+         * @param {function(T): T|T} updater - A function receiving the current item, or the new item.
+         * @returns {void}
          */
-        const generateHtml = (element) => {
-            if (element instanceof ChainElement) {
-                if (!element.tagName) return '';
-                
-                let html = `<${element.tagName}`;
-                const ops = element.stream.getOperations();
-                const attributeOps = ops.filter(op => op.type === OperationType.SET_ATTRIBUTE && op.nodeId === element.nodeId);
-                const styleOps = ops.filter(op => op.type === OperationType.SET_STYLE && op.nodeId === element.nodeId);
-                const eventOps = ops.filter(op => op.type === OperationType.ADD_EVENT_LISTENER && op.nodeId === element.nodeId);
-                
-                for (const op of attributeOps) {
-                    html += ` ${op.name}="${escapeHtml(String(op.value))}"`;
-                }
-                
-                if (styleOps.length > 0) {
-                    let styleStr = '';
-                    for (const op of styleOps) {
-                        styleStr += `${op.property}: ${escapeHtml(String(op.value))}; `;
-                    }
-                    html += ` style="${escapeHtml(styleStr.trim())}"`;
-                }
-                
-                for (const op of eventOps) {
-                    html += ` data-chain-action="${op.actionId}" data-chain-event="${op.eventType}"`;
-                }
-                
-                html += '>';
-                if (element.children) {
-                    for (const child of element.children) {
-                        html += generateHtml(child);
-                    }
-                }
-                
-                const textOps = ops.filter(op => 
-                    op.type === OperationType.CREATE_TEXT_NODE && 
-                    ops.some(parentOp => parentOp.type === OperationType.APPEND_CHILD && 
-                        parentOp.parentId === element.nodeId && parentOp.childId === op.nodeId)
-                );
-                
-                for (const op of textOps) {
-                    html += escapeHtml(op.content);
+        updateAt(index, updater) {
+            const current = read();
+            if (index < 0 || index >= current.length) return;
+            const item = typeof updater === 'function' ? updater(current[index]) : updater;
+            if (Object.is(item, current[index])) return;
+            const next = current.slice();
+            next[index] = item;
+            commit({ type: 'update', index, item }, current, next);
+        },
+        /**
+         * @param {function(Array<ListPatch>, Array<T>): void} callback - Called after each change with the patches and the new list.
+         * @returns {function(): void} A function to unsubscribe.
+         */
+        subscribePatches(callback) {
+            if (patchListeners.size === 0) {
+                pendingPatches = [];
+                deliveredValue = patchedValue = read();
+                stopListening = subscribeToChanges(state, deliver);
+            }
+            const listener = { callback, base: read() };
+            patchListeners.add(listener);
+            return () => {
+                if (patchListeners.delete(listener) && patchListeners.size === 0 && stopListening) {
+                    const stop = stopListening;
+                    stopListening = null;
+                    stop();
                 }
-                
-                html += `</${element.tagName}>`;
-                return html;
-            } else {
+            };
+        }
+    });
+}
+
+/**
+ * @typedef {object} SyncTransport
+ * @property {function(object): void} postMessage - Sends a message to the other endpoints of the channel.
+ * @property {function(function(object): void): function(): void} subscribe - Listens for messages from the other endpoints. Returns a function to stop listening.
+ * @property {function(): void} [close] - Releases the endpoint.
+ */
+
+/**
+ * @type {Map<string, Set<Set<function(object): void>>>}
+ * @description The listeners of each in-memory transport endpoint, grouped by channel name.
+ */
+const memoryChannels = new Map();
+
+/**
+ * @param {string} channelName - The name of the channel.
+ * @returns {SyncTransport} A transport endpoint that exchanges messages with the other in-memory endpoints of the same channel.
+ * @description Creates an in-process stand-in for `BroadcastChannel`, for tests and server-side rendering. Messages are delivered synchronously.
+ * @example
+ * const tabA = createState(0);
+ * const tabB = createState(0);
+ * syncState(tabA, 'counter', { transport: createMemoryTransport('counter') });
+ * syncState(tabB, 'counter', { transport: createMemoryTransport('counter') });
+ * tabA.value = 1; // tabB.value is now 1
+ */
+export function createMemoryTransport(channelName) {
+    if (!memoryChannels.has(channelName)) memoryChannels.set(channelName, new Set());
+    const endpoints = memoryChannels.get(channelName);
+    const listeners = new Set();
+    endpoints.add(listeners);
+    return {
+        postMessage(message) {
+            endpoints.forEach(other => {
+                if (other !== listeners) other.forEach(listener => listener(message));
+            });
+        },
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        close() {
+            listeners.clear();
+            endpoints.delete(listeners);
+            if (endpoints.size === 0) memoryChannels.delete(channelName);
+        }
+    };
+}
+
+/**
+ * @private
+ * @param {string} channelName - The name of the channel.
+ * @returns {SyncTransport|null} A transport backed by `BroadcastChannel`, or null when it is unavailable.
+ */
+const createBroadcastTransport = (channelName) => {
+    if (typeof BroadcastChannel === 'undefined') return null;
+    const channel = new BroadcastChannel(channelName);
+    return {
+        postMessage: (message) => channel.postMessage(message),
+        subscribe(listener) {
+            const handleMessage = (event) => listener(event.data);
+            channel.addEventListener('message', handleMessage);
+            return () => channel.removeEventListener('message', handleMessage);
+        },
+        close: () => channel.close()
+    };
+};
+
+/**
+ * @template T
+ * @param {ChainState<T>} state - The state to synchronize.
+ * @param {string} channelName - The channel shared by the states to keep in sync, e.g. `'cart'`.
+ * @param {object} [options] - Synchronization options.
+ * @param {SyncTransport} [options.transport] - The transport to use. Defaults to a `BroadcastChannel` named `channelName`.
+ * @returns {function(): void} A function that stops synchronizing and closes the transport.
+ * @description Keeps a state in sync with the states using the same channel in other tabs. Every local change is broadcast with a timestamp,
+ * and a received value is only applied if it is newer than the current one (last writer wins). Values received from other tabs are not
+ * broadcast again. When `BroadcastChannel` is unavailable and no transport is given, the state is left unsynchronized.
+ * Values must be supported by the structured clone algorithm.
+ * @example
+ * const cart = createPersistedState('cart', []);
+ * const stopSync = syncState(cart, 'cart');
+ */
+export function syncState(state, channelName, options = {}) {
+    const transport = options.transport || createBroadcastTransport(channelName);
+    if (!transport) return () => {};
+
+    const senderId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    /**
+     * @private
+     * @type {{timestamp: number, senderId: string}}
+     * @description When and by whom the current value was written. A timestamp of 0 means the value was never changed.
+     */
+    let lastWrite = { timestamp: 0, senderId: '' };
+    let hasRemoteValue = false;
+    let remoteValue;
+
+    /**
+     * @private
+     * @param {{timestamp: number, senderId: string}} write - The write to compare.
+     * @returns {boolean} Whether the write is newer than the one that produced the current value.
+     */
+    const isNewer = (write) => write.timestamp > lastWrite.timestamp ||
+        (write.timestamp === lastWrite.timestamp && write.senderId > lastWrite.senderId);
+
+    /**
+     * @private
+     * @param {T} value - The value to broadcast.
+     * @returns {void}
+     */
+    const broadcast = (value) => {
+        try {
+            transport.postMessage({ type: 'update', channelName, senderId: lastWrite.senderId, timestamp: lastWrite.timestamp, value });
+        } catch (e) {
+            console.warn(`Failed to synchronize state: ${channelName}`, e);
+        }
+    };
+
+    const unsubscribeState = subscribeToChanges(state, value => {
+        if (hasRemoteValue && Object.is(value, remoteValue)) {
+            hasRemoteValue = false;
+            remoteValue = undefined;
+            return;
+        }
+        hasRemoteValue = false;
+        remoteValue = undefined;
+        lastWrite = { timestamp: Math.max(Date.now(), lastWrite.timestamp + 1), senderId };
+        broadcast(value);
+    });
+
+    const unsubscribeTransport = transport.subscribe(message => {
+        if (!message || message.channelName !== channelName || message.senderId === senderId) return;
+        if (message.type === 'request') {
+            if (lastWrite.timestamp > 0) broadcast(runWithDependencies(() => state.value, null));
+            return;
+        }
+        if (message.type !== 'update' || !isNewer(message)) return;
+        lastWrite = { timestamp: message.timestamp, senderId: message.senderId };
+        hasRemoteValue = true;
+        remoteValue = message.value;
+        state.value = message.value;
+    });
+
+    try {
+        transport.postMessage({ type: 'request', channelName, senderId });
+    } catch (e) {
+        console.warn(`Failed to synchronize state: ${channelName}`, e);
+    }
+
+    let stopped = false;
+    return () => {
+        if (stopped) return;
+        stopped = true;
+        unsubscribeState();
+        unsubscribeTransport();
+        if (typeof transport.close === 'function') transport.close();
+    };
+}
+
+/**
+ * @type {number}
+ * @description The version of the wire format written by `OperationStream.serialize()`.
+ */
+const STREAM_FORMAT_VERSION = 1;
+
+/**
+ * @type {Map<string, function(...any[]): ChainElement>}
+ * @description Components created with `createComponent`, by name, used to restore factories of deserialized streams.
+ */
+const componentsByName = new Map();
+
+/**
+ * @type {WeakMap<function(...any[]): ChainElement, string>}
+ * @description The names of the components created with `createComponent`, used to serialize factories.
+ */
+const componentNames = new WeakMap();
+
+/**
+ * @typedef {object} BindingDescriptor
+ * @property {'text'|'attr'|'style'|'class'|'classList'|'when'} kind - What the bound state updates.
+ * @property {string} nodeId - The node that is updated: the text node, the element, or the `when()` placeholder.
+ * @property {string} [name] - For attr, the attribute name.
+ * @property {string} [property] - For style, the style property name.
+ * @property {string} [className] - For class, the class names toggled by the state.
+ * @property {function(): ChainElement} [trueFactory] - For when, the factory used while the state is truthy.
+ * @property {function(): ChainElement} [falseFactory] - For when, the factory used while the state is falsy.
+ */
+
+/**
+ * @private
+ * @param {BindingDescriptor} binding - The binding descriptor of a `when()` placeholder.
+ * @returns {function(this: ChainRuntime, boolean): void} The update function replacing the placeholder's content.
+ */
+const createWhenUpdateFn = (binding) => {
+    /**
+     * @param {boolean} value - The current value of the state.
+     * @this {ChainRuntime}
+     * @returns {void}
+     */
+    return function(value) {
+        if (!this.nodeAdapter) return;
+        const newNode = this.nodeMap.get(switchWhenContent(this.nodeAdapter, binding, value));
+        if (newNode instanceof HTMLInputElement || newNode instanceof HTMLTextAreaElement) {
+            setTimeout(() => newNode.focus(), 10);
+        }
+    };
+};
+
+/**
+ * @private
+ * @param {string|Array<string>|null|undefined} value - A space-separated class list, or an array of them. Falsy array entries are ignored.
+ * @returns {Array<string>} The individual class names.
+ */
+const toClassNames = (value) => [].concat(value ?? [])
+    .flatMap(entry => entry ? String(entry).split(/\s+/) : [])
+    .filter(Boolean);
+
+/**
+ * @private
+ * @param {BindingDescriptor} binding - The binding descriptor of a class list.
+ * @returns {function(this: object, string|Array<string>, OperationStream): void} The update function, which diffs the new class list against
+ * the previous one applied by the same runtime (`this`) and adds the ADD_CLASS and REMOVE_CLASS operations for the difference. A runtime
+ * calling it for the first time is diffed against the classes of the first call, which the element added to its stream when it was built.
+ */
+const createClassListUpdateFn = (binding) => {
+    const { nodeId } = binding;
+    /** @type {WeakMap<object, Set<string>>} */
+    const previousClasses = new WeakMap();
+    /** @type {Set<string>|null} */
+    let initialClasses = null;
+    return function(val, updateStream) {
+        const classes = new Set(toClassNames(val));
+        const previous = (this && previousClasses.get(this)) || initialClasses || new Set();
+        previous.forEach(className => {
+            if (!classes.has(className)) updateStream.add({ type: OperationType.REMOVE_CLASS, nodeId, className });
+        });
+        classes.forEach(className => {
+            if (!previous.has(className)) updateStream.add({ type: OperationType.ADD_CLASS, nodeId, className });
+        });
+        if (!initialClasses) initialClasses = classes;
+        if (this) previousClasses.set(this, classes);
+    };
+};
+
+/**
+ * @private
+ * @param {BindingDescriptor} binding - The binding descriptor.
+ * @returns {function(*, OperationStream): void|function(this: ChainRuntime, *): void} The update function of a BIND_STATE operation.
+ * @description Builds the update function of a state binding from its descriptor, so that bindings can be recreated after deserialization.
+ */
+const createBindingUpdateFn = (binding) => {
+    const { nodeId } = binding;
+    switch (binding.kind) {
+        case 'text':
+            return (val, updateStream) => {
+                updateStream.add({ type: OperationType.SET_TEXT_CONTENT, nodeId, content: valueToString(val) });
+            };
+        case 'attr':
+            return (val, updateStream) => {
+                updateStream.add({ type: OperationType.SET_ATTRIBUTE, nodeId, name: binding.name, value: val });
+            };
+        case 'style':
+            return (val, updateStream) => {
+                updateStream.add({ type: OperationType.SET_STYLE, nodeId, property: binding.property, value: val });
+            };
+        case 'class':
+            return (val, updateStream) => {
+                const type = val ? OperationType.ADD_CLASS : OperationType.REMOVE_CLASS;
+                toClassNames(binding.className).forEach(className => updateStream.add({ type, nodeId, className }));
+            };
+        case 'classList':
+            return createClassListUpdateFn(binding);
+        case 'when':
+            return createWhenUpdateFn(binding);
+        default:
+            throw new Error(`Unknown binding kind: ${binding.kind}`);
+    }
+};
+
+/**
+ * @typedef {object} ModelModifiers
+ * @property {boolean} [lazy=false] - If true, text inputs and textareas update the state on `change` instead of on every `input`.
+ * @property {boolean} [number=false] - If true, values are converted with `parseFloat()` when they are numeric. Always on for
+ * `type="number"` and `type="range"` inputs.
+ * @property {boolean} [trim=false] - If true, whitespace is trimmed from values before they are written to the state.
+ */
+
+/**
+ * @private
+ * @param {string} tagName - The tag name of the form control.
+ * @param {string} [type] - The `type` attribute of the form control.
+ * @returns {'checkbox'|'radio'|'select'|'text'} Which property and event a `model()` binding uses for the control.
+ */
+const getModelKind = (tagName, type) => {
+    if (String(tagName).toLowerCase() === 'select') return 'select';
+    if (type === 'checkbox' || type === 'radio') return type;
+    return 'text';
+};
+
+/**
+ * @private
+ * @param {Array<object>} operations - Operations to apply together.
+ * @returns {Array<object>} The operations, with the BIND_MODEL operations last, so that a two-way binding is applied once the control
+ * has the attributes (such as `type`) set after `.model()` in the chain.
+ */
+const moveModelBindingsLast = (operations) => [
+    ...operations.filter(op => op.type !== OperationType.BIND_MODEL),
+    ...operations.filter(op => op.type === OperationType.BIND_MODEL)
+];
+
+/**
+ * @private
+ * @param {string} value - A value read from a form control.
+ * @param {ModelModifiers} modifiers - The modifiers of the binding.
+ * @param {string} [type] - The `type` attribute of the form control.
+ * @returns {*} The value to write to the state.
+ */
+const readModelValue = (value, modifiers, type) => {
+    const trimmed = modifiers.trim ? value.trim() : value;
+    if (!modifiers.number && type !== 'number' && type !== 'range') return trimmed;
+    const number = parseFloat(trimmed);
+    return Number.isNaN(number) ? trimmed : number;
+};
+
+/**
+ * @private
+ * @param {*} value - A value read from a selected option.
+ * @param {*} current - The current value of the state, or for a multiple select, its current array.
+ * @returns {*} The value in the type of the state: a numeric option value is written back as a number when the state holds numbers, so
+ * that selecting the option `"1"` of a state `2` sets `1` rather than `"1"`.
+ */
+const matchStateType = (value, current) => {
+    const sample = Array.isArray(current) ? current.find(item => item != null) : current;
+    if (typeof value !== 'string' || typeof sample !== 'number' || value.trim() === '') return value;
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+};
+
+/**
+ * @private
+ * @param {*} a - A state value.
+ * @param {*} b - A value read from a form control.
+ * @returns {boolean} True if the values are identical or have the same string form, so that the option `"1"` matches the state `1`.
+ */
+const modelValuesEqual = (a, b) => Object.is(a, b) || (a != null && b != null && valueToString(a) === valueToString(b));
+
+/**
+ * @private
+ * @param {object} op - The operation to check.
+ * @returns {boolean} True if each list or `when()` factory of the operation is a component created with `createComponent`, which can be
+ * referenced by name.
+ */
+const hasNamedFactories = (op) => [op.factory, op.binding?.trueFactory, op.binding?.falseFactory]
+    .every(factory => !factory || componentNames.has(factory));
+
+/**
+ * @private
+ * @param {object} op - The operation to convert.
+ * @param {function(ChainState<any>): string} getStateRef - Returns the reference of a state in the serialized state table.
+ * @returns {object|null} A JSON-compatible copy of the operation, with states, factories and bindings replaced by references, or null for
+ * element effects and lifecycle hooks, which only run on the client that created them, and for a list or `when()` binding whose factory
+ * is not a registered component, which the client could not look up.
+ * @throws {Error} Throws an error when the operation holds a function that has no serializable form.
+ */
+const serializeOperation = (op, getStateRef) => {
+    const definition = customOperations.get(op.type);
+    if (definition?.serialize) return { ...definition.serialize(op), type: op.type };
+    if (op.type === OperationType.BIND_EFFECT || op.type === OperationType.BIND_LIFECYCLE) return null;
+    const { handler, updateFn, factory, state, setup, binding, ...data } = op;
+    if (!hasNamedFactories(op)) return null;
+    if (state) data.stateRef = getStateRef(state);
+    if (factory) data.factory = componentNames.get(factory);
+    if (binding) {
+        data.binding = binding.kind === 'when'
+            ? {
+                ...binding,
+                trueFactory: binding.trueFactory ? componentNames.get(binding.trueFactory) : null,
+                falseFactory: binding.falseFactory ? componentNames.get(binding.falseFactory) : null
+            }
+            : { ...binding };
+    } else if (updateFn) {
+        throw new Error(`Cannot serialize ${op.type} operation: its update function has no binding descriptor.`);
+    }
+    return data;
+};
+
+/**
+ * @private
+ * @param {object} data - A serialized operation.
+ * @param {function(string): ChainState<any>} getState - Returns the restored state for a state reference.
+ * @param {function(string): function(...any[]): ChainElement} getComponent - Returns the component for a registered name.
+ * @param {function(string, string): (function(Event): void|undefined)} getHandler - Returns the handler for an action ID and event type.
+ * @returns {object} The live operation.
+ */
+const deserializeOperation = (data, getState, getComponent, getHandler) => {
+    const definition = customOperations.get(data.type);
+    if (definition?.deserialize) return { ...definition.deserialize(data), type: data.type };
+    const { stateRef, ...op } = data;
+    if (stateRef) op.state = getState(stateRef);
+    if (typeof data.factory === 'string') op.factory = getComponent(data.factory);
+    if (data.binding) {
+        op.binding = data.binding.kind === 'when'
+            ? {
+                ...data.binding,
+                trueFactory: data.binding.trueFactory ? getComponent(data.binding.trueFactory) : null,
+                falseFactory: data.binding.falseFactory ? getComponent(data.binding.falseFactory) : null
+            }
+            : { ...data.binding };
+        op.updateFn = createBindingUpdateFn(op.binding);
+    }
+    if (op.type === OperationType.ADD_EVENT_LISTENER) {
+        const handler = getHandler(op.actionId, op.eventType);
+        if (typeof handler === 'function') op.handler = handler;
+    }
+    return op;
+};
+
+/**
+ * @private
+ * @param {Array<object>} operations - Serialized operations.
+ * @returns {void}
+ * @description Advances the global ID counter past every generated ID used by the operations, so that nodes created
+ * on this side cannot collide with the nodes of a deserialized stream.
+ */
+const reserveOperationIds = (operations) => {
+    let maxId = -1;
+    for (const op of operations) {
+        for (const key of ['nodeId', 'parentId', 'childId', 'anchorId', 'stateId', 'actionId']) {
+            const match = typeof op[key] === 'string' && /-(\d+)$/.exec(op[key]);
+            if (match) maxId = Math.max(maxId, Number(match[1]));
+        }
+        const bindingMatch = typeof op.binding?.nodeId === 'string' && /-(\d+)$/.exec(op.binding.nodeId);
+        if (bindingMatch) maxId = Math.max(maxId, Number(bindingMatch[1]));
+    }
+    globalIdCounter = Math.max(globalIdCounter, maxId + 1);
+};
+
+/**
+ * @private
+ * @param {Array<object>} operations - The live operations.
+ * @returns {{version: number, states: Object<string, {value: *, list?: boolean}>, operations: Array<object>}} The wire format of the operations.
+ */
+const toWireFormat = (operations) => {
+    const stateRefs = new Map();
+    const states = {};
+    /**
+     * @private
+     * @param {ChainState<any>} state - The state to reference.
+     * @returns {string} The key of the state in the state table.
+     */
+    const getStateRef = (state) => {
+        if (!stateRefs.has(state)) {
+            const ref = `s${stateRefs.size}`;
+            stateRefs.set(state, ref);
+            states[ref] = { value: runWithDependencies(() => state.value, null) };
+            if (typeof state.subscribePatches === 'function') states[ref].list = true;
+        }
+        return stateRefs.get(state);
+    };
+    return {
+        version: STREAM_FORMAT_VERSION,
+        states,
+        operations: operations.map(op => serializeOperation(op, getStateRef)).filter(Boolean)
+    };
+};
+
+/**
+ * @private
+ * @param {*} data - The parsed wire format, or a bare operation array written by older versions.
+ * @param {object} options - See `OperationStream.deserialize`.
+ * @returns {OperationStream} The live operation stream.
+ * @throws {Error} Throws an error for an unsupported format version or an unknown component name.
+ */
+const fromWireFormat = (data, options) => {
+    const { handlers = {}, components = {} } = options;
+    const stream = new OperationStream();
+    if (Array.isArray(data)) {
+        stream.operations = data;
+        return stream;
+    }
+    if (!data || data.version !== STREAM_FORMAT_VERSION) {
+        throw new Error(`Unsupported operation stream version: ${data?.version}`);
+    }
+
+    for (const [ref, { value, list }] of Object.entries(data.states || {})) {
+        stream.states[ref] = list ? createListState(value) : createState(value);
+    }
+    /**
+     * @private
+     * @param {string} name - The component name.
+     * @returns {function(...any[]): ChainElement} The component.
+     */
+    const getComponent = (name) => {
+        const component = components[name] || componentsByName.get(name);
+        if (!component) throw new Error(`Unknown component in operation stream: ${name}`);
+        return component;
+    };
+    /**
+     * @private
+     * @param {string} actionId - The action ID.
+     * @param {string} eventType - The event type.
+     * @returns {function(Event): void|undefined} The handler, if any.
+     */
+    const getHandler = (actionId, eventType) => typeof handlers === 'function' ? handlers(actionId, eventType) : handlers[actionId];
+
+    reserveOperationIds(data.operations);
+    stream.operations = data.operations.map(op => deserializeOperation(op, ref => stream.states[ref], getComponent, getHandler));
+    return stream;
+};
+
+/**
+ * @type {Array<string>}
+ * @description Operation types by binary opcode (index + 1). Opcode 0 is followed by the type name, for types missing from the table.
+ * New types must be appended so that existing opcodes keep their meaning.
+ */
+const BINARY_OPCODES = [
+    'CREATE_ELEMENT', 'CREATE_TEXT_NODE', 'SET_TEXT_CONTENT', 'APPEND_CHILD', 'REMOVE_CHILD', 'INSERT_BEFORE',
+    'SET_ATTRIBUTE', 'REMOVE_ATTRIBUTE', 'SET_STYLE', 'ADD_CLASS', 'REMOVE_CLASS', 'ADD_EVENT_LISTENER', 'MOUNT',
+    'BIND_STATE', 'BIND_ATTRIBUTE', 'BIND_LIST', 'BIND_EFFECT', 'UPDATE_NODE', 'ROUTE_CHANGE', 'ROUTE_MATCH', 'INIT_ROUTER',
+    'LIST_INSERT', 'LIST_REMOVE', 'LIST_MOVE', 'LIST_UPDATE', 'BIND_MODEL', 'BIND_LIFECYCLE'
+];
+
+/**
+ * @type {Array<number>}
+ * @description The first bytes of every binary-encoded stream ("CU").
+ */
+const BINARY_MAGIC = [0x43, 0x55];
+
+/**
+ * @enum {number}
+ * @description Tags preceding each value in the binary encoding.
+ */
+const BinaryTag = {
+    NULL: 0,
+    FALSE: 1,
+    TRUE: 2,
+    UINT: 3,
+    NEGATIVE_INT: 4,
+    FLOAT: 5,
+    STRING: 6,
+    ARRAY: 7,
+    OBJECT: 8,
+};
+
+/**
+ * @private
+ * @param {{version: number, states: object, operations: Array<object>}} data - The wire format to encode.
+ * @returns {Uint8Array} The binary encoding: a header, a table of every distinct string, the state table, then one opcode and field list per operation.
+ * Values follow JSON semantics: `undefined` properties are skipped, and `undefined` or non-finite numbers in arrays become null.
+ */
+const encodeWireFormat = (data) => {
+    let body = new Uint8Array(1024);
+    let length = 0;
+    const strings = [];
+    const stringIndexes = new Map();
+
+    /**
+     * @private
+     * @param {number} size - The number of bytes about to be written.
+     * @returns {void}
+     */
+    const reserve = (size) => {
+        if (length + size <= body.length) return;
+        const grown = new Uint8Array(Math.max(body.length * 2, length + size));
+        grown.set(body);
+        body = grown;
+    };
+    const writeByte = (byte) => {
+        reserve(1);
+        body[length++] = byte;
+    };
+    /**
+     * @private
+     * @param {number} value - A non-negative safe integer.
+     * @returns {void}
+     */
+    const writeVarint = (value) => {
+        while (value >= 0x80) {
+            writeByte((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        writeByte(value);
+    };
+    const writeString = (value) => {
+        if (!stringIndexes.has(value)) {
+            stringIndexes.set(value, strings.length);
+            strings.push(value);
+        }
+        writeVarint(stringIndexes.get(value));
+    };
+    /**
+     * @private
+     * @param {*} value - The JSON-compatible value to write.
+     * @returns {void}
+     */
+    const writeValue = (value) => {
+        if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) {
+            writeByte(BinaryTag.NULL);
+        } else if (typeof value === 'boolean') {
+            writeByte(value ? BinaryTag.TRUE : BinaryTag.FALSE);
+        } else if (typeof value === 'number') {
+            if (Number.isSafeInteger(value)) {
+                writeByte(value >= 0 ? BinaryTag.UINT : BinaryTag.NEGATIVE_INT);
+                writeVarint(Math.abs(value));
+            } else {
+                writeByte(BinaryTag.FLOAT);
+                reserve(8);
+                new DataView(body.buffer).setFloat64(length, value);
+                length += 8;
+            }
+        } else if (typeof value === 'string') {
+            writeByte(BinaryTag.STRING);
+            writeString(value);
+        } else if (Array.isArray(value)) {
+            writeByte(BinaryTag.ARRAY);
+            writeVarint(value.length);
+            value.forEach(item => writeValue(typeof item === 'function' || typeof item === 'symbol' ? null : item));
+        } else if (typeof value === 'object') {
+            if (typeof value.toJSON === 'function') {
+                writeValue(value.toJSON());
+                return;
+            }
+            writeByte(BinaryTag.OBJECT);
+            writeFields(value);
+        } else {
+            writeByte(BinaryTag.NULL);
+        }
+    };
+    /**
+     * @private
+     * @param {object} object - The object whose fields are written.
+     * @param {string} [skippedKey] - A key that is not written.
+     * @returns {void}
+     */
+    const writeFields = (object, skippedKey) => {
+        const entries = Object.entries(object).filter(([key, value]) =>
+            key !== skippedKey && value !== undefined && typeof value !== 'function' && typeof value !== 'symbol');
+        writeVarint(entries.length);
+        entries.forEach(([key, value]) => {
+            writeString(key);
+            writeValue(value);
+        });
+    };
+
+    writeValue(data.states);
+    writeVarint(data.operations.length);
+    data.operations.forEach(op => {
+        const opcode = BINARY_OPCODES.indexOf(op.type) + 1;
+        writeVarint(opcode);
+        if (opcode === 0) writeString(op.type);
+        writeFields(op, 'type');
+    });
+    const encodedBody = body.subarray(0, length);
+
+    body = new Uint8Array(1024);
+    length = 0;
+    BINARY_MAGIC.forEach(writeByte);
+    writeVarint(data.version);
+    writeVarint(strings.length);
+    const encoder = new TextEncoder();
+    strings.forEach(value => {
+        const bytes = encoder.encode(value);
+        writeVarint(bytes.length);
+        reserve(bytes.length);
+        body.set(bytes, length);
+        length += bytes.length;
+    });
+    reserve(encodedBody.length);
+    body.set(encodedBody, length);
+    length += encodedBody.length;
+    return body.slice(0, length);
+};
+
+/**
+ * @private
+ * @param {Uint8Array|ArrayBuffer} input - Bytes produced by `encodeWireFormat`.
+ * @returns {{version: number, states: object, operations: Array<object>}} The decoded wire format.
+ * @throws {Error} Throws an error when the input is not a binary-encoded operation stream or is truncated.
+ */
+const decodeWireFormat = (input) => {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+
+    const readByte = () => {
+        if (offset >= bytes.length) throw new Error('Unexpected end of encoded operation stream.');
+        return bytes[offset++];
+    };
+    const readVarint = () => {
+        let value = 0;
+        let scale = 1;
+        let byte;
+        do {
+            byte = readByte();
+            value += (byte & 0x7f) * scale;
+            scale *= 0x80;
+        } while (byte & 0x80);
+        return value;
+    };
+
+    if (BINARY_MAGIC.some(byte => readByte() !== byte)) {
+        throw new Error('Input is not an encoded operation stream.');
+    }
+    const version = readVarint();
+    const strings = [];
+    const decoder = new TextDecoder();
+    for (let count = readVarint(); count > 0; count--) {
+        const size = readVarint();
+        if (offset + size > bytes.length) throw new Error('Unexpected end of encoded operation stream.');
+        strings.push(decoder.decode(bytes.subarray(offset, offset + size)));
+        offset += size;
+    }
+    const readString = () => {
+        const index = readVarint();
+        if (index >= strings.length) throw new Error(`Invalid string reference in encoded operation stream: ${index}`);
+        return strings[index];
+    };
+    /**
+     * @private
+     * @param {object} target - The object receiving the fields.
+     * @returns {object} The target.
+     */
+    const readFields = (target) => {
+        for (let count = readVarint(); count > 0; count--) {
+            const key = readString();
+            target[key] = readValue();
+        }
+        return target;
+    };
+    /**
+     * @private
+     * @returns {*} The decoded value.
+     */
+    const readValue = () => {
+        const tag = readByte();
+        switch (tag) {
+            case BinaryTag.NULL: return null;
+            case BinaryTag.FALSE: return false;
+            case BinaryTag.TRUE: return true;
+            case BinaryTag.UINT: return readVarint();
+            case BinaryTag.NEGATIVE_INT: return -readVarint();
+            case BinaryTag.FLOAT: {
+                if (offset + 8 > bytes.length) throw new Error('Unexpected end of encoded operation stream.');
+                const value = view.getFloat64(offset);
+                offset += 8;
+                return value;
+            }
+            case BinaryTag.STRING: return readString();
+            case BinaryTag.ARRAY: {
+                const items = [];
+                for (let count = readVarint(); count > 0; count--) items.push(readValue());
+                return items;
+            }
+            case BinaryTag.OBJECT: return readFields({});
+            default: throw new Error(`Invalid value tag in encoded operation stream: ${tag}`);
+        }
+    };
+
+    const states = readValue();
+    const operations = [];
+    for (let count = readVarint(); count > 0; count--) {
+        const opcode = readVarint();
+        const type = opcode === 0 ? readString() : BINARY_OPCODES[opcode - 1];
+        if (!type) throw new Error(`Unknown opcode in encoded operation stream: ${opcode}`);
+        operations.push(readFields({ type }));
+    }
+    return { version, states, operations };
+};
+
+/**
+ * @class OperationStream
+ * @description Manages a queue of operations for batch processing DOM updates.
+ */
+export class OperationStream {
+    /**
+     * @constructor
+     */
+    constructor() {
+        /**
+         * @type {Array<object|OperationStream>}
+         * @description The operations added to this stream and the streams of child elements, in order. Child streams are referenced
+         * rather than copied, so building a tree stores every operation once.
+         */
+        this.entries = [];
+        /**
+         * @type {Object<string, ChainState<any>>}
+         * @description For deserialized streams, the restored states keyed by their reference in the wire format.
+         */
+        this.states = {};
+    }
+
+    /**
+     * @param {object} operation - The operation to add to the stream.
+     * @param {OperationType} operation.type - The type of operation.
+     * @param {string} operation.nodeId - The ID of the target node.
+     * @param {string} [operation.tagName] - For CREATE_ELEMENT, the tag name of the element.
+     * @param {string} [operation.content] - For CREATE_TEXT_NODE or SET_TEXT_CONTENT, the text content.
+     * @param {string} [operation.parentId] - For APPEND_CHILD or REMOVE_CHILD, the ID of the parent node.
+     * @param {string} [operation.childId] - For APPEND_CHILD or REMOVE_CHILD, the ID of the child node.
+     * @param {string} [operation.name] - For SET_ATTRIBUTE or REMOVE_ATTRIBUTE, the attribute name.
+     * @param {*} [operation.value] - For SET_ATTRIBUTE or SET_STYLE, the attribute or style value.
+     * @param {string} [operation.property] - For SET_STYLE, the style property name.
+     * @param {string} [operation.className] - For ADD_CLASS or REMOVE_CLASS, the CSS class name.
+     * @param {string} [operation.eventType] - For ADD_EVENT_LISTENER, the event type.
+     * @param {string} [operation.actionId] - For ADD_EVENT_LISTENER, the event action ID.
+     * @param {function(Event): void} [operation.handler] - For ADD_EVENT_LISTENER, the event handler function.
+     * @param {'window'|'document'} [operation.target] - For ADD_EVENT_LISTENER, the global object listened to instead of the element.
+     * @param {string} [operation.selector] - For MOUNT, the CSS selector of the mount target.
+     * @param {ChainState<any>} [operation.state] - For BIND_STATE, BIND_LIST or BIND_MODEL, the bound state object.
+     * @param {string} [operation.stateId] - For BIND_STATE, the ID of the state.
+     * @param {function(*, OperationStream): void} [operation.updateFn] - For BIND_STATE, the state update function.
+     * @param {BindingDescriptor} [operation.binding] - For BIND_STATE, describes what the update function updates, so that it can be serialized.
+     * @param {function(object, number): ChainElement} [operation.factory] - For BIND_LIST, LIST_INSERT or LIST_UPDATE, the factory function for list items.
+     * @param {number} [operation.index] - For LIST_INSERT, LIST_REMOVE or LIST_UPDATE, the index of the affected list item.
+     * @param {number} [operation.count] - For LIST_REMOVE, the number of list items to remove.
+     * @param {number} [operation.from] - For LIST_MOVE, the previous index of the list item.
+     * @param {number} [operation.to] - For LIST_MOVE, the new index of the list item.
+     * @param {*} [operation.item] - For LIST_INSERT or LIST_UPDATE, the list item to render.
+     * @param {string} [operation.effectId] - For BIND_EFFECT, the ID of the effect.
+     * @param {function(HTMLElement): function(): void} [operation.setup] - For BIND_EFFECT, starts the effect for the DOM node and returns its dispose function.
+     * @param {ModelModifiers} [operation.modifiers] - For BIND_MODEL, how values are read from the form control.
+     * @param {string} [operation.hookId] - For BIND_LIFECYCLE, the ID of the hooks.
+     * @param {function(HTMLElement): (function(): void|void)} [operation.onMount] - For BIND_LIFECYCLE, called once the node is in the document.
+     * @param {function(HTMLElement): void} [operation.onUnmount] - For BIND_LIFECYCLE, called before the node is removed.
+     * @param {string} [operation.anchorId] - For INSERT_BEFORE, the ID of the anchor node.
+     * @param {object} [operation.router] - For INIT_ROUTER, the router instance or configuration.
+     * @returns {void}
+     * @description Adds an operation to the stream and optimizes consecutive operations on the same node.
+     */
+    add(operation) {
+        const lastOp = this.entries[this.entries.length - 1];
+        if (lastOp && !(lastOp instanceof OperationStream) && operation.nodeId === lastOp.nodeId) {
+            if (operation.type === OperationType.SET_ATTRIBUTE &&
+                lastOp.type === OperationType.SET_ATTRIBUTE &&
+                operation.name === lastOp.name) {
+                lastOp.value = operation.value;
+                return;
+            }
+            if (operation.type === OperationType.SET_STYLE &&
+                lastOp.type === OperationType.SET_STYLE &&
+                operation.property === lastOp.property) {
+                lastOp.value = operation.value;
+                return;
+            }
+        }
+        this.entries.push(operation);
+    }
+
+    /**
+     * @param {OperationStream} stream - The stream of a child element.
+     * @returns {void}
+     * @description References a child stream at the current position. Its operations, including those added to it later, are part of
+     * this stream's operations.
+     */
+    addStream(stream) {
+        this.entries.push(stream);
+    }
+
+    /**
+     * @returns {Array<object>} The operations of the stream and its child streams, flattened in order.
+     * @description Walks the stream tree iteratively, so the cost is linear in the number of operations whatever the depth of the tree.
+     * @throws {Error} Throws an error if a stream contains itself.
+     */
+    getOperations() {
+        const operations = [];
+        const active = new Set([this]);
+        const stack = [{ stream: this, index: 0 }];
+        while (stack.length > 0) {
+            const top = stack[stack.length - 1];
+            if (top.index >= top.stream.entries.length) {
+                active.delete(top.stream);
+                stack.pop();
+                continue;
+            }
+            const entry = top.stream.entries[top.index++];
+            if (entry instanceof OperationStream) {
+                if (active.has(entry)) throw new Error('An element cannot be a child of itself or of its descendants.');
+                active.add(entry);
+                stack.push({ stream: entry, index: 0 });
+            } else {
+                operations.push(entry);
+            }
+        }
+        return operations;
+    }
+
+    /**
+     * @type {Array<object>}
+     * @description The flattened operations, see `getOperations()`. Assigning an array replaces the entries of the stream.
+     */
+    get operations() { return this.getOperations(); }
+
+    set operations(operations) { this.entries = operations; }
+
+    /**
+     * @returns {void}
+     * @description Clears the operation queue.
+     */
+    clear() { this.entries = []; }
+
+    /**
+     * @returns {string} The JSON string representation of the operation stream, for SSR.
+     * @description Serializes the stream to a versioned wire format. Bound states are written once to a state table with their current
+     * values and referenced by key, event handlers are referenced by their action ID, and list and `when()` factories by the name of
+     * the component created with `createComponent`.
+     * Some parts of a stream are left out without notice. List and `when()` bindings whose factory is not a registered component
+     * cannot be looked up on the client, which renders their containers empty; create such factories with `createComponent` to stream
+     * their content. Element effects and watchers (`effect()`, `watch()`), lifecycle hooks and refs (`onMount()`, `onUnmount()`, `ref()`)
+     * are client-only, so a restored stream does not run them.
+     * @throws {Error} Throws an error when a binding without a descriptor cannot be written.
+     */
+    serialize() {
+        return JSON.stringify(toWireFormat(this.getOperations()));
+    }
+
+    /**
+     * @static
+     * @param {string} json - The JSON string of the operation stream.
+     * @param {object} [options] - Deserialization options.
+     * @param {Object<string, function(Event): void>|function(string, string): (function(Event): void|undefined)} [options.handlers] - Event handlers
+     * by action ID, or a function receiving the action ID and event type and returning the handler.
+     * @param {Object<string, function(...any[]): ChainElement>} [options.components] - Components by name. Components created with
+     * `createComponent` are found automatically.
+     * @returns {OperationStream} An OperationStream instance deserialized from the JSON string. Its `states` hold the restored states.
+     * @description Rebuilds a live operation stream from `serialize()` output. Streams serialized by older versions (a bare operation array)
+     * are loaded as-is.
+     * @throws {Error} Throws an error for an unsupported format version or an unknown component name.
+     */
+    static deserialize(json, options = {}) {
+        return fromWireFormat(JSON.parse(json), options);
+    }
+
+    /**
+     * @returns {Uint8Array} A compact binary encoding of the same wire format as `serialize()`.
+     * @description Encodes the stream with an opcode per operation type, a table of interned strings (node IDs, tag names, keys, ...)
+     * and variable-length integers, for SSR payloads and worker messages.
+     * @throws {Error} Throws an error in the same cases as `serialize()`.
+     * @example
+     * const bytes = component.stream.encode();
+     * const restored = OperationStream.decode(bytes, { handlers });
+     */
+    encode() {
+        return encodeWireFormat(toWireFormat(this.getOperations()));
+    }
+
+    /**
+     * @static
+     * @param {Uint8Array|ArrayBuffer} bytes - The output of `encode()`.
+     * @param {object} [options] - Deserialization options, see `deserialize()`.
+     * @returns {OperationStream} The live operation stream.
+     * @description Decodes a stream produced by `encode()`. The result is the same as deserializing the `serialize()` output of the encoded stream.
+     * @throws {Error} Throws an error for malformed input, in addition to the errors thrown by `deserialize()`.
+     */
+    static decode(bytes, options = {}) {
+        return fromWireFormat(decodeWireFormat(bytes), options);
+    }
+}
+
+/**
+ * @class ChainElement
+ * @description Represents a DOM element that can be built using a chainable method call.
+ */
+export class ChainElement {
+    /**
+     * @param {string} [tagName] - The HTML tag name of the element. If not provided, this ChainElement instance might be a placeholder for internal logic.
+     */
+    constructor(tagName) {
+        /**
+         * @type {string}
+         * @description The unique node ID of the element.
+         */
+        this.nodeId = generateId('node');
+        /**
+         * @type {OperationStream}
+         * @description The operation stream associated with this element, used to record DOM operations.
+         */
+        this.stream = new OperationStream();
+        /**
+         * @type {Array<ChainElement|string|ChainState<any>>}
+         * @description An array of child elements for this element.
+         */
+        this.children = [];
+        /**
+         * @type {Array<{actionId: string, eventType: string, handler: function(Event): void, options?: ListenerOptions, target?: 'window'|'document'}>}
+         * @description The event handlers added to this element itself.
+         */
+        this.ownEventHandlers = [];
+
+        if (tagName) {
+            this.tagName = tagName;
+            this.stream.add({ type: OperationType.CREATE_ELEMENT, nodeId: this.nodeId, tagName });
+        }
+    }
+
+    /**
+     * @type {Array<{actionId: string, eventType: string, handler: function(Event): void, options?: ListenerOptions, target?: 'window'|'document'}>}
+     * @description All event handlers for this element and its children, collected from the element tree when read.
+     */
+    get eventHandlers() {
+        const handlers = [];
+        const visited = new Set();
+        const stack = [this];
+        while (stack.length > 0) {
+            const element = stack.pop();
+            if (visited.has(element)) continue;
+            visited.add(element);
+            handlers.push(...element.ownEventHandlers);
+            for (let i = element.children.length - 1; i >= 0; i--) {
+                if (element.children[i] instanceof ChainElement) stack.push(element.children[i]);
+            }
+        }
+        return handlers;
+    }
+
+    /**
+     * @private
+     * @param {ChainState<any>|*} value - The value to bind, which can be a ChainState instance or a regular value.
+     * @param {BindingDescriptor} binding - Describes what the value updates.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Internal method to bind a reactive state to an element's attribute or content.
+     */
+    _bind(value, binding) {
+        const updateFn = createBindingUpdateFn(binding);
+        if (value && typeof value.subscribe === 'function') {
+            const stateId = generateId('state');
+            updateFn.call(this, value.value, this.stream);
+            this.stream.add({ type: OperationType.BIND_STATE, nodeId: this.nodeId, stateId, updateFn, binding, state: value });
+        } else {
+            updateFn(value, this.stream);
+        }
+        return this;
+    }
+
+    /**
+     * @private
+     * @param {string} name - The attribute name.
+     * @param {ChainState<any>|*} value - The attribute value, which can be a ChainState instance or a regular value.
+     * @returns {void}
+     * @description Internal method to set an element's attribute.
+     */
+    _setAttr(name, value) {
+        const nodeId = this.nodeId;
+        if (value && typeof value.subscribe === 'function' && !value.isMapped) {
+            const initialValue = valueToString(value.value);
+            this.stream.add({ type: OperationType.SET_ATTRIBUTE, nodeId, name, value: initialValue });
+            this.stream.add({ type: OperationType.BIND_ATTRIBUTE, nodeId: this.nodeId, name, state: value, stateId: generateId('attr_state') });
+            return;
+        }
+
+        if (value == null) {
+            this.stream.add({ type: OperationType.REMOVE_ATTRIBUTE, nodeId, name });
+            return;
+        }
+
+        this._bind(value, { kind: 'attr', nodeId, name });
+    }
+
+    /**
+     * @private
+     * @param {string} property - The CSS style property name (e.g., 'color', 'fontSize').
+     * @param {ChainState<string>|string} value - The style value, which can be a ChainState instance or a string.
+     * @returns {void}
+     * @description Internal method to set an element's style property.
+     */
+    _setStyle(property, value) {
+        this._bind(value, { kind: 'style', nodeId: this.nodeId, property });
+    }
+
+    /**
+     * @private
+     * @param {string} className - The CSS class name.
+     * @param {boolean|ChainState<boolean>} shouldAdd - Indicates whether to add the class, can be a boolean or a ChainState instance.
+     * A state toggles the class whenever its value changes.
+     * @returns {void}
+     * @description Internal method to add or remove a CSS class from an element.
+     */
+    _setClass(className, shouldAdd) {
+        const nodeId = this.nodeId;
+        if (shouldAdd && typeof shouldAdd.subscribe === 'function') {
+            this._bind(shouldAdd, { kind: 'class', nodeId, className });
+        } else if (shouldAdd === null || shouldAdd === false) {
+            this.stream.add({ type: OperationType.REMOVE_CLASS, nodeId, className });
+        } else {
+            const classes = className.split(' ').filter(Boolean);
+            for (const singleClassName of classes) {
+                this.stream.add({ type: OperationType.ADD_CLASS, nodeId, className: singleClassName });
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @param {ChainState<string|Array<string>>} state - The state holding the element's class list, as a space-separated string or an array.
+     * @returns {void}
+     * @description Internal method to bind a reactive class list to an element. Whenever the state changes, the classes that are no longer
+     * in the list are removed and the new ones added. Other classes of the element are kept.
+     */
+    _setClassList(state) {
+        this._bind(state, { kind: 'classList', nodeId: this.nodeId });
+    }
+
+    /**
+     * @param {string|object} name - The attribute name, style property name, class name, or an object containing attr/style/class configurations.
+     * @param {*|ChainState<any>} [value] - The corresponding value, which can be a regular value or a ChainState instance.
+     * @param {'attr'|'style'|'class'} [type] - Optional parameter to explicitly specify the type of setting (attribute, style, or class).
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Sets an element's attributes, styles, or classes in a unified manner.
+     * @example
+     * h('div').set('id', 'myDiv');
+     * h('div').set('color', 'red', 'style');
+     * h('div').set('active', true, 'class');
+     * h('div').set({ attr: { id: 'myDiv' }, style: { color: 'red' }, class: { active: true } });
+     * h('li').set({ class: { selected: isSelected } }); // toggled by a ChainState<boolean>
+     * h('div').set({ class: ['card', themeClasses] }); // a ChainState<string|string[]> holding a class list
+     */
+    set(name, value, type) {
+        if (typeof name === 'object' && name !== null && arguments.length === 1) {
+            const config = name;
+            if (config.attr) {
+                for (const [k, v] of Object.entries(config.attr)) {
+                    this._setAttr(k, v);
+                }
+            }
+            if (config.style) {
+                for (const [k, v] of Object.entries(config.style)) {
+                    this._setStyle(k, v);
+                }
+            }
+            if (config.class) {
+                if (typeof config.class === 'string') {
+                    this._setClass(config.class, true);
+                } else if (typeof config.class.subscribe === 'function') {
+                    this._setClassList(config.class);
+                } else if (Array.isArray(config.class)) {
+                    for (const c of config.class) {
+                        if (c && typeof c.subscribe === 'function') {
+                            this._setClassList(c);
+                        } else if (c) {
+                            this._setClass(c, true);
+                        }
+                    }
+                } else if (typeof config.class === 'object') {
+                    for (const [k, v] of Object.entries(config.class)) {
+                        this._setClass(k, v);
+                    }
+                }
+            }
+            return this;
+        }
+
+        if (typeof name === 'string') {
+            if (!type) {
+                const isStyle = typeof document !== 'undefined' && (name in document.documentElement.style);
+                type = (name.startsWith('data-') || name.includes('-')) ? 'attr' : isStyle ? 'style' : 'attr';
+            }
+            
+            switch (type) {
+                case 'style': this._setStyle(name, value); break;
+                case 'class': this._setClass(name, value); break;
+                case 'attr': 
+                default: this._setAttr(name, value); break;
+            }
+        }
+        return this;
+    }
+
+    /**
+     * @param {string} eventType - The event type (e.g., 'click', 'input').
+     * @param {function(Event): void} handler - The event handler function.
+     * @param {ListenerOptions} [options] - Modifiers applied by the event delegator before the handler runs. A `ChainRuntime` passed
+     * here instead is still accepted, and registers the handler with that runtime right away.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Adds an event listener to the element.
+     * @example
+     * h('form').on('submit', save, { prevent: true });
+     * h('input').on('keydown', search, { keys: ['Enter'] });
+     * h('input').on('input', e => query.value = e.target.value, { debounce: 300 });
+     */
+    on(eventType, handler, options = {}) {
+        const isRuntime = Boolean(options && typeof options === 'object' && options.eventDelegator);
+        return this._addListener(eventType, handler, isRuntime || !options ? {} : options, null, isRuntime ? options : null);
+    }
+
+    /**
+     * @param {string} eventType - The event type (e.g., 'resize', 'popstate').
+     * @param {function(Event): void} handler - The event handler function.
+     * @param {ListenerOptions} [options] - Modifiers applied before the handler runs, as for `on()`.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Listens to an event on `window` for as long as the element's node exists. The listener is removed when the node is cleaned up.
+     * @example
+     * h('div').onWindow('resize', () => width.value = window.innerWidth, { throttle: 100 });
+     */
+    onWindow(eventType, handler, options = {}) {
+        return this._addListener(eventType, handler, options || {}, 'window');
+    }
+
+    /**
+     * @param {string} eventType - The event type (e.g., 'keydown', 'visibilitychange').
+     * @param {function(Event): void} handler - The event handler function.
+     * @param {ListenerOptions} [options] - Modifiers applied before the handler runs, as for `on()`.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Listens to an event on `document` for as long as the element's node exists. The listener is removed when the node is cleaned up.
+     * @example
+     * h('dialog').onDocument('keydown', close, { keys: ['Escape'] });
+     */
+    onDocument(eventType, handler, options = {}) {
+        return this._addListener(eventType, handler, options || {}, 'document');
+    }
+
+    /**
+     * @private
+     * @param {string} eventType - The event type.
+     * @param {function(Event): void} handler - The event handler function.
+     * @param {ListenerOptions} options - The listener options.
+     * @param {'window'|'document'|null} target - The global object to listen on, or null to listen on the element.
+     * @param {ChainRuntime|null} [runtime] - A runtime to register the handler with right away.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Internal method to add an ADD_EVENT_LISTENER operation to the stream.
+     */
+    _addListener(eventType, handler, options, target, runtime = null) {
+        const listenerOptions = { ...options };
+        const actionId = generateId('action');
+        const hasOptions = Object.keys(listenerOptions).length > 0;
+        this.stream.add({
+            type: OperationType.ADD_EVENT_LISTENER,
+            nodeId: this.nodeId,
+            eventType,
+            actionId,
+            handler,
+            ...(hasOptions && { options: listenerOptions }),
+            ...(target && { target })
+        });
+        
+        if (typeof window !== 'undefined') {
+            if (!runtime && typeof window.__CHAIN_ACTIVE_RUNTIME__ !== 'undefined') {
+                runtime = window.__CHAIN_ACTIVE_RUNTIME__;
+            }
+            
+            if (runtime) {
+                runtime.eventDelegator.registerHandlers([{ actionId, handler, options: listenerOptions }]);
+                if (!target) runtime.eventDelegator.delegate(eventType, listenerOptions);
+            }
+        }
+        
+        this.ownEventHandlers.push({
+            actionId,
+            eventType,
+            handler,
+            ...(hasOptions && { options: listenerOptions }),
+            ...(target && { target })
+        });
+        return this;
+    }
+
+    /**
+     * @param {function(HTMLElement): (function(): void|void)} effectFn - The side effect to run, called with the element's DOM node (also bound to `this`). It may return a cleanup function.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Runs an `effect()` once the element is created by a runtime. The effect is disposed when the element is removed or the runtime is destroyed.
+     * @example
+     * h('canvas').effect(canvas => {
+     *   const frame = requestAnimationFrame(() => draw(canvas, points.value));
+     *   return () => cancelAnimationFrame(frame);
+     * });
+     */
+    effect(effectFn) {
+        this.stream.add({
+            type: OperationType.BIND_EFFECT,
+            nodeId: this.nodeId,
+            effectId: generateId('effect'),
+            setup: (node) => effect(() => effectFn.call(node, node))
+        });
+        return this;
+    }
+
+    /**
+     * @template T
+     * @param {ChainState<T>|function(): T} source - The state to watch, or a getter whose read states are tracked.
+     * @param {function(T, T): (function(): void|void)} callback - Called with the new and previous values, with `this` bound to the element's DOM node. It may return a cleanup function.
+     * @param {object} [options] - Watch options, see `watch()`.
+     * @param {boolean} [options.immediate=false] - If true, the callback is also called as soon as the element is created.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Runs a `watch()` once the element is created by a runtime. The watcher is disposed when the element is removed or the runtime is destroyed.
+     */
+    watch(source, callback, options = {}) {
+        this.stream.add({
+            type: OperationType.BIND_EFFECT,
+            nodeId: this.nodeId,
+            effectId: generateId('effect'),
+            setup: (node) => watch(source, function (nextValue, prevValue) {
+                return callback.call(node, nextValue, prevValue);
+            }, options)
+        });
+        return this;
+    }
+
+    /**
+     * @param {ChainState<any>} state - The state kept in sync with the form control.
+     * @param {ModelModifiers} [modifiers] - How values are read from the form control.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Binds a form control to a state in both directions. Text inputs and textareas bind their `value` on `input` (or `change`
+     * with `lazy`), checkboxes their `checked` state on `change` (or, for an array state, whether their value is in the array), radio
+     * buttons whether their value equals the state, and selects their selected value (an array of values for `<select multiple>`).
+     * Option values are strings, but a select bound to a state holding numbers writes numeric values back as numbers. Input is ignored while an IME composition is in progress, and the caret is kept in place when the state changes the value.
+     * @example
+     * h('input').model(name, { trim: true });
+     * h('input').set('type', 'checkbox').set('value', 'news').model(topics);
+     * h('select').model(size).child(h('option').child('S'), h('option').child('M'));
+     */
+    model(state, modifiers = {}) {
+        const { lazy = false, number = false, trim = false } = modifiers;
+        this.stream.add({
+            type: OperationType.BIND_MODEL,
+            nodeId: this.nodeId,
+            stateId: generateId('model'),
+            state,
+            modifiers: { lazy, number, trim }
+        });
+        return this;
+    }
+
+    /**
+     * @private
+     * @param {{onMount?: function(HTMLElement): (function(): void|void), onUnmount?: function(HTMLElement): void}} hooks - The hooks to add.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Internal method to add lifecycle hooks to the element.
+     */
+    _addLifecycleHooks(hooks) {
+        this.stream.add({ type: OperationType.BIND_LIFECYCLE, nodeId: this.nodeId, hookId: generateId('hook'), ...hooks });
+        return this;
+    }
+
+    /**
+     * @param {function(HTMLElement|null): void|ChainState<HTMLElement|null>} target - A callback, or a state, that receives the element's DOM
+     * node once it is in the document, and `null` before it is removed.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Gives access to the DOM node the element becomes.
+     * @example
+     * const input = createState(null);
+     * h('input').ref(input);
+     * h('button').on('click', () => input.value?.focus()).child('Edit');
+     */
+    ref(target) {
+        const assign = (node) => {
+            if (typeof target === 'function') {
+                target(node);
+            } else {
+                target.value = node;
+            }
+        };
+        return this._addLifecycleHooks({ onMount: node => assign(node), onUnmount: () => assign(null) });
+    }
+
+    /**
+     * @param {function(HTMLElement): (function(): void|void)} fn - Called with the element's DOM node (also bound to `this`) once it is in the
+     * document. It may return a cleanup function, which is called when the element is removed.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Runs code after the element is inserted into the document, including inside `when()`, `map()` and router pages.
+     * @example
+     * h('canvas').onMount(canvas => {
+     *   const chart = new Chart(canvas, config);
+     *   return () => chart.destroy();
+     * });
+     */
+    onMount(fn) {
+        return this._addLifecycleHooks({ onMount: fn });
+    }
+
+    /**
+     * @param {function(HTMLElement): void} fn - Called with the element's DOM node (also bound to `this`) before the node is removed.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Runs code before a mounted element is removed from the document, while it is still attached.
+     */
+    onUnmount(fn) {
+        return this._addLifecycleHooks({ onUnmount: fn });
+    }
+
+    /**
+     * @param {string} type - An operation type registered with `registerOperation()`.
+     * @param {object} [data] - The other properties of the operation.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Adds a custom operation targeting this element to its stream.
+     * @throws {Error} Throws an error if the operation type is not registered.
+     * @example
+     * registerOperation('SCROLL_TO', { apply: (op, node) => node?.scrollTo(0, op.top) });
+     * h('div').operation('SCROLL_TO', { top: 120 });
+     */
+    operation(type, data = {}) {
+        if (!customOperations.has(type)) {
+            throw new Error(`Unknown operation type "${type}". Register it with registerOperation() first.`);
+        }
+        this.stream.add({ type, nodeId: this.nodeId, ...data });
+        return this;
+    }
+
+    /**
+     * @private
+     * @param {string|ChainState<string>} content - The text content, which can be a string or a ChainState instance.
+     * @returns {void}
+     * @description Internal method to create and append a text child node.
+     */
+    _createTextChild(content) {
+        const textNodeId = generateId('text');
+        const isState = content && typeof content.subscribe === 'function';
+        const initialContent = isState ? content.value : content;
+        const processedContent = valueToString(initialContent);
+
+        this.stream.add({ type: OperationType.CREATE_TEXT_NODE, nodeId: textNodeId, content: processedContent });
+        this.stream.add({ type: OperationType.APPEND_CHILD, parentId: this.nodeId, childId: textNodeId });
+
+        if (isState) {
+            const binding = { kind: 'text', nodeId: textNodeId };
+            this.stream.add({
+                type: OperationType.BIND_STATE,
+                nodeId: this.nodeId,
+                stateId: generateId('state'),
+                updateFn: createBindingUpdateFn(binding),
+                binding,
+                state: content
+            });
+        }
+    }
+
+    /**
+     * @param {...(ChainElement|string|ChainState<string>|Array<ChainElement|string|ChainState<string>>)} children - One or more child elements, which can be ChainElement instances, strings, ChainState instances, or arrays thereof.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Appends one or more child elements to the current element.
+     */
+    child(...children) {
+        for (const childNode of children.flat()) {
+            if (childNode instanceof ChainElement) {
+                this.children.push(childNode);
+                this.stream.addStream(childNode.stream);
+                this.stream.add({ type: OperationType.APPEND_CHILD, parentId: this.nodeId, childId: childNode.nodeId });
+            } else {
+                this._createTextChild(childNode);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * @param {string} selector - The CSS selector of the DOM element to which the component will be mounted.
+     * @returns {void}
+     * @description Mounts the current element to the specified DOM selector. This method is typically called at the end of a ChainElement chain.
+     */
+    mount(selector) {
+        this.stream.add({ type: OperationType.MOUNT, nodeId: this.nodeId, selector });
+    }
+
+    /**
+     * @param {ChainState<boolean>} state - A boolean reactive state to control conditional rendering.
+     * @param {function(): ChainElement} trueFactory - A factory function to create the component when the state is true.
+     * @param {function(): ChainElement} [falseFactory] - An optional factory function to create the component when the state is false.
+     * @param {object} [options] - Rendering options.
+     * @param {boolean} [options.keepAlive=false] - If true, both components will be created and toggled visible/hidden based on state, instead of destroyed/recreated.
+     * @returns {ChainElement} The current ChainElement instance, supporting chainable calls.
+     * @description Conditionally renders one of two components based on the value of a reactive state.
+     */
+    when(state, trueFactory, falseFactory, options = {}) {
+        const { keepAlive = false } = options;
+        
+        if (keepAlive) {
+            const trueComponent = trueFactory();
+            const falseComponent = falseFactory ? falseFactory() : null;
+            
+            if (trueComponent) {
+                trueComponent.set('display', state.map(v => v ? 'block' : 'none'), 'style');
+                this.child(trueComponent);
+            }
+            
+            if (falseComponent) {
+                falseComponent.set('display', state.map(v => v ? 'none' : 'block'), 'style');
+                this.child(falseComponent);
+            }
+        } else {
+            const placeholder = new ChainElement('div').set('data-chain-placeholder', 'true', 'attr');
+            this.child(placeholder);
+
+            const binding = { kind: 'when', nodeId: placeholder.nodeId, trueFactory, falseFactory: falseFactory || null };
+            this.stream.add({
+                type: OperationType.BIND_STATE,
+                nodeId: placeholder.nodeId,
+                stateId: generateId('when'),
+                updateFn: createBindingUpdateFn(binding),
+                binding,
+                state: state
+            });
+        }
+        return this;
+    }
+    
+    /**
+     * @returns {{html: string, eventHandlers: Array<{actionId: string, eventType: string, handler: function(Event): void, options?: ListenerOptions, target?: 'window'|'document'}>}} An object containing the HTML string and event handler data, for SSR.
+     * @description Converts the current element and its children into an HTML string, for Server-Side Rendering (SSR).
+     */
+    toHtml() {
+        /**
+         * @private
+         * @param {*} text - The text to escape.
+         * @returns {string} The escaped HTML string.
+         */
+        const escapeHtml = (text) => {
+            if (typeof text !== 'string') return String(text);
+            return text
+                .replace(/&/g, '&')
+                .replace(/</g, '<')
+                .replace(/>/g, '>')
+                .replace(/"/g, '"')
+                .replace(/'/g, '&#039;');
+        };
+        
+        /**
+         * @type {Set<string>}
+         * @description Set to track seen action IDs to avoid duplicates.
+         */
+        const seenActionIds = new Set();
+        /**
+         * @type {Array<{actionId: string, eventType: string, handler: function(Event): void, options?: ListenerOptions, target?: 'window'|'document'}>}
+         * @description The event handlers of the element tree.
+         */
+        const eventHandlers = this.eventHandlers.filter(({ actionId }) => {
+            if (seenActionIds.has(actionId)) return false;
+            seenActionIds.add(actionId);
+            return true;
+        });
+        
+        /**
+         * @private
+         * @param {ChainElement|string} element - The element or text to generate HTML for.
+         * @param {{values: Array<*>, modifiers: ModelModifiers}} [selection] - Inside a select bound with `model()`, the selected values.
+         * @returns {string} The generated HTML string.
+         */
+        const generateHtml = (element, selection) => {
+            if (element instanceof ChainElement) {
+                if (!element.tagName) return '';
+                
+                let html = `<${element.tagName}`;
+                const ops = element.stream.entries.filter(entry => !(entry instanceof OperationStream));
+                const attributeOps = ops.filter(op => op.type === OperationType.SET_ATTRIBUTE && op.nodeId === element.nodeId);
+                const styleOps = ops.filter(op => op.type === OperationType.SET_STYLE && op.nodeId === element.nodeId);
+                const eventOps = ops.filter(op => op.type === OperationType.ADD_EVENT_LISTENER && op.nodeId === element.nodeId);
+                const modelOp = ops.find(op => op.type === OperationType.BIND_MODEL && op.nodeId === element.nodeId);
+                const customHtml = ops
+                    .filter(op => op.nodeId === element.nodeId && customOperations.get(op.type)?.toHtml)
+                    .map(op => customOperations.get(op.type).toHtml(op) || {});
+                const textOps = ops.filter(op => 
+                    op.type === OperationType.CREATE_TEXT_NODE && 
+                    ops.some(parentOp => parentOp.type === OperationType.APPEND_CHILD && 
+                        parentOp.parentId === element.nodeId && parentOp.childId === op.nodeId)
+                );
+                const attributes = new Map(attributeOps.map(op => [op.name, op.value]));
+
+                const classOps = ops.filter(op => op.nodeId === element.nodeId && (
+                    op.type === OperationType.ADD_CLASS || op.type === OperationType.REMOVE_CLASS ||
+                    (op.type === OperationType.BIND_STATE && (op.binding?.kind === 'class' || op.binding?.kind === 'classList'))
+                ));
+                if (classOps.length > 0) {
+                    const classes = new Set(toClassNames(attributes.get('class')));
+                    const classOwner = {};
+                    for (const op of classOps) {
+                        let classUpdates = [op];
+                        if (op.type === OperationType.BIND_STATE) {
+                            const updateStream = new OperationStream();
+                            op.updateFn.call(classOwner, runWithDependencies(() => op.state.value, null), updateStream);
+                            classUpdates = updateStream.getOperations();
+                        }
+                        classUpdates.forEach(({ type, className }) => {
+                            if (type === OperationType.ADD_CLASS) classes.add(className);
+                            else classes.delete(className);
+                        });
+                    }
+                    if (classes.size > 0) attributes.set('class', [...classes].join(' '));
+                    else attributes.delete('class');
+                }
+
+                let modelContent = '';
+                if (modelOp) {
+                    const value = runWithDependencies(() => modelOp.state.value, null);
+                    const type = attributes.get('type');
+                    const read = (raw) => readModelValue(raw, modelOp.modifiers || {}, type);
+                    switch (getModelKind(element.tagName, type)) {
+                        case 'checkbox':
+                        case 'radio': {
+                            const ownValue = read(String(attributes.get('value') ?? 'on'));
+                            const checked = type === 'radio'
+                                ? modelValuesEqual(value, ownValue)
+                                : Array.isArray(value) ? value.some(item => modelValuesEqual(item, ownValue)) : Boolean(value);
+                            attributes.delete('checked');
+                            if (checked) attributes.set('checked', '');
+                            break;
+                        }
+                        case 'select':
+                            selection = { values: Array.isArray(value) ? value : [value], modifiers: modelOp.modifiers || {} };
+                            break;
+                        default:
+                            if (element.tagName.toLowerCase() === 'textarea') {
+                                modelContent = escapeHtml(value == null ? '' : valueToString(value));
+                            } else {
+                                attributes.set('value', value == null ? '' : valueToString(value));
+                            }
+                    }
+                } else if (selection && element.tagName.toLowerCase() === 'option') {
+                    const ownValue = attributes.get('value') ?? textOps.map(op => op.content).join('').trim();
+                    const isSelected = selection.values.some(item => modelValuesEqual(item, readModelValue(String(ownValue), selection.modifiers)));
+                    if (isSelected) attributes.set('selected', '');
+                }
+                
+                for (const [name, value] of attributes) {
+                    html += ` ${name}="${escapeHtml(String(value))}"`;
+                }
+
+                for (const { attributes = {} } of customHtml) {
+                    for (const [name, value] of Object.entries(attributes)) {
+                        html += ` ${name}="${escapeHtml(String(value))}"`;
+                    }
+                }
+                
+                if (styleOps.length > 0) {
+                    let styleStr = '';
+                    for (const op of styleOps) {
+                        styleStr += `${op.property}: ${escapeHtml(String(op.value))}; `;
+                    }
+                    html += ` style="${escapeHtml(styleStr.trim())}"`;
+                }
+                
+                if (eventOps.length > 0) {
+                    html += ` data-chain-action="${eventOps.map(op => op.actionId).join(' ')}"`;
+                    html += ` data-chain-event="${eventOps.map(op => getActionEventType(op.eventType, op.target)).join(' ')}"`;
+                }
+                
+                html += '>' + modelContent;
+                if (element.children) {
+                    for (const child of element.children) {
+                        html += generateHtml(child, selection);
+                    }
+                }
+                
+                for (const op of textOps) {
+                    html += escapeHtml(op.content);
+                }
+
+                for (const { html: content = '' } of customHtml) {
+                    html += content;
+                }
+                
+                html += `</${element.tagName}>`;
+                return html;
+            } else {
                 return escapeHtml(String(element));
             }
-        };
+        };
+        
+        return { html: generateHtml(this), eventHandlers };
+    }
+}
+
+/**
+ * @private
+ * @param {string} nodeId - The ID of the list container node.
+ * @param {ListPatch} patch - The list patch to translate.
+ * @param {function(object, number): ChainElement} factory - The factory function for list items.
+ * @returns {Array<object>} The LIST_* operations applying the patch to the container's children.
+ */
+const listPatchToOperations = (nodeId, patch, factory) => {
+    switch (patch.type) {
+        case 'insert':
+            return patch.items.map((item, i) => ({ type: OperationType.LIST_INSERT, nodeId, index: patch.index + i, item, factory }));
+        case 'remove':
+            return [{ type: OperationType.LIST_REMOVE, nodeId, index: patch.index, count: patch.count }];
+        case 'move':
+            return [{ type: OperationType.LIST_MOVE, nodeId, from: patch.from, to: patch.to }];
+        case 'update':
+            return [{ type: OperationType.LIST_UPDATE, nodeId, index: patch.index, item: patch.item, factory }];
+        default:
+            return [];
+    }
+};
+
+/**
+ * @typedef {object} NodeAdapter
+ * @description The node tree of a runtime, as seen by the list reconciliation and `when()` switching shared by `ChainRuntime` (DOM nodes)
+ * and `WorkerRuntime` (node records). Nodes are referred to by ID; every change goes through `applyOperation` or `removeChild`.
+ * @property {function(string): (Array<string|undefined>|null)} getChildIds - The IDs of a node's children in order (undefined for text nodes), or null
+ * if the node is unknown.
+ * @property {function(string): (string|undefined)} getKey - The `data-key` of a node.
+ * @property {function(string): (string|undefined)} getWhenChildId - The ID of the node rendered into a `when()` placeholder.
+ * @property {function(ChainElement): void} render - Applies an element's operations, event handlers and bindings, leaving it detached.
+ * @property {function(string, string): void} removeChild - Removes a child and cleans up its subtree.
+ * @property {function(object): void} applyOperation - Applies a single DOM operation.
+ */
+
+/**
+ * @private
+ * @param {*} item - A list item.
+ * @returns {string|undefined} The `data-key` of the item's node: its `id`, or undefined for items without one.
+ */
+const getListItemKey = (item) => item?.id === null || item?.id === undefined ? undefined : String(item.id);
+
+/**
+ * @private
+ * @param {NodeAdapter} adapter - The node tree to render into.
+ * @param {object} item - The list item to render.
+ * @param {number} index - The index of the item in the list.
+ * @param {function(object, number): ChainElement} factory - The factory function for list items.
+ * @returns {string} The node ID of the rendered item. Items with an `id` are keyed by it; items without one are not keyed, as an index
+ * key would go stale as soon as an item is inserted, removed or moved before them.
+ */
+const renderListItem = (adapter, item, index, factory) => {
+    const element = factory(item, index);
+    const key = getListItemKey(item);
+    if (key !== undefined) element.set('data-key', key, 'attr');
+    adapter.render(element);
+    return element.nodeId;
+};
+
+/**
+ * @private
+ * @param {NodeAdapter} adapter - The node tree.
+ * @param {string} parentNodeId - The ID of the list container node.
+ * @param {string} childId - The node to insert or move.
+ * @param {string|undefined} anchorId - The node to insert before, or undefined to append.
+ * @returns {void}
+ */
+const placeListChild = (adapter, parentNodeId, childId, anchorId) => {
+    adapter.applyOperation(anchorId
+        ? { type: OperationType.INSERT_BEFORE, parentId: parentNodeId, childId, anchorId }
+        : { type: OperationType.APPEND_CHILD, parentId: parentNodeId, childId });
+};
+
+/**
+ * @private
+ * @param {NodeAdapter} adapter - The node tree.
+ * @param {string} parentNodeId - The ID of the list container node.
+ * @param {Array<object>} newItems - The new array of list items.
+ * @param {function(object, number): ChainElement} factory - The factory function for list items.
+ * @returns {void}
+ * @description Keyed list reconciliation: items with an `id` are matched to the child with that `data-key`, items without one to the
+ * unkeyed child at their index. Unmatched children are removed, missing items are rendered, and the children are then moved into order.
+ */
+const reconcileListChildren = (adapter, parentNodeId, newItems, factory) => {
+    const oldChildIds = adapter.getChildIds(parentNodeId);
+    if (!oldChildIds) return;
+
+    const unusedNodes = new Set();
+    const oldKeyedNodes = new Map();
+    for (const childId of oldChildIds) {
+        if (childId === undefined) continue;
+        unusedNodes.add(childId);
+        const key = adapter.getKey(childId);
+        if (key !== undefined) oldKeyedNodes.set(key, childId);
+    }
+
+    const newChildIds = newItems.map((item, i) => {
+        const key = getListItemKey(item);
+        const existingId = key === undefined ? oldChildIds[i] : oldKeyedNodes.get(key);
+        if (existingId && unusedNodes.has(existingId) && adapter.getKey(existingId) === key) {
+            unusedNodes.delete(existingId);
+            return existingId;
+        }
+        return renderListItem(adapter, item, i, factory);
+    });
+
+    for (const unusedId of unusedNodes) {
+        adapter.removeChild(parentNodeId, unusedId);
+    }
+
+    newChildIds.forEach((childId, i) => {
+        const currentId = adapter.getChildIds(parentNodeId)[i];
+        if (currentId !== childId) placeListChild(adapter, parentNodeId, childId, currentId);
+    });
+};
+
+/**
+ * @private
+ * @param {NodeAdapter} adapter - The node tree.
+ * @param {object} op - A LIST_INSERT, LIST_REMOVE, LIST_MOVE or LIST_UPDATE operation.
+ * @returns {void}
+ * @description Applies a LIST_* operation to the children of its list container, by index.
+ */
+const applyListOperation = (adapter, op) => {
+    const childIds = adapter.getChildIds(op.nodeId);
+    if (!childIds) return;
+    switch (op.type) {
+        case OperationType.LIST_INSERT:
+            placeListChild(adapter, op.nodeId, renderListItem(adapter, op.item, op.index, op.factory), childIds[op.index]);
+            break;
+        case OperationType.LIST_REMOVE:
+            childIds.slice(op.index, op.index + op.count).forEach(childId => adapter.removeChild(op.nodeId, childId));
+            break;
+        case OperationType.LIST_MOVE: {
+            const childId = childIds[op.from];
+            if (childId) placeListChild(adapter, op.nodeId, childId, childIds.filter(id => id !== childId)[op.to]);
+            break;
+        }
+        case OperationType.LIST_UPDATE: {
+            const oldChildId = childIds[op.index];
+            if (oldChildId) {
+                placeListChild(adapter, op.nodeId, renderListItem(adapter, op.item, op.index, op.factory), oldChildId);
+                adapter.removeChild(op.nodeId, oldChildId);
+            }
+            break;
+        }
+    }
+};
+
+/**
+ * @private
+ * @param {NodeAdapter} adapter - The node tree.
+ * @param {BindingDescriptor} binding - The binding descriptor of a `when()` placeholder.
+ * @param {*} value - The current value of the state.
+ * @returns {string|null} The ID of the node now rendered into the placeholder, or null if it is empty.
+ * @description Replaces the content of a `when()` placeholder with the element of the factory matching the value.
+ */
+const switchWhenContent = (adapter, binding, value) => {
+    const { nodeId } = binding;
+    if (!adapter.getChildIds(nodeId)) return null;
+
+    const oldChildId = adapter.getWhenChildId(nodeId);
+    if (oldChildId) {
+        adapter.removeChild(nodeId, oldChildId);
+        adapter.applyOperation({ type: OperationType.REMOVE_ATTRIBUTE, nodeId, name: 'data-child-node-id' });
+    }
+
+    const factory = value ? binding.trueFactory : binding.falseFactory;
+    const component = factory ? factory() : null;
+    if (!component) return null;
+    adapter.render(component);
+    adapter.applyOperation({ type: OperationType.APPEND_CHILD, parentId: nodeId, childId: component.nodeId });
+    adapter.applyOperation({ type: OperationType.SET_ATTRIBUTE, nodeId, name: 'data-child-node-id', value: component.nodeId });
+    return component.nodeId;
+};
+
+/**
+ * @typedef {object} StreamNode
+ * @property {string} id - The node ID.
+ * @property {string|null} tagName - The tag name, or null for text nodes.
+ * @property {string} [text] - For text nodes, the text content.
+ * @property {Map<string, *>} attributes - The attributes set by the stream.
+ * @property {Map<string, *>} styles - The style properties set by the stream.
+ * @property {Set<string>} classes - The classes added by the stream.
+ * @property {Array<string>} children - The child node IDs, in order.
+ * @property {Array<object>} behaviors - The event listener, binding and custom operations targeting the node.
+ */
+
+/**
+ * @private
+ * @param {Array<object>} operations - The operations of a stream.
+ * @returns {{nodes: Map<string, StreamNode>, rootId: string|undefined}} The node tree the operations build.
+ */
+const buildStreamTree = (operations) => {
+    /** @type {Map<string, StreamNode>} */
+    const nodes = new Map();
+    const parents = new Map();
+    const detach = (childId) => {
+        const parent = nodes.get(parents.get(childId));
+        if (parent) parent.children = parent.children.filter(id => id !== childId);
+        parents.delete(childId);
+    };
+    for (const op of operations) {
+        const node = nodes.get(op.nodeId);
+        switch (op.type) {
+            case OperationType.CREATE_ELEMENT:
+            case OperationType.CREATE_TEXT_NODE:
+                nodes.set(op.nodeId, {
+                    id: op.nodeId,
+                    tagName: op.type === OperationType.CREATE_ELEMENT ? op.tagName : null,
+                    text: op.content,
+                    attributes: new Map(),
+                    styles: new Map(),
+                    classes: new Set(),
+                    children: [],
+                    behaviors: []
+                });
+                break;
+            case OperationType.SET_TEXT_CONTENT:
+                if (node) node.text = op.content;
+                break;
+            case OperationType.SET_ATTRIBUTE:
+                node?.attributes.set(op.name, op.value);
+                break;
+            case OperationType.REMOVE_ATTRIBUTE:
+                node?.attributes.delete(op.name);
+                break;
+            case OperationType.SET_STYLE:
+                node?.styles.set(op.property, op.value);
+                break;
+            case OperationType.ADD_CLASS:
+                node?.classes.add(op.className);
+                break;
+            case OperationType.REMOVE_CLASS:
+                node?.classes.delete(op.className);
+                break;
+            case OperationType.APPEND_CHILD:
+            case OperationType.INSERT_BEFORE: {
+                const parent = nodes.get(op.parentId);
+                if (!parent || !nodes.has(op.childId)) break;
+                detach(op.childId);
+                const anchorIndex = op.anchorId ? parent.children.indexOf(op.anchorId) : -1;
+                parent.children.splice(anchorIndex < 0 ? parent.children.length : anchorIndex, 0, op.childId);
+                parents.set(op.childId, op.parentId);
+                break;
+            }
+            case OperationType.REMOVE_CHILD:
+                detach(op.childId);
+                break;
+            case OperationType.MOUNT:
+                break;
+            default:
+                node?.behaviors.push(op);
+        }
+    }
+    const rootId = [...nodes.keys()].find(id => !parents.has(id));
+    return { nodes, rootId };
+};
+
+/**
+ * @private
+ * @param {object} op - An operation of the new stream.
+ * @param {Map<string, string>} nodeIdMap - The existing node kept for each matched node of the new stream.
+ * @returns {object} The operation targeting the existing nodes. State bindings get an update function for the new node ID.
+ */
+const remapOperation = (op, nodeIdMap) => {
+    const mapId = (id) => nodeIdMap.get(id) ?? id;
+    const remapped = { ...op };
+    for (const key of ['nodeId', 'parentId', 'childId', 'anchorId']) {
+        if (typeof op[key] === 'string') remapped[key] = mapId(op[key]);
+    }
+    if (op.binding) {
+        remapped.binding = { ...op.binding, nodeId: mapId(op.binding.nodeId) };
+        remapped.updateFn = createBindingUpdateFn(remapped.binding);
+    }
+    return remapped;
+};
+
+/**
+ * @private
+ * @param {object} op - A behavior operation.
+ * @returns {boolean} Whether the operation renders the children of its node, as the bindings of `map()` and `when()` do.
+ */
+const rendersContent = (op) => op.type === OperationType.BIND_LIST || (op.type === OperationType.BIND_STATE && op.binding?.kind === 'when');
+
+/**
+ * @private
+ * @param {object} oldOp - A `map()` or `when()` binding of the existing node.
+ * @param {object} newOp - The binding at the same position on the matching node of the new stream.
+ * @returns {boolean} Whether both bind the same state with the same factories, so that the rendered children are still current.
+ */
+const isSameContentBinding = (oldOp, newOp) => !!newOp
+    && oldOp.type === newOp.type
+    && oldOp.state === newOp.state
+    && oldOp.factory === newOp.factory
+    && oldOp.binding?.trueFactory === newOp.binding?.trueFactory
+    && oldOp.binding?.falseFactory === newOp.binding?.falseFactory;
+
+/**
+ * @private
+ * @param {Array<object>} oldOperations - The operations the existing nodes were created from.
+ * @param {Array<object>} newOperations - The operations of the new version.
+ * @returns {{operations: Array<object>, nodeIdMap: Map<string, string>, rootNodeId: string|undefined, resetNodeIds: Set<string>,
+ * keptOperations: Map<object, object>}} The patch operations, the existing node kept for each matched node of the new stream, the root
+ * node after patching, the kept nodes whose `map()` or `when()` binding changed, so that the children it rendered must be rendered
+ * again, and the unchanged `when()` bindings of the new stream, each with the existing binding it leaves in place.
+ */
+const diffOperations = (oldOperations, newOperations) => {
+    const oldTree = buildStreamTree(oldOperations);
+    const newTree = buildStreamTree(newOperations);
+    const nodeIdMap = new Map();
+    const resetNodeIds = new Set();
+    const keptOperations = new Map();
+    const operations = [];
+
+    const isSameKind = (oldNode, newNode) => oldNode.tagName === newNode.tagName;
+    const keyOf = (node) => node.attributes.get('data-key');
+    const mapId = (id) => nodeIdMap.get(id) ?? id;
+
+    /**
+     * @private
+     * @param {string} rootId - The root of a subtree of the new stream.
+     * @returns {void}
+     * @description Emits the operations of the new stream that create the subtree.
+     */
+    const createSubtree = (rootId) => {
+        const ids = new Set();
+        const collect = (id) => {
+            ids.add(id);
+            newTree.nodes.get(id).children.forEach(collect);
+        };
+        collect(rootId);
+        newOperations.forEach(op => {
+            if (op.type === OperationType.MOUNT) return;
+            const isAttachment = op.type === OperationType.APPEND_CHILD || op.type === OperationType.INSERT_BEFORE;
+            if (isAttachment ? ids.has(op.parentId) : ids.has(op.nodeId)) operations.push(op);
+        });
+    };
+
+    /**
+     * @private
+     * @param {StreamNode} oldNode - The existing node.
+     * @param {StreamNode} newNode - The matching node of the new stream.
+     * @returns {void}
+     */
+    const diffNode = (oldNode, newNode) => {
+        const nodeId = oldNode.id;
+        nodeIdMap.set(newNode.id, nodeId);
+        if (oldNode.tagName === null) {
+            if (oldNode.text !== newNode.text) operations.push({ type: OperationType.SET_TEXT_CONTENT, nodeId, content: newNode.text });
+            return;
+        }
+        newNode.attributes.forEach((value, name) => {
+            if (!oldNode.attributes.has(name) || !Object.is(oldNode.attributes.get(name), value)) {
+                operations.push({ type: OperationType.SET_ATTRIBUTE, nodeId, name, value });
+            }
+        });
+        oldNode.attributes.forEach((_, name) => {
+            if (!newNode.attributes.has(name)) operations.push({ type: OperationType.REMOVE_ATTRIBUTE, nodeId, name });
+        });
+        newNode.styles.forEach((value, property) => {
+            if (!Object.is(oldNode.styles.get(property), value)) operations.push({ type: OperationType.SET_STYLE, nodeId, property, value });
+        });
+        oldNode.styles.forEach((_, property) => {
+            if (!newNode.styles.has(property)) operations.push({ type: OperationType.SET_STYLE, nodeId, property, value: '' });
+        });
+        newNode.classes.forEach(className => {
+            if (!oldNode.classes.has(className)) operations.push({ type: OperationType.ADD_CLASS, nodeId, className });
+        });
+        oldNode.classes.forEach(className => {
+            if (!newNode.classes.has(className)) operations.push({ type: OperationType.REMOVE_CLASS, nodeId, className });
+        });
+        diffChildren(oldNode, newNode);
+        const oldContent = oldNode.behaviors.filter(rendersContent);
+        const newContent = newNode.behaviors.filter(rendersContent);
+        const isContentKept = oldContent.length === newContent.length && oldContent.every((op, i) => isSameContentBinding(op, newContent[i]));
+        if (!isContentKept && oldContent.length > 0) resetNodeIds.add(nodeId);
+        newNode.behaviors.forEach(op => {
+            const index = newContent.indexOf(op);
+            // Re-subscribing an unchanged when() would render its content again, so the existing subscription is kept instead.
+            if (isContentKept && index >= 0 && op.type === OperationType.BIND_STATE) {
+                keptOperations.set(op, oldContent[index]);
+            } else if (op.type !== OperationType.BIND_LIFECYCLE) {
+                operations.push(remapOperation(op, nodeIdMap));
+            }
+        });
+    };
+
+    /**
+     * @private
+     * @param {StreamNode} oldParent - The existing parent node.
+     * @param {StreamNode} newParent - The matching parent of the new stream.
+     * @returns {void}
+     * @description Matches children by `data-key`, then unkeyed children of the same kind in order, and emits the removals, insertions
+     * and moves turning the existing children into the new ones.
+     */
+    const diffChildren = (oldParent, newParent) => {
+        const oldChildren = oldParent.children.map(id => oldTree.nodes.get(id));
+        const keyedOld = new Map(oldChildren.filter(node => keyOf(node) !== undefined).map(node => [keyOf(node), node]));
+        const unkeyedOld = oldChildren.filter(node => keyOf(node) === undefined);
+        const used = new Set();
+        const pairs = newParent.children.map(id => {
+            const newNode = newTree.nodes.get(id);
+            const key = keyOf(newNode);
+            const match = key !== undefined
+                ? keyedOld.get(key)
+                : unkeyedOld.find(node => !used.has(node) && isSameKind(node, newNode));
+            if (match && !used.has(match) && isSameKind(match, newNode)) {
+                used.add(match);
+                return { newNode, oldNode: match };
+            }
+            return { newNode, oldNode: null };
+        });
+
+        let current = oldParent.children.slice();
+        oldChildren.forEach(node => {
+            if (!used.has(node)) {
+                operations.push({ type: OperationType.REMOVE_CHILD, parentId: oldParent.id, childId: node.id });
+                current = current.filter(id => id !== node.id);
+            }
+        });
+
+        pairs.forEach(({ newNode, oldNode }, i) => {
+            const childId = oldNode ? oldNode.id : newNode.id;
+            if (!oldNode) createSubtree(newNode.id);
+            if (current[i] !== childId) {
+                const anchorId = current.filter(id => id !== childId)[i];
+                operations.push(anchorId
+                    ? { type: OperationType.INSERT_BEFORE, parentId: oldParent.id, childId, anchorId }
+                    : { type: OperationType.APPEND_CHILD, parentId: oldParent.id, childId });
+                current = current.filter(id => id !== childId);
+                current.splice(i, 0, childId);
+            }
+            if (oldNode) diffNode(oldNode, newNode);
+        });
+    };
+
+    const oldRoot = oldTree.nodes.get(oldTree.rootId);
+    const newRoot = newTree.nodes.get(newTree.rootId);
+    if (!newRoot) return { operations, nodeIdMap, rootNodeId: oldTree.rootId, resetNodeIds, keptOperations };
+    if (oldRoot && isSameKind(oldRoot, newRoot)) {
+        diffNode(oldRoot, newRoot);
+    } else {
+        createSubtree(newRoot.id);
+    }
+    return { operations, nodeIdMap, rootNodeId: mapId(newRoot.id), resetNodeIds, keptOperations };
+};
+
+/**
+ * @param {OperationStream} oldStream - The stream the existing nodes were created from.
+ * @param {OperationStream} newStream - The stream of the new version, e.g. from re-running a factory with new parameters.
+ * @returns {Array<object>} The operations turning the nodes of `oldStream` into `newStream`, targeting the existing node IDs.
+ * @description Computes a minimal patch between two streams of the same component. Nodes are matched by position and tag name, or by
+ * `data-key`; matched nodes are kept and only their changed attributes, styles, classes and text are updated, while unmatched nodes are
+ * created from `newStream` or removed. The patch also contains the event listeners and bindings of `newStream`, moved to the kept nodes,
+ * so it is meant to be applied with `ChainRuntime.prototype.patch()`, which releases the old ones first. `when()` bindings with the same
+ * state and factories are left out, so that their content is kept, and so are lifecycle hooks, which kept nodes keep from their first
+ * stream. When the root elements differ, the patch only creates the new tree.
+ * @example
+ * const operations = diffStreams(UserPage({ id: 1 }).stream, UserPage({ id: 2 }).stream);
+ * // [{ type: 'SET_TEXT_CONTENT', nodeId: 'text-3', content: 'User 2' }, ...]
+ */
+export function diffStreams(oldStream, newStream) {
+    return diffOperations(oldStream.getOperations(), newStream.getOperations()).operations;
+}
+
+/**
+ * @typedef {object} PendingMount
+ * @property {HTMLElement|Text} node - The node waiting to be inserted into the document.
+ * @property {function(): void} mount - Runs the node's mount hooks.
+ */
+
+/**
+ * @type {Array<PendingMount>}
+ * @description Mount hooks of nodes that are not in the document yet. They are shared by all runtimes, because the nodes of one runtime
+ * (such as a router page) can be inserted by another.
+ */
+let pendingMounts = [];
+
+/**
+ * @private
+ * @returns {void}
+ * @description Runs the mount hooks of the pending nodes that are now in the document, in the order they were bound.
+ */
+const flushPendingMounts = () => {
+    if (pendingMounts.length === 0) return;
+    const pending = pendingMounts;
+    pendingMounts = [];
+    pending.forEach(entry => {
+        if (entry.node.isConnected) {
+            entry.mount();
+        } else {
+            pendingMounts.push(entry);
+        }
+    });
+};
+
+/**
+ * @class ChainRuntime
+ * @description Client-side runtime responsible for executing operation streams to manipulate the real DOM.
+ */
+export class ChainRuntime {
+    /**
+     * @constructor
+     */
+    constructor() {
+        /**
+         * @type {Map<string, HTMLElement|Text>}
+         * @description Stores a mapping from node IDs to actual DOM nodes.
+         */
+        this.nodeMap = new Map();
+        /**
+         * @type {Map<string, function(): void>}
+         * @description Stores a mapping from state IDs to their unsubscribe functions.
+         */
+        this.stateSubscriptions = new Map();
+        /**
+         * @type {Map<string, Array<function(): void>>}
+         * @description Tracks state subscriptions per node for cleanup when a node is removed.
+         */
+        this.nodeSubscriptions = new Map();
+        /**
+         * @type {EventDelegator}
+         * @description The EventDelegator instance for efficient event handling.
+         */
+        this.eventDelegator = new EventDelegator(this);
+        /**
+         * @type {Array<object>}
+         * @description The batch processing queue, storing operations to be executed.
+         */
+        this.batchQueue = [];
+        /**
+         * @type {boolean}
+         * @description Indicates whether batch processing has been scheduled.
+         */
+        this.isBatchingScheduled = false;
+        /**
+         * @type {number|null}
+         * @description The ID of the requestAnimationFrame, used to cancel animation frames.
+         */
+        this.animationFrameId = null;
+        /**
+         * @type {WeakSet<object>}
+         * @description Binding operations already applied by this runtime, so that executing and binding the same stream subscribes only once.
+         */
+        this.boundOperations = new WeakSet();
+        /**
+         * @type {WeakSet<function(): void>}
+         * @description The functions running the unmount hooks of BIND_LIFECYCLE operations, which `releaseNode()` leaves in place.
+         */
+        this.lifecycleDisposers = new WeakSet();
+        /**
+         * @type {Set<function(object, boolean): void>}
+         * @description Functions called with every DOM operation applied by this runtime, and whether it was applied from the batch queue.
+         */
+        this.operationListeners = new Set();
+        /**
+         * @type {boolean}
+         * @description Indicates whether the batch queue is being applied.
+         */
+        this.isApplyingBatch = false;
+        /**
+         * @type {HTMLElement|null}
+         * @description The element the root node is mounted into by MOUNT operations without a selector.
+         */
+        this.container = null;
+        /**
+         * @type {OperationStream|null}
+         * @description The stream describing the current nodes, which `patch()` diffs new streams against.
+         */
+        this.stream = null;
+        /**
+         * @type {NodeAdapter}
+         * @description The DOM nodes of this runtime, for the list reconciliation and `when()` switching shared with `WorkerRuntime`.
+         */
+        this.nodeAdapter = {
+            getChildIds: (nodeId) => {
+                const node = this.nodeMap.get(nodeId);
+                return node ? Array.from(node.childNodes, child => /** @type {HTMLElement} */ (child).dataset?.chainId) : null;
+            },
+            getKey: (nodeId) => /** @type {HTMLElement} */ (this.nodeMap.get(nodeId))?.dataset?.key || undefined,
+            getWhenChildId: (nodeId) => /** @type {HTMLElement} */ (this.nodeMap.get(nodeId))?.dataset?.childNodeId,
+            render: (element) => {
+                this.executeOperations(element.stream, true);
+                this.eventDelegator.registerHandlers(element.eventHandlers);
+                this.bindOperations(element.stream);
+            },
+            removeChild: (parentId, childId) => {
+                const child = this.nodeMap.get(childId);
+                if (child && child.parentNode === this.nodeMap.get(parentId)) {
+                    this.applyOperation({ type: OperationType.REMOVE_CHILD, parentId, childId });
+                } else if (child) {
+                    this.cleanupNodeTree(child);
+                }
+            },
+            applyOperation: (op) => this.applyOperation(op)
+        };
+    }
+
+    /**
+     * @param {Array<object>} operations - The array of operations to execute.
+     * @param {boolean} [immediate=false] - If true, operations are executed immediately; otherwise, they are added to the batch queue.
+     * @returns {void}
+     * @description Executes a queue of operations.
+     */
+    execute(operations, immediate = false) {
+        if (immediate) {
+            moveModelBindingsLast(operations).forEach(op => this.applyOperation(op));
+        } else {
+            this.batchQueue.push(...operations);
+            this.scheduleBatchExecution();
+        }
+    }
+
+    /**
+     * @param {OperationStream} stream - The OperationStream instance.
+     * @param {boolean} [immediate=false] - If true, operations are executed immediately; otherwise, they are added to the batch queue.
+     * @returns {void}
+     * @description Executes operations from an OperationStream instance.
+     */
+    executeOperations(stream, immediate = false) {
+        if (stream && typeof stream.getOperations === 'function') {
+            this.execute(stream.getOperations(), immediate);
+        }
+    }
+
+    /**
+     * @param {OperationStream} stream - The OperationStream instance.
+     * @returns {void}
+     * @description Binds state and list operations from an OperationStream instance.
+     */
+    bindOperations(stream) {
+        if (stream && typeof stream.getOperations === 'function') {
+            stream.getOperations()
+                .filter(op => BINDING_OPERATION_TYPES.has(op.type) && op.type !== OperationType.BIND_ATTRIBUTE)
+                .forEach(op => this.applyOperation(op));
+        }
+    }
+
+    /**
+     * @returns {void}
+     * @description Schedules batch execution using requestAnimationFrame for optimized performance.
+     */
+    scheduleBatchExecution() {
+        if (!this.isBatchingScheduled) {
+            this.isBatchingScheduled = true;
+            this.animationFrameId = requestAnimationFrame(() => {
+                const queue = this.batchQueue;
+                this.batchQueue = [];
+                this.isApplyingBatch = true;
+                try {
+                    moveModelBindingsLast(queue).forEach(op => this.applyOperation(op));
+                } finally {
+                    this.isApplyingBatch = false;
+                }
+                this.isBatchingScheduled = false;
+                this.animationFrameId = null;
+            });
+        }
+    }
+
+    /**
+     * @param {object} op - The single operation to apply.
+     * @returns {void}
+     * @description Applies a single operation to the DOM.
+     */
+    applyOperation(op) {
+        if (BINDING_OPERATION_TYPES.has(op.type)) {
+            if (this.boundOperations.has(op)) return;
+            this.boundOperations.add(op);
+        }
+        const node = this.nodeMap.get(op.nodeId);
+        switch (op.type) {
+            case OperationType.CREATE_ELEMENT: {
+                const el = document.createElement(op.tagName);
+                el.dataset.chainId = op.nodeId;
+                this.nodeMap.set(op.nodeId, el);
+                break;
+            }
+            case OperationType.CREATE_TEXT_NODE: {
+                this.nodeMap.set(op.nodeId, document.createTextNode(op.content));
+                break;
+            }
+            case OperationType.SET_TEXT_CONTENT: {
+                if (node) node.textContent = op.content;
+                break;
+            }
+            case OperationType.APPEND_CHILD: {
+                const parent = this.nodeMap.get(op.parentId);
+                const child = this.nodeMap.get(op.childId);
+                if (parent && child) {
+                    parent.appendChild(child);
+                    if (parent.isConnected) flushPendingMounts();
+                }
+                break;
+            }
+            case OperationType.SET_ATTRIBUTE: {
+                if (node) {
+                    if (op.name === 'value' && 'value' in node) {
+                        this.setControlValue(/** @type {HTMLInputElement} */ (node), op.value);
+                    } else if (op.name === 'checked' && 'checked' in node) {
+                        /** @type {HTMLInputElement} */ (node).checked = Boolean(op.value);
+                    } else if (op.name === 'disabled' && 'disabled' in node) {
+                        /** @type {HTMLInputElement|HTMLTextAreaElement|HTMLButtonElement} */ (node).disabled = Boolean(op.value);
+                    } else {
+                        node.setAttribute(op.name, op.value);
+                    }
+                }
+                break;
+            }
+            case OperationType.REMOVE_ATTRIBUTE: {
+                if (node instanceof HTMLElement) node.removeAttribute(op.name);
+                break;
+            }
+            case OperationType.SET_STYLE: {
+                if (node instanceof HTMLElement) node.style[op.property] = op.value;
+                break;
+            }
+            case OperationType.ADD_CLASS: {
+                if (node instanceof HTMLElement) node.classList.add(op.className);
+                break;
+            }
+            case OperationType.REMOVE_CLASS: {
+                if (node instanceof HTMLElement) node.classList.remove(op.className);
+                break;
+            }
+            case OperationType.ADD_EVENT_LISTENER: {
+                if (node instanceof HTMLElement) this.eventDelegator.listen(node, op.actionId, op.eventType, op.options, op.target);
+                break;
+            }
+            case OperationType.BIND_STATE: {
+                if (op.state && typeof op.state.subscribe === 'function') {
+                    const runtime = this;
+                    const unsubscribe = op.state.subscribe(newValue => {
+                        if (op.updateFn.length === 2) {
+                            const updateStream = new OperationStream();
+                            op.updateFn.call(runtime, newValue, updateStream);
+                            runtime.execute(updateStream.getOperations());
+                        } else {
+                            op.updateFn.call(runtime, newValue);
+                        }
+                    });
+                    this.stateSubscriptions.set(op.stateId, unsubscribe);
+                    if (!this.nodeSubscriptions.has(op.nodeId)) {
+                        this.nodeSubscriptions.set(op.nodeId, []);
+                    }
+                    this.nodeSubscriptions.get(op.nodeId).push(unsubscribe);
+                }
+                break;
+            }
+            case OperationType.BIND_ATTRIBUTE: {
+                if (node instanceof HTMLElement && op.state && typeof op.state.subscribe === 'function') {
+                    const unsubscribe = op.state.subscribe(newValue => {
+                        this.applyOperation({
+                            type: OperationType.SET_ATTRIBUTE,
+                            nodeId: op.nodeId,
+                            name: op.name,
+                            value: op.name === 'disabled' ? !!newValue : valueToString(newValue)
+                        });
+                    });
+                    this.stateSubscriptions.set(op.stateId, unsubscribe);
+                    if (!this.nodeSubscriptions.has(op.nodeId)) {
+                        this.nodeSubscriptions.set(op.nodeId, []);
+                    }
+                    this.nodeSubscriptions.get(op.nodeId).push(unsubscribe);
+                }
+                break;
+            }
+            case OperationType.BIND_LIST: {
+                if (op.state && typeof op.state.subscribePatches === 'function') {
+                    this.reconcileList(op.nodeId, runWithDependencies(() => op.state.value, null), op.factory);
+                    const unsubscribe = op.state.subscribePatches(patches => {
+                        patches.forEach(patch => {
+                            if (patch.type === 'reset') {
+                                this.reconcileList(op.nodeId, patch.items, op.factory);
+                            } else {
+                                this.execute(listPatchToOperations(op.nodeId, patch, op.factory), true);
+                            }
+                        });
+                    });
+                    this.stateSubscriptions.set(generateId('sub'), unsubscribe);
+                    if (!this.nodeSubscriptions.has(op.nodeId)) {
+                        this.nodeSubscriptions.set(op.nodeId, []);
+                    }
+                    this.nodeSubscriptions.get(op.nodeId).push(unsubscribe);
+                } else if (op.state && typeof op.state.subscribe === 'function') {
+                    const unsubscribe = op.state.subscribe(items => {
+                        this.reconcileList(op.nodeId, items, op.factory);
+                    });
+                    this.stateSubscriptions.set(generateId('sub'), unsubscribe);
+                    if (!this.nodeSubscriptions.has(op.nodeId)) {
+                        this.nodeSubscriptions.set(op.nodeId, []);
+                    }
+                    this.nodeSubscriptions.get(op.nodeId).push(unsubscribe);
+                }
+                break;
+            }
+            case OperationType.BIND_EFFECT: {
+                if (node && typeof op.setup === 'function') {
+                    const dispose = op.setup(node);
+                    this.stateSubscriptions.set(op.effectId, dispose);
+                    if (!this.nodeSubscriptions.has(op.nodeId)) {
+                        this.nodeSubscriptions.set(op.nodeId, []);
+                    }
+                    this.nodeSubscriptions.get(op.nodeId).push(dispose);
+                }
+                break;
+            }
+            case OperationType.BIND_MODEL: {
+                if (node instanceof HTMLElement && op.state && typeof op.state.subscribe === 'function') {
+                    const dispose = this.bindModel(op, node);
+                    this.stateSubscriptions.set(op.stateId, dispose);
+                    if (!this.nodeSubscriptions.has(op.nodeId)) {
+                        this.nodeSubscriptions.set(op.nodeId, []);
+                    }
+                    this.nodeSubscriptions.get(op.nodeId).push(dispose);
+                }
+                break;
+            }
+            case OperationType.BIND_LIFECYCLE: {
+                if (node) {
+                    const dispose = this.bindLifecycle(op, node);
+                    this.lifecycleDisposers.add(dispose);
+                    this.stateSubscriptions.set(op.hookId, dispose);
+                    if (!this.nodeSubscriptions.has(op.nodeId)) {
+                        this.nodeSubscriptions.set(op.nodeId, []);
+                    }
+                    this.nodeSubscriptions.get(op.nodeId).push(dispose);
+                }
+                break;
+            }
+            case OperationType.LIST_INSERT:
+            case OperationType.LIST_REMOVE:
+            case OperationType.LIST_MOVE:
+            case OperationType.LIST_UPDATE:
+                applyListOperation(this.nodeAdapter, op);
+                break;
+            case OperationType.MOUNT: {
+                const container = op.selector ? document.querySelector(op.selector) : this.container;
+                const nodeToMount = this.nodeMap.get(op.nodeId);
+                if (container && nodeToMount) {
+                    container.innerHTML = '';
+                    container.appendChild(nodeToMount);
+                    flushPendingMounts();
+                }
+                break;
+            }
+            case OperationType.INSERT_BEFORE: {
+                const parent = this.nodeMap.get(op.parentId);
+                const child = this.nodeMap.get(op.childId);
+                const anchor = this.nodeMap.get(op.anchorId);
+                if (parent && child && anchor) {
+                    parent.insertBefore(child, anchor);
+                    if (parent.isConnected) flushPendingMounts();
+                }
+                break;
+            }
+            case OperationType.REMOVE_CHILD: {
+                const parent = this.nodeMap.get(op.parentId);
+                const child = this.nodeMap.get(op.childId);
+                if (parent && child) {
+                    this.cleanupNodeTree(child);
+                    parent.removeChild(child);
+                }
+                break;
+            }
+            case OperationType.INIT_ROUTER: {
+                if (node instanceof HTMLElement && op.router) {
+                    if (typeof op.router.init === 'function') {
+                        op.router.init(node);
+                    } else if (op.router.routes) {
+                        const routerConfig = {
+                            routes: op.router.routes.map(route => ({
+                                path: route.path,
+                                component: () => h('div').set('data-route', route.path),
+                                options: route.options || {}
+                            })),
+                            mode: op.router.mode || 'history'
+                        };
+                        const { router: newRouter } = createRouter(routerConfig);
+                        if (newRouter && typeof newRouter.init === 'function') {
+                            newRouter.init(node);
+                        }
+                    }
+                }
+                break;
+            }
+            default: {
+                const definition = customOperations.get(op.type);
+                if (definition) definition.apply(op, node, this);
+                break;
+            }
+        }
+        if (this.operationListeners.size > 0 && !COMPOSITE_OPERATION_TYPES.has(op.type)) {
+            this.operationListeners.forEach(listener => listener(op, this.isApplyingBatch));
+        }
+    }
+
+    /**
+     * @param {HTMLElement|Text} node - The DOM node to clean up.
+     * @returns {void}
+     * @description Cleans up event listeners and state subscriptions for a node and its entire subtree before removal.
+     */
+    cleanupNodeTree(node) {
+        if (!node) return;
+        this.eventDelegator.clearHandlersForNode(node);
+        const nodesToClean = (typeof node.querySelectorAll === 'function') ? [node, ...node.querySelectorAll('[data-chain-id]')] : [node];
+        
+        nodesToClean.forEach(el => {
+            const nodeId = el.dataset?.chainId;
+            if (nodeId) {
+                if (this.nodeSubscriptions.has(nodeId)) {
+                    this.nodeSubscriptions.get(nodeId).forEach(unsub => unsub());
+                    this.nodeSubscriptions.delete(nodeId);
+                }
+                this.nodeMap.delete(nodeId);
+            }
+        });
+    }
+
+    /**
+     * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} control - The form control.
+     * @param {*} value - The new value.
+     * @returns {void}
+     * @description Sets the value of a form control. The value is left alone when it is unchanged, and the caret of a focused control is
+     * kept in place, so that updates while typing do not move it to the end.
+     */
+    setControlValue(control, value) {
+        const nextValue = value === null ? '' : String(value);
+        if (control.value === nextValue) return;
+        const isFocused = typeof document !== 'undefined' && document.activeElement === control;
+        const input = /** @type {HTMLInputElement} */ (control);
+        const selection = isFocused && typeof input.selectionStart === 'number' ? [input.selectionStart, input.selectionEnd] : null;
+        control.value = nextValue;
+        if (selection) {
+            const length = control.value.length;
+            input.setSelectionRange(Math.min(selection[0], length), Math.min(selection[1], length));
+        }
+    }
+
+    /**
+     * @param {object} op - The BIND_MODEL operation.
+     * @param {HTMLElement} node - The form control.
+     * @returns {function(): void} A function removing the binding.
+     * @description Keeps a form control and a state in sync in both directions, see `ChainElement.prototype.model()`.
+     */
+    bindModel(op, node) {
+        const { state, modifiers = {} } = op;
+        const control = /** @type {HTMLInputElement} */ (node);
+        const select = /** @type {HTMLSelectElement} */ (node);
+        // Read when used, as the type of an input may change after the binding is applied.
+        const getKind = () => getModelKind(node.tagName, control.type);
+        const read = (value) => readModelValue(value, modifiers, control.type);
+        let isComposing = false;
+
+        const render = (value) => {
+            const kind = getKind();
+            switch (kind) {
+                case 'checkbox':
+                case 'radio': {
+                    const ownValue = read(control.value);
+                    const checked = kind === 'radio'
+                        ? modelValuesEqual(value, ownValue)
+                        : Array.isArray(value) ? value.some(item => modelValuesEqual(item, ownValue)) : Boolean(value);
+                    this.applyOperation({ type: OperationType.SET_ATTRIBUTE, nodeId: op.nodeId, name: 'checked', value: checked });
+                    break;
+                }
+                case 'select':
+                    if (select.multiple) {
+                        const values = Array.isArray(value) ? value : [];
+                        Array.from(select.options).forEach(option => {
+                            option.selected = values.some(item => modelValuesEqual(item, read(option.value)));
+                        });
+                    } else {
+                        const index = Array.from(select.options).findIndex(option => modelValuesEqual(value, read(option.value)));
+                        if (select.selectedIndex !== index) select.selectedIndex = index;
+                    }
+                    break;
+                default:
+                    if (isComposing || modelValuesEqual(value ?? '', read(control.value))) return;
+                    this.applyOperation({ type: OperationType.SET_ATTRIBUTE, nodeId: op.nodeId, name: 'value', value: value ?? '' });
+            }
+        };
+
+        const update = () => {
+            switch (getKind()) {
+                case 'checkbox': {
+                    const current = runWithDependencies(() => state.value, null);
+                    if (Array.isArray(current)) {
+                        const ownValue = read(control.value);
+                        const rest = current.filter(item => !modelValuesEqual(item, ownValue));
+                        state.value = control.checked ? [...rest, ownValue] : rest;
+                    } else {
+                        state.value = control.checked;
+                    }
+                    break;
+                }
+                case 'radio':
+                    if (control.checked) state.value = read(control.value);
+                    break;
+                case 'select': {
+                    const current = runWithDependencies(() => state.value, null);
+                    state.value = select.multiple
+                        ? Array.from(select.selectedOptions, option => matchStateType(read(option.value), current))
+                        : matchStateType(read(select.value), current);
+                    break;
+                }
+                default:
+                    if (!isComposing) state.value = read(control.value);
+            }
+        };
+
+        const listeners = [];
+        const listen = (eventType, listener) => {
+            node.addEventListener(eventType, listener);
+            listeners.push([eventType, listener]);
+        };
+        listen('compositionstart', () => { isComposing = true; });
+        listen('compositionend', () => {
+            isComposing = false;
+            if (getKind() === 'text' && !modifiers.lazy) update();
+        });
+        listen('input', () => {
+            if (getKind() === 'text' && !modifiers.lazy) update();
+        });
+        listen('change', () => {
+            if (getKind() !== 'text' || modifiers.lazy) update();
+            if (getKind() === 'text' && modifiers.trim) {
+                this.applyOperation({ type: OperationType.SET_ATTRIBUTE, nodeId: op.nodeId, name: 'value', value: control.value.trim() });
+            }
+        });
+
+        const unsubscribe = state.subscribe(render);
+        if (getKind() === 'select') {
+            // Options are usually appended after the binding is applied.
+            queueMicrotask(() => render(runWithDependencies(() => state.value, null)));
+        }
+        return () => {
+            unsubscribe();
+            listeners.forEach(([eventType, listener]) => node.removeEventListener(eventType, listener));
+        };
+    }
+
+    /**
+     * @param {object} op - The BIND_LIFECYCLE operation.
+     * @param {HTMLElement|Text} node - The node the hooks belong to.
+     * @returns {function(): void} A function running the unmount hooks, if the node was mounted.
+     * @description Runs the mount hooks now if the node is in the document, or once it is inserted.
+     */
+    bindLifecycle(op, node) {
+        let isMounted = false;
+        let cleanup = null;
+        /** @type {PendingMount} */
+        const entry = {
+            node,
+            mount: () => {
+                isMounted = true;
+                const result = op.onMount?.call(node, node);
+                if (typeof result === 'function') cleanup = result;
+            }
+        };
+        if (node.isConnected) {
+            entry.mount();
+        } else {
+            pendingMounts.push(entry);
+        }
+        return () => {
+            pendingMounts = pendingMounts.filter(other => other !== entry);
+            if (!isMounted) return;
+            isMounted = false;
+            if (cleanup) cleanup.call(node);
+            op.onUnmount?.call(node, node);
+        };
+    }
+
+    /**
+     * @param {object} item - The list item to render.
+     * @param {number} index - The index of the item in the list.
+     * @param {function(object, number): ChainElement} factory - The factory function that creates the item's ChainElement.
+     * @returns {HTMLElement} The DOM node of the item, with its event handlers and bindings in place.
+     * @description Creates the DOM node for a single list item, keyed by the item's `id`. Items without an `id` are not keyed.
+     */
+    createListItem(item, index, factory) {
+        return /** @type {HTMLElement} */ (this.nodeMap.get(renderListItem(this.nodeAdapter, item, index, factory)));
+    }
+
+    /**
+     * @param {string} parentNodeId - The ID of the parent node.
+     * @param {Array<object>} newItems - The new array of list items.
+     * @param {function(object, number): ChainElement} factory - The factory function to create a ChainElement for each list item.
+     * @returns {void}
+     * @description List reconciliation algorithm for efficiently updating element lists.
+     */
+    reconcileList(parentNodeId, newItems, factory) {
+        reconcileListChildren(this.nodeAdapter, parentNodeId, newItems, factory);
+    }
+
+    /**
+     * @param {string} parentNodeId - The ID of the parent node.
+     * @param {HTMLElement} child - The node to insert or move.
+     * @param {ChildNode|null} anchor - The node to insert before, or null to append.
+     * @returns {void}
+     * @description Inserts or moves a node through an INSERT_BEFORE or APPEND_CHILD operation, so that the change is visible to operation listeners.
+     */
+    placeChild(parentNodeId, child, anchor) {
+        placeListChild(this.nodeAdapter, parentNodeId, child.dataset.chainId, /** @type {HTMLElement} */ (anchor)?.dataset?.chainId);
+    }
+
+    /**
+     * @param {OperationStream} stream - The new version of the stream the runtime was rendered from.
+     * @returns {void}
+     * @description Updates the existing nodes to match the stream with the operations computed by `diffStreams()`, instead of rebuilding them.
+     * Kept nodes release their previous event handlers and bindings before the new ones are applied, but keep their lifecycle hooks, so
+     * `onMount()` and `onUnmount()` do not run again. The items of a `map()` and the content of a `when()` are rendered again when the
+     * bound state or the factory changed, and kept otherwise. The focused element, its text selection and the scroll positions of the
+     * runtime's elements are preserved.
+     * @throws {Error} Throws an error if the runtime was not rendered from a stream.
+     */
+    patch(stream) {
+        if (!this.stream) throw new Error('Cannot patch a runtime that was not rendered from an operation stream.');
+        const { operations, nodeIdMap, rootNodeId, resetNodeIds, keptOperations } =
+            diffOperations(this.stream.getOperations(), stream.getOperations());
+        const restoreViewState = this.saveViewState();
+
+        const keptSubscriptions = new Set(Array.from(keptOperations.values(), op => this.stateSubscriptions.get(op.stateId)));
+        new Set(nodeIdMap.values()).forEach(nodeId => this.releaseNode(nodeId, keptSubscriptions));
+        resetNodeIds.forEach(nodeId => this.clearRenderedContent(nodeId));
+        this.eventDelegator.registerHandlers(operations.filter(op => op.type === OperationType.ADD_EVENT_LISTENER && op.handler));
+        this.execute(operations, true);
+
+        if (rootNodeId !== this.rootNodeId) {
+            const oldRoot = this.nodeMap.get(this.rootNodeId);
+            const newRoot = this.nodeMap.get(rootNodeId);
+            if (oldRoot && newRoot) {
+                this.cleanupNodeTree(oldRoot);
+                oldRoot.replaceWith(newRoot);
+                flushPendingMounts();
+            }
+            this.rootNodeId = rootNodeId;
+        }
+
+        const patchedStream = new OperationStream();
+        patchedStream.operations = stream.getOperations().map(op => keptOperations.get(op) ?? remapOperation(op, nodeIdMap));
+        this.stream = patchedStream;
+        restoreViewState();
+    }
+
+    /**
+     * @param {string} nodeId - The ID of a node kept by a patch.
+     * @param {Set<function(): void>} [kept] - Subscriptions to leave in place, for bindings the patch keeps.
+     * @returns {void}
+     * @description Disposes the bindings of a node and removes its event handlers, without touching its children or its lifecycle hooks.
+     */
+    releaseNode(nodeId, kept = new Set()) {
+        const isKept = (unsubscribe) => kept.has(unsubscribe) || this.lifecycleDisposers.has(unsubscribe);
+        const subscriptions = this.nodeSubscriptions.get(nodeId) ?? [];
+        const remaining = subscriptions.filter(isKept);
+        subscriptions.forEach(unsubscribe => {
+            if (!isKept(unsubscribe)) unsubscribe();
+        });
+        if (remaining.length > 0) {
+            this.nodeSubscriptions.set(nodeId, remaining);
+        } else {
+            this.nodeSubscriptions.delete(nodeId);
+        }
+        const node = this.nodeMap.get(nodeId);
+        if (node instanceof HTMLElement) this.eventDelegator.removeActions(node);
+    }
+
+    /**
+     * @param {string} nodeId - The ID of a node kept by a patch.
+     * @returns {void}
+     * @description Removes the children a `map()` or `when()` binding rendered into the node, so that the new binding renders them again.
+     */
+    clearRenderedContent(nodeId) {
+        this.nodeAdapter.getChildIds(nodeId)?.forEach(childId => {
+            if (childId) this.nodeAdapter.removeChild(nodeId, childId);
+        });
+        if (this.nodeAdapter.getWhenChildId(nodeId)) {
+            this.applyOperation({ type: OperationType.REMOVE_ATTRIBUTE, nodeId, name: 'data-child-node-id' });
+        }
+    }
+
+    /**
+     * @returns {function(): void} A function restoring the saved state.
+     * @description Saves the focused element, its text selection, and the scroll positions of the runtime's scrolled elements.
+     */
+    saveViewState() {
+        const active = typeof document !== 'undefined' ? /** @type {HTMLInputElement} */ (document.activeElement) : null;
+        const selection = active && typeof active.selectionStart === 'number'
+            ? [active.selectionStart, active.selectionEnd, active.selectionDirection]
+            : null;
+        const scrolled = [];
+        this.nodeMap.forEach(node => {
+            if (node instanceof HTMLElement && (node.scrollTop || node.scrollLeft)) scrolled.push([node, node.scrollTop, node.scrollLeft]);
+        });
+
+        return () => {
+            if (active && active.isConnected && document.activeElement !== active && typeof active.focus === 'function') {
+                active.focus({ preventScroll: true });
+                if (selection && typeof active.setSelectionRange === 'function') {
+                    active.setSelectionRange(selection[0], selection[1], /** @type {'forward'|'backward'|'none'} */ (selection[2]));
+                }
+            }
+            scrolled.forEach(([node, top, left]) => {
+                if (node.isConnected && (node.scrollTop !== top || node.scrollLeft !== left)) {
+                    node.scrollTop = top;
+                    node.scrollLeft = left;
+                }
+            });
+        };
+    }
+
+    /**
+     * @returns {void}
+     * @description Destroys the runtime, cleaning up all subscriptions and references.
+     */
+    destroy() {
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        this.batchQueue = [];
+        this.isBatchingScheduled = false;
+
+        const nodesToClean = Array.from(this.nodeMap.values());
+        nodesToClean.forEach(node => {
+            this.cleanupNodeTree(node);
+        });
+
+        this.stateSubscriptions.forEach(unsubscribe => {
+            if (typeof unsubscribe === 'function') {
+                unsubscribe();
+            }
+        });
+        this.stateSubscriptions.clear();
+        this.operationListeners.clear();
+        this.nodeSubscriptions.forEach(subs => subs.forEach(unsub => unsub()));
+        this.nodeSubscriptions.clear();
+        this.nodeMap.clear();
+
+        if (this.eventDelegator && typeof this.eventDelegator.destroy === 'function') {
+            this.eventDelegator.destroy();
+        }
+
+        this.eventDelegator = null;
+        this.batchQueue = null;
+        this.stateSubscriptions = null;
+        this.nodeMap = null;
+
+        if (typeof window !== 'undefined' && window.__CHAIN_ACTIVE_RUNTIME__ === this) {
+            window.__CHAIN_ACTIVE_RUNTIME__ = undefined;
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.__CHAIN_EVENT_HANDLERS__ = window.__CHAIN_EVENT_HANDLERS__ || {};
+}
+
+/**
+ * @private
+ * @type {Array<string>}
+ * @description Event types that do not bubble, or whose bubbling differs from where they are listened to. Listeners for them are bound
+ * directly to their element instead of being delegated, so that e.g. `mouseenter` does not fire for the element's descendants.
+ */
+const DIRECT_EVENT_TYPES = [
+    'mouseenter', 'mouseleave', 'pointerenter', 'pointerleave', 'focus', 'blur', 'scroll', 'scrollend', 'load', 'error', 'abort',
+    'toggle', 'cancel', 'close', 'invalid', 'play', 'pause', 'ended', 'timeupdate', 'volumechange', 'loadedmetadata', 'canplay'
+];
+
+/**
+ * @private
+ * @param {string} eventType - The event type of an action.
+ * @param {'window'|'document'|null} [target] - The global object the action listens on, if any.
+ * @returns {string} The event type as listed in `data-chain-event`, prefixed with the global object (e.g. `window:resize`).
+ */
+const getActionEventType = (eventType, target) => target ? `${target}:${eventType}` : eventType;
+
+/**
+ * @typedef {object} ListenerOptions
+ * @property {boolean} [prevent=false] - Calls `preventDefault()` before the handler runs.
+ * @property {boolean} [stop=false] - Ends the propagation after this element, so that the handlers of ancestor elements do not run. Native
+ * listeners are not affected, except for listeners bound directly, which call `stopPropagation()`.
+ * @property {boolean} [once=false] - Removes the listener after its first call.
+ * @property {boolean} [self=false] - Only runs the handler when the event target is the element itself, not one of its descendants.
+ * @property {boolean} [passive=false] - Never cancels the event, which lets the browser keep scrolling without waiting for the handler.
+ * @property {boolean} [capture=false] - Runs the handler before the handlers of descendant elements.
+ * @property {Array<string>} [keys] - Only runs the handler for keyboard events whose `key` is in the list (case-insensitive), e.g. `['Enter']`.
+ * @property {number} [debounce] - Calls the handler once the event has stopped firing for this many milliseconds.
+ * @property {number} [throttle] - Calls the handler at most once per this many milliseconds.
+ */
+
+/**
+ * @class EventDelegator
+ * @description Efficiently handles events using the event delegation pattern.
+ */
+export class EventDelegator {
+    /**
+     * @param {ChainRuntime} runtime - The associated ChainRuntime instance.
+     */
+    constructor(runtime) {
+        /**
+         * @type {ChainRuntime}
+         * @description The associated ChainRuntime instance.
+         */
+        this.runtime = runtime;
+        /**
+         * @type {Set<string>}
+         * @description Stores the event types that have been delegated.
+         */
+        this.delegatedEvents = new Set();
+        /**
+         * @type {Set<string>}
+         * @description The delegated event types whose listener is passive, because all of their actions asked for it.
+         */
+        this.passiveEvents = new Set();
+        /**
+         * @type {Set<string>}
+         * @description The event types whose listeners are bound directly to their element instead of being delegated.
+         */
+        this.directEvents = new Set(DIRECT_EVENT_TYPES);
+        /**
+         * @type {Map<string, {target: EventTarget, eventType: string, listener: function(Event): void, capture: boolean}>}
+         * @description The native listeners of the actions bound directly to their element, `window` or `document`.
+         */
+        this.directListeners = new Map();
+        /**
+         * @type {Map<string, function(Event): void>}
+         * @description Stores a mapping from action IDs to event handler functions.
+         */
+        this.handlerMap = new Map();
+        /**
+         * @type {Map<string, ListenerOptions>}
+         * @description The listener options of the actions that have any.
+         */
+        this.actionOptions = new Map();
+        /**
+         * @type {Map<string, ReturnType<typeof setTimeout>>}
+         * @description The pending calls of debounced actions.
+         */
+        this.debounceTimers = new Map();
+        /**
+         * @type {Map<string, number>}
+         * @description When throttled actions last called their handler.
+         */
+        this.throttleTimes = new Map();
+        /**
+         * @type {function(Event): void}
+         * @description The `handleEvent` method bound to this instance.
+         */
+        this.boundHandleEvent = this.handleEvent.bind(this);
+        /**
+         * @type {function(string, Event, HTMLElement): void|null}
+         * @description Called for actions without a registered handler, with the action ID, the event and the element carrying the action.
+         * Set by `mountWorker()` to forward events to the worker.
+         */
+        this.forwardEvent = null;
+    }
+
+    /**
+     * @param {Array<{actionId: string, handler: function(Event): void, options?: ListenerOptions}>} handlers - An array of event handlers to register.
+     * @returns {void}
+     * @description Registers event handlers.
+     */
+    registerHandlers(handlers) {
+        handlers.forEach(({ actionId, handler, options }) => {
+            this.handlerMap.set(actionId, handler);
+            if (options && Object.keys(options).length > 0) this.actionOptions.set(actionId, options);
+        });
+    }
+
+    /**
+     * @param {HTMLElement} element - The element carrying the actions.
+     * @returns {Array<{actionId: string, eventType: string|null}>} The actions of the element, read from its `data-chain-action` and
+     * `data-chain-event` attributes. Actions without an event type come from markup that predates multiple listeners and match every event.
+     */
+    getActions(element) {
+        const actionIds = (element.dataset?.chainAction || '').split(' ').filter(Boolean);
+        const eventTypes = (element.dataset?.chainEvent || '').split(' ');
+        return actionIds.map((actionId, i) => ({ actionId, eventType: eventTypes[i] || null }));
+    }
+
+    /**
+     * @param {HTMLElement} element - The element to add the action to.
+     * @param {string} actionId - The action ID of the handler.
+     * @param {string} eventType - The event type the handler listens to.
+     * @returns {void}
+     * @description Adds an action to the space-separated `data-chain-action` and `data-chain-event` lists of the element.
+     */
+    addAction(element, actionId, eventType) {
+        const actions = this.getActions(element);
+        if (actions.some(action => action.actionId === actionId)) return;
+        actions.push({ actionId, eventType });
+        this.setActions(element, actions);
+    }
+
+    /**
+     * @param {HTMLElement} element - The element the listener belongs to.
+     * @param {string} actionId - The action ID of the handler.
+     * @param {string} eventType - The event type the handler listens to.
+     * @param {ListenerOptions} [options] - The listener options.
+     * @param {'window'|'document'|null} [target] - The global object to listen on instead of the element.
+     * @returns {void}
+     * @description Adds an action to the element and listens to its event type: with a delegated listener on `document.body`, or with a
+     * listener bound directly to the element for the types in `directEvents`, or to `window` or `document`.
+     */
+    listen(element, actionId, eventType, options, target = null) {
+        this.addAction(element, actionId, getActionEventType(eventType, target));
+        if (options && Object.keys(options).length > 0) this.actionOptions.set(actionId, options);
+        if (target) {
+            this.bindDirect(target === 'window' ? window : document, element, actionId, eventType, options);
+        } else if (this.directEvents.has(eventType)) {
+            this.bindDirect(element, element, actionId, eventType, options);
+        } else {
+            this.delegate(eventType, options);
+        }
+    }
+
+    /**
+     * @param {EventTarget} target - The object to add the native listener to.
+     * @param {HTMLElement} element - The element carrying the action.
+     * @param {string} actionId - The action ID of the handler.
+     * @param {string} eventType - The event type the handler listens to.
+     * @param {ListenerOptions} [options] - The listener options.
+     * @returns {void}
+     * @description Adds a native listener running a single action, replacing the previous one of the action.
+     */
+    bindDirect(target, element, actionId, eventType, options = {}) {
+        this.unbindDirect(actionId);
+        const capture = Boolean(options?.capture);
+        const listener = (e) => { this.dispatchAction(actionId, e, element); };
+        target.addEventListener(eventType, listener, { capture, passive: Boolean(options?.passive) });
+        this.directListeners.set(actionId, { target, eventType, listener, capture });
+    }
+
+    /**
+     * @private
+     * @param {string} actionId - The action whose native listener to remove.
+     * @returns {void}
+     */
+    unbindDirect(actionId) {
+        const binding = this.directListeners.get(actionId);
+        if (!binding) return;
+        binding.target.removeEventListener(binding.eventType, binding.listener, binding.capture);
+        this.directListeners.delete(actionId);
+    }
+
+    /**
+     * @private
+     * @param {HTMLElement} element - The element whose actions to replace.
+     * @param {Array<{actionId: string, eventType: string|null}>} actions - The new actions.
+     * @returns {void}
+     */
+    setActions(element, actions) {
+        if (actions.length === 0) {
+            delete element.dataset.chainAction;
+            delete element.dataset.chainEvent;
+            return;
+        }
+        element.dataset.chainAction = actions.map(action => action.actionId).join(' ');
+        element.dataset.chainEvent = actions.map(action => action.eventType || '*').join(' ');
+    }
+
+    /**
+     * @param {HTMLElement} element - The element carrying the action.
+     * @param {string} actionId - The action to remove.
+     * @returns {void}
+     * @description Removes a single action from the element and forgets its handler.
+     */
+    removeAction(element, actionId) {
+        this.forgetAction(actionId);
+        this.setActions(element, this.getActions(element).filter(action => action.actionId !== actionId));
+    }
+
+    /**
+     * @param {HTMLElement} element - The element whose actions to remove.
+     * @returns {void}
+     * @description Removes all actions of the element and their handlers.
+     */
+    removeActions(element) {
+        this.getActions(element).forEach(({ actionId }) => this.forgetAction(actionId));
+        this.setActions(element, []);
+    }
+
+    /**
+     * @private
+     * @param {string} actionId - The action to forget.
+     * @returns {void}
+     * @description Removes the handler, options and native listener of an action and cancels its pending debounced call.
+     */
+    forgetAction(actionId) {
+        this.unbindDirect(actionId);
+        this.handlerMap.delete(actionId);
+        this.actionOptions.delete(actionId);
+        clearTimeout(this.debounceTimers.get(actionId));
+        this.debounceTimers.delete(actionId);
+        this.throttleTimes.delete(actionId);
+    }
+
+    /**
+     * @param {HTMLElement} node - The DOM node for which to clear event handlers.
+     * @returns {void}
+     * @description Clears all event handlers associated with a DOM node and its descendants.
+     */
+    clearHandlersForNode(node) {
+        if (!node || typeof node.querySelectorAll !== 'function') return;
+        const nodesToClean = [node, ...node.querySelectorAll('[data-chain-action]')];
+        nodesToClean.forEach(el => {
+            this.getActions(/** @type {HTMLElement} */ (el)).forEach(({ actionId }) => this.forgetAction(actionId));
+        });
+    }
+
+    /**
+     * @param {string} eventType - The event type to delegate.
+     * @param {ListenerOptions} [options] - The options of the action being delegated.
+     * @returns {void}
+     * @description Sets up a delegated event listener on `document.body` for a specific event type. The listener is passive as long as every
+     * action delegating the event type is passive. Event types in `directEvents` are not delegated.
+     */
+    delegate(eventType, options = {}) {
+        if (this.directEvents.has(eventType)) return;
+        const passive = Boolean(options?.passive);
+        if (this.delegatedEvents.has(eventType)) {
+            if (passive || !this.passiveEvents.has(eventType)) return;
+            document.body.removeEventListener(eventType, this.boundHandleEvent, true);
+            this.passiveEvents.delete(eventType);
+        } else if (passive) {
+            this.passiveEvents.add(eventType);
+        }
+        document.body.addEventListener(eventType, this.boundHandleEvent, { capture: true, passive });
+        this.delegatedEvents.add(eventType);
+    }
+
+    /**
+     * @param {Event} e - The triggered event object.
+     * @returns {void}
+     * @description Handles delegated events like the DOM would dispatch them to listeners on the elements carrying the actions: actions
+     * with the `capture` option run from the outermost element inwards, then the others from the target outwards. Propagation ends after
+     * an element whose action has the `stop` option or calls `stopPropagation()`.
+     */
+    handleEvent(e) {
+        const path = [];
+        let target = /** @type {HTMLElement} */ (e.target);
+        while (target && target !== document.body) {
+            const actions = this.getActions(target).filter(({ eventType }) => eventType === null || eventType === '*' || eventType === e.type);
+            if (actions.length > 0) path.push({ element: target, actions });
+            target = target.parentElement;
+        }
+        const isCapture = (actionId) => Boolean(this.actionOptions.get(actionId)?.capture);
+        const phases = [
+            ...[...path].reverse().map(({ element, actions }) => ({ element, actions: actions.filter(({ actionId }) => isCapture(actionId)) })),
+            ...path.map(({ element, actions }) => ({ element, actions: actions.filter(({ actionId }) => !isCapture(actionId)) }))
+        ];
+        for (const { element, actions } of phases) {
+            let isStopped = false;
+            actions.forEach(({ actionId }) => {
+                if (this.dispatchAction(actionId, e, element)) isStopped = true;
+            });
+            if (isStopped || e.cancelBubble) return;
+        }
+    }
+
+    /**
+     * @param {string} actionId - The action to run.
+     * @param {Event} e - The event.
+     * @param {HTMLElement} element - The element carrying the action.
+     * @returns {boolean} True if the action has the `stop` option, which ends the delegated walk after its element.
+     * @description Applies the action's listener options and calls its handler, the global SSR handler, or `forwardEvent`.
+     */
+    dispatchAction(actionId, e, element) {
+        const handler = this.handlerMap.get(actionId)
+            || (typeof window !== 'undefined' && window.__CHAIN_EVENT_HANDLERS__?.[actionId])
+            || (this.forwardEvent && ((event) => this.forwardEvent(actionId, event, element)));
+        if (!handler) return false;
+
+        const options = this.actionOptions.get(actionId) || {};
+        if (options.self && e.target !== element) return false;
+        if (options.keys) {
+            const keys = [].concat(options.keys).map(key => String(key).toLowerCase());
+            if (!keys.includes(String(/** @type {KeyboardEvent} */ (e).key).toLowerCase())) return false;
+        }
+        if (options.prevent && !options.passive) e.preventDefault();
+        // Delegated actions run while the event is captured at `document.body`, so stopping the native event would also keep it from its
+        // target; `stop` only ends the delegated walk there, through the return value.
+        if (options.stop && this.directListeners.has(actionId)) e.stopPropagation();
+        if (options.once) this.removeAction(element, actionId);
+
+        if (options.debounce > 0) {
+            clearTimeout(this.debounceTimers.get(actionId));
+            this.debounceTimers.set(actionId, setTimeout(() => {
+                this.debounceTimers.delete(actionId);
+                handler(e);
+            }, options.debounce));
+        } else if (options.throttle > 0) {
+            const now = Date.now();
+            const lastCall = this.throttleTimes.get(actionId);
+            if (lastCall === undefined || now - lastCall >= options.throttle) {
+                this.throttleTimes.set(actionId, now);
+                handler(e);
+            }
+        } else {
+            handler(e);
+        }
+        return Boolean(options.stop);
+    }
+
+    /**
+     * @returns {void}
+     * @description Destroys the event delegator, removing all event listeners and clearing the handler map.
+     */
+    destroy() {
+        this.delegatedEvents.forEach(eventType => {
+            document.body.removeEventListener(eventType, this.boundHandleEvent, true);
+        });
+        this.delegatedEvents.clear();
+        this.passiveEvents.clear();
+        this.directListeners.forEach(({ target, eventType, listener, capture }) => target.removeEventListener(eventType, listener, capture));
+        this.directListeners.clear();
+        this.debounceTimers.forEach(timer => clearTimeout(timer));
+        this.debounceTimers.clear();
+        this.throttleTimes.clear();
+        this.actionOptions.clear();
+        this.handlerMap.clear();
+    }
+}
+
+/**
+ * @param {string} tagName - The tag name of the HTML element to create.
+ * @returns {ChainElement} A new ChainElement instance.
+ * @description A factory function for creating ChainElement instances. This is the starting point for building UI.
+ * @example
+ * h('div').child('Hello, world!');
+ * h('button').on('click', () => console.log('Clicked!'));
+ */
+export function h(tagName) {
+    return new ChainElement(tagName);
+}
+
+/**
+ * @private
+ * @param {string} actionId - The action ID of the handler.
+ * @param {string|null} handlerCode - The source code of the handler function, as produced by `render()`.
+ * @returns {function(Event): void} The compiled handler, or a handler logging the event when the code is missing or invalid.
+ */
+const compileHandlerCode = (actionId, handlerCode) => {
+    if (handlerCode && typeof handlerCode === 'string') {
+        try {
+            return /** @type {function(Event): void} */ (new Function('event', handlerCode.substring(handlerCode.indexOf('{') + 1, handlerCode.lastIndexOf('}'))));
+        } catch (e) {
+            console.warn(`Failed to create handler for action: ${actionId}`, e);
+        }
+    }
+    return (e) => {
+        console.log(`Event triggered for action: ${actionId}`, e);
+    };
+};
+
+/**
+ * @param {string|HTMLElement} selector - The CSS selector of the DOM element or the actual HTMLElement to which the component will be mounted.
+ * @param {ChainElement|OperationStream|object} [componentOrEventData=null] - The ChainElement instance or operation stream to mount, the output of
+ * `render(..., { format: 'stream' })`, or an object containing SSR event handler data.
+ * @param {object} [options] - Mount options.
+ * @param {OperationRecorder} [options.recorder] - A recorder created with `createRecorder()` that records every operation of the new runtime, including the initial render.
+ * @returns {{runtime: ChainRuntime, destroy: function(): void}|null} An object containing the runtime instance and a destroy function, or null if the mount target is not found.
+ * @description Mounts a component to the specified location in the DOM and binds event handlers.
+ * @example
+ * // Mount a ChainElement
+ * mount('#app', h('div').child('My App'));
+ *
+ * // Mount a serialized operation stream
+ * mount('#app', OperationStream.deserialize(json, { handlers: { 'action-3': () => console.log('Clicked') } }));
+ *
+ * // Mount from SSR data
+ * const ssrData = {
+ *   eventHandlers: [{ actionId: 'action-1', eventType: 'click', handlerCode: 'function(e){ console.log("SSR Click"); }' }]
+ * };
+ * mount('#app', ssrData);
+ */
+export function mount(selector, componentOrEventData = null, options = {}) {
+    const container = typeof selector === 'string' ? document.querySelector(selector) : selector;
+    if (!container) {
+        console.error(`Mount target not found: ${selector}`);
+        return null;
+    }
+
+    const existingRuntimeId = container.dataset.chainRuntimeId;
+    if (existingRuntimeId && _mountedRuntimes.has(existingRuntimeId)) {
+        const oldRuntime = _mountedRuntimes.get(existingRuntimeId);
+        if (oldRuntime && typeof oldRuntime.destroy === 'function') {
+            oldRuntime.destroy();
+            _mountedRuntimes.delete(existingRuntimeId);
+        }
+    }
+
+    const runtime = new ChainRuntime();
+    runtime.container = container;
+    if (options.recorder) options.recorder.attach(runtime);
+    const runtimeId = generateId('runtime');
+    container.dataset.chainRuntimeId = runtimeId;
+    _mountedRuntimes.set(runtimeId, runtime);
+    
+    if (typeof window !== 'undefined') {
+        window.__CHAIN_ACTIVE_RUNTIME__ = runtime;
+    }
+    
+    if (componentOrEventData instanceof ChainElement) {
+        const component = componentOrEventData;
+        runtime.rootNodeId = component.nodeId;
+        runtime.stream = component.stream;
+        runtime.eventDelegator.registerHandlers(component.eventHandlers);
+        runtime.executeOperations(component.stream, true);
         
-        return { html: generateHtml(this), eventHandlers };
+        runtime.applyOperation({ type: OperationType.MOUNT, nodeId: component.nodeId });
+        runtime.bindOperations(component.stream);
+    } else if (componentOrEventData instanceof OperationStream || typeof componentOrEventData?.stream === 'string') {
+        const stream = componentOrEventData instanceof OperationStream
+            ? componentOrEventData
+            : OperationStream.deserialize(componentOrEventData.stream, {
+                handlers: (actionId) => {
+                    const data = (componentOrEventData.eventHandlers || []).find(entry => entry.actionId === actionId);
+                    return data ? compileHandlerCode(actionId, data.handlerCode) : undefined;
+                }
+            });
+        const operations = stream.getOperations();
+        runtime.rootNodeId = operations.find(op => op.type === OperationType.CREATE_ELEMENT)?.nodeId;
+        runtime.stream = stream;
+        runtime.eventDelegator.registerHandlers(operations.filter(op => op.type === OperationType.ADD_EVENT_LISTENER && op.handler));
+        runtime.executeOperations(stream, true);
+
+        runtime.applyOperation({ type: OperationType.MOUNT, nodeId: runtime.rootNodeId });
+        runtime.bindOperations(stream);
+    } else if (componentOrEventData?.eventHandlers) {
+        if (container) {
+            const existingNodes = container.querySelectorAll('[data-chain-id]');
+            for (const node of existingNodes) {
+                const nodeId = node.dataset.chainId;
+                if (nodeId) {
+                    runtime.nodeMap.set(nodeId, node);
+                }
+            }
+            
+            if (container.hasAttribute('data-chain-id')) {
+                const rootId = container.dataset.chainId;
+                if (rootId) {
+                    runtime.nodeMap.set(rootId, container);
+                }
+            }
+        }
+        
+        if (Array.isArray(componentOrEventData.eventHandlers)) {
+            const actionElements = new Map();
+            if (container) {
+                [container, ...container.querySelectorAll('[data-chain-action]')].forEach(element => {
+                    runtime.eventDelegator.getActions(element).forEach(({ actionId }) => actionElements.set(actionId, element));
+                });
+            }
+            componentOrEventData.eventHandlers.forEach(({ actionId, eventType, handlerCode, options, target }) => {
+                if (actionId && eventType) {
+                    if (typeof window !== 'undefined') {
+                        runtime.eventDelegator.registerHandlers([{ actionId, handler: compileHandlerCode(actionId, handlerCode), options }]);
+                    }
+                    if (actionElements.has(actionId)) {
+                        runtime.eventDelegator.listen(actionElements.get(actionId), actionId, eventType, options, target);
+                    } else {
+                        runtime.eventDelegator.delegate(eventType, options);
+                    }
+                }
+            });
+        }
+    }
+
+    return {
+        runtime,
+        destroy: () => {
+            runtime.destroy();
+            if (container.dataset.chainRuntimeId === runtimeId) {
+                delete container.dataset.chainRuntimeId;
+            }
+            _mountedRuntimes.delete(runtimeId);
+        }
+    };
+}
+
+/**
+ * @param {function(): ChainElement} componentFactory - A factory function that creates the root ChainElement for the component.
+ * @param {object} [options] - Rendering options.
+ * @param {'html'|'stream'} [options.format='html'] - The format of the returned output, either 'html' or 'stream'. A 'stream' leaves out
+ * what `OperationStream.prototype.serialize()` cannot write, including `map()` and `when()` content from factories not created with
+ * `createComponent`, which the client then renders empty.
+ * @returns {{html: string, state: object, clientEventHandlers: Array<{actionId: string, eventType: string, handlerCode: string|null, options?: ListenerOptions, target?: 'window'|'document'}>}|{stream: string, state: object, eventHandlers: Array<{actionId: string, eventType: string, handlerCode: string|null, options?: ListenerOptions, target?: 'window'|'document'}>}}
+ * @description Renders a component for Server-Side Rendering (SSR).
+ * @example
+ * const { html, state, clientEventHandlers } = render(() => h('div').child('Hello SSR'));
+ * // html: "<div>Hello SSR</div>"
+ */
+export function render(componentFactory, options = {}) {
+    const component = componentFactory();
+    /**
+     * @type {object}
+     * @description Object to store collected states.
+     */
+    const states = {};
+    
+    component.stream.getOperations().forEach(op => {
+        if (op.type === OperationType.BIND_STATE && op.state) {
+            states[op.stateId] = op.state.value;
+        }
+    });
+
+    const { html, eventHandlers } = component.toHtml();
+
+    const clientEventHandlers = eventHandlers.map(({ actionId, eventType, handler, options, target }) => ({
+        actionId,
+        eventType,
+        handlerCode: handler && typeof handler === 'function' ? handler.toString().replace(/\s+/g, ' ').trim() : null,
+        ...(options && { options }),
+        ...(target && { target })
+    }));
+
+    if (options.format === 'stream') {
+        return { 
+            stream: component.stream.serialize(), 
+            state: states,
+            eventHandlers: clientEventHandlers
+        };
+    }
+    return { html, state: states, clientEventHandlers };
+}
+
+/**
+ * @private
+ * @param {object} op - A DOM-level operation applied by a runtime.
+ * @returns {object} A JSON-compatible copy of the operation, without its event handler, written by the `serialize` hook of custom operation types.
+ */
+const toPlainOperation = (op) => {
+    const definition = customOperations.get(op.type);
+    const { handler, ...operation } = definition?.serialize ? { ...definition.serialize(op), type: op.type } : op;
+    return JSON.parse(JSON.stringify(operation));
+};
+
+/**
+ * @private
+ * @param {object} data - The output of `toPlainOperation`.
+ * @returns {object} The operation to apply, rebuilt by the `deserialize` hook of custom operation types. MOUNT operations lose their
+ * selector, so that they mount into the runtime's container.
+ */
+const fromPlainOperation = (data) => {
+    const definition = customOperations.get(data.type);
+    if (definition?.deserialize) return { ...definition.deserialize(data), type: data.type };
+    return data.type === OperationType.MOUNT ? { ...data, selector: undefined } : data;
+};
+
+/**
+ * @typedef {object} RecordedOperation
+ * @property {number} time - Milliseconds since the recording started.
+ * @property {boolean} batched - Whether the operation was applied from the runtime's batch queue rather than immediately.
+ * @property {object} operation - A JSON-compatible copy of the applied operation.
+ */
+
+/**
+ * @typedef {object} OperationRecorder
+ * @property {Array<RecordedOperation>} entries - The recorded operations, in the order they were applied.
+ * @property {function(ChainRuntime): function(): void} attach - Starts recording a runtime. Returns a function that stops recording it.
+ * @property {function(): void} stop - Stops recording all attached runtimes.
+ * @property {function(): void} clear - Removes all entries.
+ * @property {function(): string} export - Returns the entries as a JSON string that `replayOperations` accepts.
+ */
+
+/**
+ * @type {number}
+ * @description The version of the log format written by `OperationRecorder.export()`.
+ */
+const RECORDING_FORMAT_VERSION = 1;
+
+/**
+ * @returns {OperationRecorder} A recorder that is not attached to any runtime yet.
+ * @description Creates a recorder capturing every DOM operation a runtime applies, both immediately and from its batch queue,
+ * with a timestamp. Pass it to `mount()` to include the initial render, or attach it to a running runtime.
+ * @example
+ * const recorder = createRecorder();
+ * mount('#app', App(), { recorder });
+ * // ... interact with the app ...
+ * const log = recorder.export();
+ * replayOperations(log, document.createElement('div'));
+ */
+export function createRecorder() {
+    const now = () => typeof performance !== 'undefined' ? performance.now() : Date.now();
+    const startTime = now();
+    /**
+     * @private
+     * @type {Map<ChainRuntime, function(object, boolean): void>}
+     * @description The listener registered on each attached runtime.
+     */
+    const listeners = new Map();
+    /** @type {Array<RecordedOperation>} */
+    const entries = [];
+
+    const recorder = {
+        entries,
+        /**
+         * @param {ChainRuntime} runtime - The runtime to record.
+         * @returns {function(): void} A function that stops recording the runtime.
+         */
+        attach(runtime) {
+            if (!listeners.has(runtime)) {
+                const listener = (op, batched) => {
+                    entries.push({ time: now() - startTime, batched, operation: toPlainOperation(op) });
+                };
+                listeners.set(runtime, listener);
+                runtime.operationListeners.add(listener);
+            }
+            return () => {
+                runtime.operationListeners?.delete(listeners.get(runtime));
+                listeners.delete(runtime);
+            };
+        },
+        stop() {
+            listeners.forEach((listener, runtime) => runtime.operationListeners?.delete(listener));
+            listeners.clear();
+        },
+        clear() {
+            entries.length = 0;
+        },
+        export() {
+            return JSON.stringify({ version: RECORDING_FORMAT_VERSION, entries });
+        }
+    };
+    return recorder;
+}
+
+/**
+ * @param {string|Array<RecordedOperation>} log - The output of `OperationRecorder.export()`, or recorded entries.
+ * @param {string|HTMLElement} target - The CSS selector of the container, or the container itself, that replaces the original mount target.
+ * @param {object} [options] - Replay options.
+ * @param {number} [options.until=Infinity] - Only replays the operations recorded up to this time, in milliseconds.
+ * @returns {{runtime: ChainRuntime, destroy: function(): void}|null} The runtime holding the replayed nodes, or null if the target is not found.
+ * @description Applies recorded operations, in order and synchronously, to a fresh runtime, reproducing the DOM the recorded runtime produced.
+ * The replayed DOM is static: states, effects and event handlers are not restored.
+ * @throws {Error} Throws an error for an unsupported log version.
+ */
+export function replayOperations(log, target, options = {}) {
+    const { until = Infinity } = options;
+    const data = typeof log === 'string' ? JSON.parse(log) : { version: RECORDING_FORMAT_VERSION, entries: log };
+    if (!data || data.version !== RECORDING_FORMAT_VERSION) {
+        throw new Error(`Unsupported operation log version: ${data?.version}`);
+    }
+    const container = typeof target === 'string' ? document.querySelector(target) : target;
+    if (!container) {
+        console.error(`Replay target not found: ${target}`);
+        return null;
     }
+
+    const runtime = new ChainRuntime();
+    runtime.container = /** @type {HTMLElement} */ (container);
+    data.entries
+        .filter(entry => entry.time <= until)
+        .forEach(({ operation }) => runtime.applyOperation(fromPlainOperation(operation)));
+    return { runtime, destroy: () => runtime.destroy() };
+}
+
+/**
+ * @param {Worker|MessagePort|object} port - A Web Worker, the worker's global scope (`self`), a `MessagePort`, or a Node `worker_threads`
+ * Worker or `parentPort`.
+ * @returns {SyncTransport} A transport sending and receiving messages through the port.
+ * @description Adapts a worker or message port to the transport used by `runInWorker()` and `mountWorker()`.
+ * @example
+ * // main thread
+ * mountWorker('#app', createPortTransport(new Worker('./app.worker.js', { type: 'module' })));
+ * // app.worker.js
+ * runInWorker(App, createPortTransport(self));
+ */
+export function createPortTransport(port) {
+    return {
+        postMessage(message) {
+            port.postMessage(message);
+        },
+        subscribe(listener) {
+            if (typeof port.on === 'function') {
+                port.on('message', listener);
+                return () => port.off('message', listener);
+            }
+            const onMessage = (event) => listener(event.data);
+            port.addEventListener('message', onMessage);
+            if (typeof port.start === 'function') port.start();
+            return () => port.removeEventListener('message', onMessage);
+        },
+        close() {
+            if (typeof port.close === 'function') port.close();
+        }
+    };
 }
 
 /**
- * @class ChainRuntime
- * @description Client-side runtime responsible for executing operation streams to manipulate the real DOM.
+ * @type {Array<string>}
+ * @description The event properties forwarded from the main thread to worker event handlers.
+ */
+const FORWARDED_EVENT_PROPERTIES = [
+    'type', 'key', 'code', 'button', 'buttons', 'clientX', 'clientY', 'deltaX', 'deltaY',
+    'altKey', 'ctrlKey', 'metaKey', 'shiftKey', 'inputType', 'data'
+];
+
+/**
+ * @typedef {object} ForwardedEventTarget
+ * @property {string} [chainId] - The node ID of the element.
+ * @property {string} [tagName] - The tag name of the element.
+ * @property {string} [value] - The value of form controls.
+ * @property {boolean} [checked] - The checked state of checkboxes and radio buttons.
+ */
+
+/**
+ * @private
+ * @param {EventTarget} target - An event target on the main thread.
+ * @returns {ForwardedEventTarget|null} The structured-cloneable description of the target.
+ */
+const describeEventTarget = (target) => {
+    if (!(target instanceof HTMLElement)) return null;
+    const description = { chainId: target.dataset.chainId, tagName: target.tagName };
+    if ('value' in target) description.value = /** @type {HTMLInputElement} */ (target).value;
+    if ('checked' in target) description.checked = /** @type {HTMLInputElement} */ (target).checked;
+    return description;
+};
+
+/**
+ * @private
+ * @param {Event} event - The event on the main thread.
+ * @param {HTMLElement} currentTarget - The element the action is attached to.
+ * @returns {object} The structured-cloneable description of the event sent to the worker.
  */
-export class ChainRuntime {
+const describeEvent = (event, currentTarget) => {
+    const description = { target: describeEventTarget(event.target), currentTarget: describeEventTarget(currentTarget) };
+    FORWARDED_EVENT_PROPERTIES.forEach(property => {
+        if (event[property] !== undefined) description[property] = event[property];
+    });
+    return description;
+};
+
+/**
+ * @class WorkerRuntime
+ * @description Runs components and their states off the main thread. Instead of touching the DOM, it keeps a tree of node IDs, applies
+ * bindings itself, and posts the resulting DOM operations in batches to a main-thread runtime created with `mountWorker()`.
+ */
+export class WorkerRuntime {
     /**
-     * @constructor
+     * @param {SyncTransport} transport - The transport connected to the main thread.
      */
-    constructor() {
+    constructor(transport) {
         /**
-         * @type {Map<string, HTMLElement|Text>}
-         * @description Stores a mapping from node IDs to actual DOM nodes.
+         * @type {SyncTransport}
+         * @description The transport connected to the main thread.
          */
-        this.nodeMap = new Map();
+        this.transport = transport;
         /**
-         * @type {Map<string, function(): void>}
-         * @description Stores a mapping from state IDs to their unsubscribe functions.
+         * @type {Map<string, {parentId: string|null, children: Array<string>, key: string|null, actionIds: Array<string>}>}
+         * @description The node tree, by node ID. Keys are the `data-key` attributes of list items.
          */
-        this.stateSubscriptions = new Map();
+        this.nodes = new Map();
         /**
          * @type {Map<string, Array<function(): void>>}
          * @description Tracks state subscriptions per node for cleanup when a node is removed.
          */
         this.nodeSubscriptions = new Map();
         /**
-         * @type {EventDelegator}
-         * @description The EventDelegator instance for efficient event handling.
+         * @type {Map<string, function(object): void>}
+         * @description The event handlers by action ID.
          */
-        this.eventDelegator = new EventDelegator(this);
+        this.handlerMap = new Map();
+        /**
+         * @type {Map<string, string>}
+         * @description The rendered child of each `when()` placeholder.
+         */
+        this.whenChildren = new Map();
         /**
          * @type {Array<object>}
-         * @description The batch processing queue, storing operations to be executed.
+         * @description The operations waiting to be posted.
          */
-        this.batchQueue = [];
+        this.outgoing = [];
         /**
          * @type {boolean}
-         * @description Indicates whether batch processing has been scheduled.
+         * @description Indicates whether posting the outgoing operations has been scheduled.
          */
-        this.isBatchingScheduled = false;
+        this.isFlushScheduled = false;
         /**
-         * @type {number|null}
-         * @description The ID of the requestAnimationFrame, used to cancel animation frames.
+         * @type {Set<string>}
+         * @description The types of the unsupported operations already warned about.
          */
-        this.animationFrameId = null;
-    }
-
-    /**
-     * @param {Array<object>} operations - The array of operations to execute.
-     * @param {boolean} [immediate=false] - If true, operations are executed immediately; otherwise, they are added to the batch queue.
-     * @returns {void}
-     * @description Executes a queue of operations.
-     */
-    execute(operations, immediate = false) {
-        if (immediate) {
-            operations.forEach(op => this.applyOperation(op));
-        } else {
-            this.batchQueue.push(...operations);
-            this.scheduleBatchExecution();
-        }
-    }
-
-    /**
-     * @param {OperationStream} stream - The OperationStream instance.
-     * @param {boolean} [immediate=false] - If true, operations are executed immediately; otherwise, they are added to the batch queue.
-     * @returns {void}
-     * @description Executes operations from an OperationStream instance.
-     */
-    executeOperations(stream, immediate = false) {
-        if (stream && typeof stream.getOperations === 'function') {
-            this.execute(stream.getOperations(), immediate);
-        }
+        this.warnedOperationTypes = new Set();
+        /**
+         * @type {NodeAdapter}
+         * @description The node tree of this runtime, for the list reconciliation and `when()` switching shared with `ChainRuntime`.
+         */
+        this.nodeAdapter = {
+            getChildIds: (nodeId) => this.nodes.get(nodeId)?.children.slice() ?? null,
+            getKey: (nodeId) => this.nodes.get(nodeId)?.key ?? undefined,
+            getWhenChildId: (nodeId) => this.whenChildren.get(nodeId),
+            render: (element) => this.execute(element.stream.getOperations()),
+            removeChild: (parentId, childId) => this.applyOperation({ type: OperationType.REMOVE_CHILD, parentId, childId }),
+            applyOperation: (op) => this.applyOperation(op)
+        };
     }
 
     /**
-     * @param {OperationStream} stream - The OperationStream instance.
+     * @param {ChainElement} component - The root element to render.
      * @returns {void}
-     * @description Binds state and list operations from an OperationStream instance.
+     * @description Replaces the rendered tree with the component and posts its operations, followed by a MOUNT operation.
      */
-    bindOperations(stream) {
-        if (stream && typeof stream.getOperations === 'function') {
-            stream.getOperations()
-                .filter(op => op.type === OperationType.BIND_STATE || op.type === OperationType.BIND_LIST)
-                .forEach(op => this.applyOperation(op));
-        }
+    render(component) {
+        this.reset();
+        this.execute(component.stream.getOperations());
+        this.post({ type: OperationType.MOUNT, nodeId: component.nodeId });
+        this.flush();
     }
 
     /**
+     * @param {Array<object>} operations - The operations to apply.
      * @returns {void}
-     * @description Schedules batch execution using requestAnimationFrame for optimized performance.
      */
-    scheduleBatchExecution() {
-        if (!this.isBatchingScheduled) {
-            this.isBatchingScheduled = true;
-            this.animationFrameId = requestAnimationFrame(() => {
-                const queue = this.batchQueue;
-                this.batchQueue = [];
-                queue.forEach(op => this.applyOperation(op));
-                this.isBatchingScheduled = false;
-                this.animationFrameId = null;
-            });
-        }
+    execute(operations) {
+        operations.forEach(op => this.applyOperation(op));
     }
 
     /**
      * @param {object} op - The single operation to apply.
      * @returns {void}
-     * @description Applies a single operation to the DOM.
+     * @description Updates the node tree and applies bindings, posting every DOM operation to the main thread.
      */
     applyOperation(op) {
-        const node = this.nodeMap.get(op.nodeId);
         switch (op.type) {
-            case OperationType.CREATE_ELEMENT: {
-                const el = document.createElement(op.tagName);
-                el.dataset.chainId = op.nodeId;
-                this.nodeMap.set(op.nodeId, el);
-                break;
-            }
-            case OperationType.CREATE_TEXT_NODE: {
-                this.nodeMap.set(op.nodeId, document.createTextNode(op.content));
-                break;
-            }
-            case OperationType.SET_TEXT_CONTENT: {
-                if (node) node.textContent = op.content;
-                break;
-            }
-            case OperationType.APPEND_CHILD: {
-                const parent = this.nodeMap.get(op.parentId);
-                const child = this.nodeMap.get(op.childId);
-                if (parent && child) parent.appendChild(child);
-                break;
-            }
-            case OperationType.SET_ATTRIBUTE: {
-                if (node) {
-                    if (op.name === 'value' && 'value' in node) {
-                        /** @type {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} */ (node).value = op.value;
-                    } else if (op.name === 'disabled' && 'disabled' in node) {
-                        /** @type {HTMLInputElement|HTMLTextAreaElement|HTMLButtonElement} */ (node).disabled = Boolean(op.value);
-                    } else {
-                        node.setAttribute(op.name, op.value);
-                    }
-                }
+            case OperationType.CREATE_ELEMENT:
+            case OperationType.CREATE_TEXT_NODE:
+                this.nodes.set(op.nodeId, { parentId: null, children: [], key: null, actionIds: [] });
                 break;
-            }
-            case OperationType.SET_STYLE: {
-                if (node instanceof HTMLElement) node.style[op.property] = op.value;
+            case OperationType.APPEND_CHILD:
+            case OperationType.INSERT_BEFORE: {
+                const parent = this.nodes.get(op.parentId);
+                if (!parent || !this.nodes.has(op.childId)) return;
+                this.detach(op.childId);
+                const anchorIndex = op.anchorId ? parent.children.indexOf(op.anchorId) : -1;
+                parent.children.splice(anchorIndex < 0 ? parent.children.length : anchorIndex, 0, op.childId);
+                this.nodes.get(op.childId).parentId = op.parentId;
                 break;
             }
-            case OperationType.ADD_CLASS: {
-                if (node instanceof HTMLElement) node.classList.add(op.className);
+            case OperationType.REMOVE_CHILD:
+                this.detach(op.childId);
+                this.cleanupNodeTree(op.childId);
                 break;
-            }
-            case OperationType.REMOVE_CLASS: {
-                if (node instanceof HTMLElement) node.classList.remove(op.className);
+            case OperationType.SET_ATTRIBUTE:
+                if (op.name === 'data-key' && this.nodes.has(op.nodeId)) this.nodes.get(op.nodeId).key = String(op.value);
+                if (op.name === 'data-child-node-id' && this.nodes.has(op.nodeId)) this.whenChildren.set(op.nodeId, String(op.value));
                 break;
-            }
-            case OperationType.ADD_EVENT_LISTENER: {
-                if (node instanceof HTMLElement) {
-                    node.dataset.chainAction = op.actionId;
-                    this.eventDelegator.delegate(op.eventType);
-                }
+            case OperationType.REMOVE_ATTRIBUTE:
+                if (op.name === 'data-child-node-id') this.whenChildren.delete(op.nodeId);
                 break;
-            }
-            case OperationType.BIND_STATE: {
-                if (op.state && typeof op.state.subscribe === 'function') {
-                    const runtime = this;
-                    const unsubscribe = op.state.subscribe(newValue => {
-                        if (op.updateFn.length === 2) {
-                            const updateStream = new OperationStream();
-                            op.updateFn.call(runtime, newValue, updateStream);
-                            runtime.execute(updateStream.getOperations());
-                        } else {
-                            op.updateFn.call(runtime, newValue);
-                        }
-                    });
-                    this.stateSubscriptions.set(op.stateId, unsubscribe);
-                    if (!this.nodeSubscriptions.has(op.nodeId)) {
-                        this.nodeSubscriptions.set(op.nodeId, []);
-                    }
-                    this.nodeSubscriptions.get(op.nodeId).push(unsubscribe);
+            case OperationType.ADD_EVENT_LISTENER:
+                if (typeof op.handler === 'function' && this.nodes.has(op.nodeId)) {
+                    this.handlerMap.set(op.actionId, op.handler);
+                    this.nodes.get(op.nodeId).actionIds.push(op.actionId);
                 }
                 break;
-            }
-            case OperationType.BIND_ATTRIBUTE: {
-                if (node instanceof HTMLElement && op.state && typeof op.state.subscribe === 'function') {
-                    const unsubscribe = op.state.subscribe(newValue => {
-                        if (op.name === 'disabled' && (node instanceof HTMLInputElement || node instanceof HTMLTextAreaElement || node instanceof HTMLButtonElement)) {
-                            node.disabled = !!newValue;
-                        } else {
-                            node.setAttribute(op.name, valueToString(newValue));
-                        }
-                    });
-                    this.stateSubscriptions.set(op.stateId, unsubscribe);
-                    if (!this.nodeSubscriptions.has(op.nodeId)) {
-                        this.nodeSubscriptions.set(op.nodeId, []);
+            case OperationType.BIND_STATE:
+                this.subscribe(op.nodeId, op.state, value => {
+                    if (op.binding?.kind === 'when') {
+                        this.updateWhen(op.binding, value);
+                    } else if (op.updateFn.length === 2) {
+                        const updateStream = new OperationStream();
+                        op.updateFn.call(this, value, updateStream);
+                        this.execute(updateStream.getOperations());
                     }
-                    this.nodeSubscriptions.get(op.nodeId).push(unsubscribe);
-                }
-                break;
-            }
-            case OperationType.BIND_LIST: {
-                if (op.state && typeof op.state.subscribe === 'function') {
-                    const unsubscribe = op.state.subscribe(items => {
-                        this.reconcileList(op.nodeId, items, op.factory);
+                });
+                return;
+            case OperationType.BIND_ATTRIBUTE:
+                this.subscribe(op.nodeId, op.state, value => {
+                    this.applyOperation({
+                        type: OperationType.SET_ATTRIBUTE,
+                        nodeId: op.nodeId,
+                        name: op.name,
+                        value: op.name === 'disabled' ? !!value : valueToString(value)
                     });
-                    this.stateSubscriptions.set(generateId('sub'), unsubscribe);
-                    if (!this.nodeSubscriptions.has(op.nodeId)) {
-                        this.nodeSubscriptions.set(op.nodeId, []);
-                    }
-                    this.nodeSubscriptions.get(op.nodeId).push(unsubscribe);
-                }
-                break;
-            }
-            case OperationType.MOUNT: {
-                const container = document.querySelector(op.selector);
-                const nodeToMount = this.nodeMap.get(op.nodeId);
-                if (container && nodeToMount) {
-                    container.innerHTML = '';
-                    container.appendChild(nodeToMount);
-                }
-                break;
-            }
-            case OperationType.INSERT_BEFORE: {
-                const parent = this.nodeMap.get(op.parentId);
-                const child = this.nodeMap.get(op.childId);
-                const anchor = this.nodeMap.get(op.anchorId);
-                if (parent && child && anchor) parent.insertBefore(child, anchor);
-                break;
-            }
-            case OperationType.REMOVE_CHILD: {
-                const parent = this.nodeMap.get(op.parentId);
-                const child = this.nodeMap.get(op.childId);
-                if (parent && child) {
-                    this.cleanupNodeTree(child);
-                    parent.removeChild(child);
-                }
-                break;
-            }
-            case OperationType.INIT_ROUTER: {
-                if (node instanceof HTMLElement && op.router) {
-                    if (typeof op.router.init === 'function') {
-                        op.router.init(node);
-                    } else if (op.router.routes) {
-                        const routerConfig = {
-                            routes: op.router.routes.map(route => ({
-                                path: route.path,
-                                component: () => h('div').set('data-route', route.path),
-                                options: route.options || {}
-                            })),
-                            mode: op.router.mode || 'history'
-                        };
-                        const { router: newRouter } = createRouter(routerConfig);
-                        if (newRouter && typeof newRouter.init === 'function') {
-                            newRouter.init(node);
-                        }
-                    }
+                });
+                return;
+            case OperationType.BIND_LIST:
+                if (op.state && typeof op.state.subscribePatches === 'function') {
+                    this.reconcileList(op.nodeId, runWithDependencies(() => op.state.value, null), op.factory);
+                    this.nodeSubscriptions.set(op.nodeId, [
+                        ...(this.nodeSubscriptions.get(op.nodeId) || []),
+                        op.state.subscribePatches(patches => patches.forEach(patch => this.applyListPatch(op.nodeId, patch, op.factory)))
+                    ]);
+                } else {
+                    this.subscribe(op.nodeId, op.state, items => this.reconcileList(op.nodeId, items, op.factory));
                 }
-                break;
-            }
+                return;
+            case OperationType.LIST_INSERT:
+            case OperationType.LIST_REMOVE:
+            case OperationType.LIST_MOVE:
+            case OperationType.LIST_UPDATE:
+                applyListOperation(this.nodeAdapter, op);
+                return;
+            case OperationType.BIND_EFFECT:
+                this.warnUnsupported(op.type, 'Element effects need the DOM and are not run in a worker.');
+                return;
+            case OperationType.BIND_MODEL:
+                this.warnUnsupported(op.type, 'Two-way bindings are not supported in a worker; use set() and on() instead.');
+                return;
+            case OperationType.BIND_LIFECYCLE:
+                this.warnUnsupported(op.type, 'Lifecycle hooks and refs need the DOM and are not run in a worker.');
+                return;
+            case OperationType.INIT_ROUTER:
+                this.warnUnsupported(op.type, 'Routers need the DOM and are not initialized in a worker.');
+                return;
+            case OperationType.MOUNT:
+                this.post({ ...op, selector: undefined });
+                return;
         }
+        this.post(op);
     }
 
     /**
-     * @param {HTMLElement|Text} node - The DOM node to clean up.
+     * @param {string} type - The type of the skipped operation.
+     * @param {string} message - Why operations of this type are skipped.
      * @returns {void}
-     * @description Cleans up event listeners and state subscriptions for a node and its entire subtree before removal.
+     * @description Warns about an operation type the worker cannot apply, once per type, as lists re-render the same operations per item.
      */
-    cleanupNodeTree(node) {
-        if (!node) return;
-        this.eventDelegator.clearHandlersForNode(node);
-        const nodesToClean = (typeof node.querySelectorAll === 'function') ? [node, ...node.querySelectorAll('[data-chain-id]')] : [node];
-        
-        nodesToClean.forEach(el => {
-            const nodeId = el.dataset?.chainId;
-            if (nodeId) {
-                if (this.nodeSubscriptions.has(nodeId)) {
-                    this.nodeSubscriptions.get(nodeId).forEach(unsub => unsub());
-                    this.nodeSubscriptions.delete(nodeId);
-                }
-                this.nodeMap.delete(nodeId);
-            }
-        });
+    warnUnsupported(type, message) {
+        if (this.warnedOperationTypes.has(type)) return;
+        this.warnedOperationTypes.add(type);
+        console.warn(`${message} Further ${type} operations are skipped without a warning.`);
     }
 
     /**
-     * @param {string} parentNodeId - The ID of the parent node.
-     * @param {Array<object>} newItems - The new array of list items.
-     * @param {function(object, number): ChainElement} factory - The factory function to create a ChainElement for each list item.
-     * @returns {void}
-     * @description List reconciliation algorithm for efficiently updating element lists.
-     */
-    reconcileList(parentNodeId, newItems, factory) {
-        const parentNode = this.nodeMap.get(parentNodeId);
-        if (!parentNode) return;
-
-        const oldKeyedNodes = new Map();
-        for (const node of parentNode.childNodes) {
-            if (node.dataset?.key) {
-                oldKeyedNodes.set(node.dataset.key, node);
-            }
-        }
-        
-        const newDomNodes = [];
-        for (let i = 0; i < newItems.length; i++) {
-            const item = newItems[i];
-            const key = String(item.id ?? i);
-            let domNode = oldKeyedNodes.get(key);
-            
-            if (domNode) {
-                oldKeyedNodes.delete(key);
-            } else {
-                const newElement = factory(item, i).set('data-key', key, 'attr');
-                const runtime = this;
-                runtime.executeOperations(newElement.stream, true);
-                domNode = runtime.nodeMap.get(newElement.nodeId);
-                runtime.eventDelegator.registerHandlers(newElement.eventHandlers);
-                runtime.bindOperations(newElement.stream);
-            }
-            newDomNodes.push(domNode);
-        }
-
-        for (const unusedNode of oldKeyedNodes.values()) {
-            this.cleanupNodeTree(unusedNode);
-            parentNode.removeChild(unusedNode);
-        }
-
-        for (let i = 0; i < newDomNodes.length; i++) {
-            const node = newDomNodes[i];
-            if (parentNode.childNodes[i] !== node) {
-                parentNode.insertBefore(node, parentNode.childNodes[i] || null);
-            }
-        }
+     * @param {string} nodeId - The node the subscription belongs to.
+     * @param {ChainState<any>} state - The state to subscribe to.
+     * @param {function(*): void} callback - Called with the current value, then with every new value.
+     * @returns {void}
+     */
+    subscribe(nodeId, state, callback) {
+        if (!state || typeof state.subscribe !== 'function') return;
+        if (!this.nodeSubscriptions.has(nodeId)) this.nodeSubscriptions.set(nodeId, []);
+        this.nodeSubscriptions.get(nodeId).push(state.subscribe(callback));
     }
 
     /**
+     * @param {object} op - The DOM operation to post.
      * @returns {void}
-     * @description Destroys the runtime, cleaning up all subscriptions and references.
+     * @description Queues an operation. Operations queued in the same task are posted together.
      */
-    destroy() {
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
-        }
-        this.batchQueue = [];
-        this.isBatchingScheduled = false;
-
-        const nodesToClean = Array.from(this.nodeMap.values());
-        nodesToClean.forEach(node => {
-            this.cleanupNodeTree(node);
-        });
-
-        this.stateSubscriptions.forEach(unsubscribe => {
-            if (typeof unsubscribe === 'function') {
-                unsubscribe();
-            }
-        });
-        this.stateSubscriptions.clear();
-        this.nodeSubscriptions.forEach(subs => subs.forEach(unsub => unsub()));
-        this.nodeSubscriptions.clear();
-        this.nodeMap.clear();
-
-        if (this.eventDelegator && typeof this.eventDelegator.destroy === 'function') {
-            this.eventDelegator.destroy();
+    post(op) {
+        this.outgoing.push(toPlainOperation(op));
+        if (!this.isFlushScheduled) {
+            this.isFlushScheduled = true;
+            queueMicrotask(() => this.flush());
         }
+    }
 
-        this.eventDelegator = null;
-        this.batchQueue = null;
-        this.stateSubscriptions = null;
-        this.nodeMap = null;
+    /**
+     * @returns {void}
+     * @description Posts the queued operations to the main thread as one batch.
+     */
+    flush() {
+        this.isFlushScheduled = false;
+        if (this.outgoing.length === 0) return;
+        const operations = this.outgoing;
+        this.outgoing = [];
+        this.transport.postMessage({ type: 'batch', operations });
     }
-}
 
-if (typeof window !== 'undefined') {
-    window.__CHAIN_EVENT_HANDLERS__ = window.__CHAIN_EVENT_HANDLERS__ || {};
-}
+    /**
+     * @param {string} nodeId - The node to detach.
+     * @returns {void}
+     * @description Removes a node from its parent's children, without cleaning it up.
+     */
+    detach(nodeId) {
+        const node = this.nodes.get(nodeId);
+        const parent = node && this.nodes.get(node.parentId);
+        if (parent) parent.children = parent.children.filter(id => id !== nodeId);
+        if (node) node.parentId = null;
+    }
 
-/**
- * @class EventDelegator
- * @description Efficiently handles events using the event delegation pattern.
- */
-export class EventDelegator {
     /**
-     * @param {ChainRuntime} runtime - The associated ChainRuntime instance.
+     * @param {string} nodeId - The root of the subtree to clean up.
+     * @returns {void}
+     * @description Unsubscribes the bindings and forgets the event handlers and nodes of a subtree.
      */
-    constructor(runtime) {
-        /**
-         * @type {ChainRuntime}
-         * @description The associated ChainRuntime instance.
-         */
-        this.runtime = runtime;
-        /**
-         * @type {Set<string>}
-         * @description Stores the event types that have been delegated.
-         */
-        this.delegatedEvents = new Set();
-        /**
-         * @type {Map<string, function(Event): void>}
-         * @description Stores a mapping from action IDs to event handler functions.
-         */
-        this.handlerMap = new Map();
-        /**
-         * @type {function(Event): void}
-         * @description The `handleEvent` method bound to this instance.
-         */
-        this.boundHandleEvent = this.handleEvent.bind(this);
+    cleanupNodeTree(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return;
+        node.children.forEach(childId => this.cleanupNodeTree(childId));
+        this.nodeSubscriptions.get(nodeId)?.forEach(unsubscribe => unsubscribe());
+        this.nodeSubscriptions.delete(nodeId);
+        node.actionIds.forEach(actionId => this.handlerMap.delete(actionId));
+        this.whenChildren.delete(nodeId);
+        this.nodes.delete(nodeId);
     }
 
     /**
-     * @param {Array<{actionId: string, handler: function(Event): void}>} handlers - An array of event handlers to register.
+     * @param {BindingDescriptor} binding - The binding descriptor of a `when()` placeholder.
+     * @param {*} value - The current value of the state.
      * @returns {void}
-     * @description Registers event handlers.
+     * @description Replaces the content of a `when()` placeholder, like the update function of the binding does on the main thread.
      */
-    registerHandlers(handlers) {
-        handlers.forEach(({ actionId, handler }) => {
-            this.handlerMap.set(actionId, handler);
-        });
+    updateWhen(binding, value) {
+        switchWhenContent(this.nodeAdapter, binding, value);
     }
 
     /**
-     * @param {HTMLElement} node - The DOM node for which to clear event handlers.
+     * @param {string} parentNodeId - The ID of the list container node.
+     * @param {Array<object>} newItems - The new array of list items.
+     * @param {function(object, number): ChainElement} factory - The factory function for list items.
      * @returns {void}
-     * @description Clears all event handlers associated with a DOM node and its descendants.
+     * @description Keyed list reconciliation, like `ChainRuntime.prototype.reconcileList`, on the node tree.
      */
-    clearHandlersForNode(node) {
-        if (!node || typeof node.querySelectorAll !== 'function') return;
-        const nodesToClean = [node, ...node.querySelectorAll('[data-chain-action]')];
-        nodesToClean.forEach(el => {
-            if (el.dataset?.chainAction) {
-                const actionId = el.dataset.chainAction;
-                if (actionId) {
-                    this.handlerMap.delete(actionId);
-                }
-            }
-        });
+    reconcileList(parentNodeId, newItems, factory) {
+        reconcileListChildren(this.nodeAdapter, parentNodeId, newItems, factory);
     }
 
     /**
-     * @param {string} eventType - The event type to delegate.
+     * @param {object} item - The list item to render.
+     * @param {number} index - The index of the item in the list.
+     * @param {function(object, number): ChainElement} factory - The factory function for list items.
+     * @returns {string} The node ID of the rendered item, keyed by the item's `id` if it has one.
+     */
+    createListItem(item, index, factory) {
+        return renderListItem(this.nodeAdapter, item, index, factory);
+    }
+
+    /**
+     * @param {string} parentNodeId - The ID of the list container node.
+     * @param {string} childId - The node to insert or move.
+     * @param {string|undefined} anchorId - The node to insert before, or undefined to append.
      * @returns {void}
-     * @description Sets up a delegated event listener on `document.body` for a specific event type.
      */
-    delegate(eventType) {
-        if (this.delegatedEvents.has(eventType)) return;
-        document.body.addEventListener(eventType, this.boundHandleEvent, true);
-        this.delegatedEvents.add(eventType);
+    placeChild(parentNodeId, childId, anchorId) {
+        placeListChild(this.nodeAdapter, parentNodeId, childId, anchorId);
     }
 
     /**
-     * @param {Event} e - The triggered event object.
+     * @param {string} parentNodeId - The ID of the list container node.
+     * @param {ListPatch} patch - The patch of a list state created with `createListState()`.
+     * @param {function(object, number): ChainElement} factory - The factory function for list items.
      * @returns {void}
-     * @description Handles delegated events.
+     * @description Applies a list patch to the container's children, through the same LIST_* operations as on the main thread.
      */
-    handleEvent(e) {
-        let target = /** @type {HTMLElement} */ (e.target);
-        while (target && target !== document.body) {
-            const actionId = target.dataset.chainAction;
-            if (actionId) {
-                if (this.handlerMap.has(actionId)) {
-                    this.handlerMap.get(actionId)(e);
-                    return;
-                } else if (typeof window !== 'undefined' && window.__CHAIN_EVENT_HANDLERS__?.[actionId]) {
-                    window.__CHAIN_EVENT_HANDLERS__[actionId](e);
-                    return;
-                }
-            }
-            target = target.parentElement;
+    applyListPatch(parentNodeId, patch, factory) {
+        if (patch.type === 'reset') {
+            this.reconcileList(parentNodeId, patch.items, factory);
+        } else {
+            this.execute(listPatchToOperations(parentNodeId, patch, factory));
         }
     }
 
     /**
+     * @param {string} actionId - The action ID of the handler.
+     * @param {object} event - The event description forwarded by the main thread.
      * @returns {void}
-     * @description Destroys the event delegator, removing all event listeners and clearing the handler map.
+     * @description Calls the event handler of an action. `preventDefault()` and `stopPropagation()` are no-ops, as the event has
+     * already been dispatched on the main thread.
      */
-    destroy() {
-        this.delegatedEvents.forEach(eventType => {
-            document.body.removeEventListener(eventType, this.boundHandleEvent, true);
-        });
-        this.delegatedEvents.clear();
-        this.handlerMap.clear();
+    dispatchEvent(actionId, event) {
+        const handler = this.handlerMap.get(actionId);
+        if (handler) handler({ ...event, preventDefault() {}, stopPropagation() {} });
     }
-}
 
-/**
- * @param {string} tagName - The tag name of the HTML element to create.
- * @returns {ChainElement} A new ChainElement instance.
- * @description A factory function for creating ChainElement instances. This is the starting point for building UI.
- * @example
- * h('div').child('Hello, world!');
- * h('button').on('click', () => console.log('Clicked!'));
- */
-export function h(tagName) {
-    return new ChainElement(tagName);
+    /**
+     * @returns {void}
+     * @description Unsubscribes every binding and forgets the rendered tree.
+     */
+    reset() {
+        this.nodeSubscriptions.forEach(subscriptions => subscriptions.forEach(unsubscribe => unsubscribe()));
+        this.nodeSubscriptions.clear();
+        this.nodes.clear();
+        this.handlerMap.clear();
+        this.whenChildren.clear();
+        this.outgoing = [];
+    }
 }
 
 /**
- * @param {string|HTMLElement} selector - The CSS selector of the DOM element or the actual HTMLElement to which the component will be mounted.
- * @param {ChainElement|object} [componentOrEventData=null] - The ChainElement instance to mount, or an object containing SSR event handler data.
- * @returns {{runtime: ChainRuntime, destroy: function(): void}|null} An object containing the runtime instance and a destroy function, or null if the mount target is not found.
- * @description Mounts a component to the specified location in the DOM and binds event handlers.
+ * @param {function(): ChainElement} componentFactory - Creates the root element, in the worker.
+ * @param {SyncTransport} transport - The transport connected to the main thread, e.g. `createPortTransport(self)`.
+ * @returns {{runtime: WorkerRuntime, destroy: function(): void}} The worker runtime and a function that stops it.
+ * @description Renders a component inside a Web Worker for a main thread that calls `mountWorker()`. The component is rendered each time
+ * the main thread connects; state changes are posted as batches of DOM operations, and forwarded DOM events call the handlers by action ID.
  * @example
- * // Mount a ChainElement
- * mount('#app', h('div').child('My App'));
- *
- * // Mount from SSR data
- * const ssrData = {
- *   eventHandlers: [{ actionId: 'action-1', eventType: 'click', handlerCode: 'function(e){ console.log("SSR Click"); }' }]
- * };
- * mount('#app', ssrData);
+ * // app.worker.js
+ * import { runInWorker, createPortTransport, createState, h } from 'chainui';
+ * const count = createState(0);
+ * runInWorker(() => h('button').on('click', () => count.value++).child(count), createPortTransport(self));
  */
-export function mount(selector, componentOrEventData = null) {
-    const container = typeof selector === 'string' ? document.querySelector(selector) : selector;
-    if (!container) {
-        console.error(`Mount target not found: ${selector}`);
-        return null;
-    }
-
-    const existingRuntimeId = container.dataset.chainRuntimeId;
-    if (existingRuntimeId && _mountedRuntimes.has(existingRuntimeId)) {
-        const oldRuntime = _mountedRuntimes.get(existingRuntimeId);
-        if (oldRuntime && typeof oldRuntime.destroy === 'function') {
-            oldRuntime.destroy();
-            _mountedRuntimes.delete(existingRuntimeId);
-        }
-    }
-
-    const runtime = new ChainRuntime();
-    const runtimeId = generateId('runtime');
-    container.dataset.chainRuntimeId = runtimeId;
-    _mountedRuntimes.set(runtimeId, runtime);
-    
-    if (typeof window !== 'undefined') {
-        window.__CHAIN_ACTIVE_RUNTIME__ = runtime;
-    }
-    
-    if (componentOrEventData instanceof ChainElement) {
-        const component = componentOrEventData;
-        runtime.rootNodeId = component.nodeId;
-        runtime.eventDelegator.registerHandlers(component.eventHandlers);
-        runtime.executeOperations(component.stream, true);
-        
-        const newNode = runtime.nodeMap.get(component.nodeId);
-        if (container && newNode) {
-            container.innerHTML = '';
-            container.appendChild(newNode);
-        }
-        runtime.bindOperations(component.stream);
-    } else if (componentOrEventData?.eventHandlers) {
-        if (container) {
-            const existingNodes = container.querySelectorAll('[data-chain-id]');
-            for (const node of existingNodes) {
-                const nodeId = node.dataset.chainId;
-                if (nodeId) {
-                    runtime.nodeMap.set(nodeId, node);
-                }
-            }
-            
-            if (container.hasAttribute('data-chain-id')) {
-                const rootId = container.dataset.chainId;
-                if (rootId) {
-                    runtime.nodeMap.set(rootId, container);
-                }
-            }
-        }
-        
-        if (Array.isArray(componentOrEventData.eventHandlers)) {
-            componentOrEventData.eventHandlers.forEach(({ actionId, eventType, handlerCode }) => {
-                if (actionId && eventType) {
-                    if (typeof window !== 'undefined') {
-                        let handlerFunction;
-                        if (handlerCode && typeof handlerCode === 'string') {
-                            try {
-                                handlerFunction = new Function('event', handlerCode.substring(handlerCode.indexOf('{') + 1, handlerCode.lastIndexOf('}')));
-                            } catch (e) {
-                                console.warn(`Failed to create handler for action: ${actionId}`, e);
-                                handlerFunction = (e) => {
-                                    console.log(`Event triggered for action: ${actionId}`, e);
-                                };
-                            }
-                        } else {
-                            handlerFunction = (e) => {
-                                console.log(`Event triggered for action: ${actionId}`, e);
-                            };
-                        }
-                        
-                        runtime.eventDelegator.registerHandlers([{ actionId, handler: handlerFunction }]);
-                    }
-                    runtime.eventDelegator.delegate(eventType);
-                }
-            });
+export function runInWorker(componentFactory, transport) {
+    const runtime = new WorkerRuntime(transport);
+    const unsubscribe = transport.subscribe(message => {
+        switch (message?.type) {
+            case 'connect': runtime.render(componentFactory()); break;
+            case 'disconnect': runtime.reset(); break;
+            case 'event': runtime.dispatchEvent(message.actionId, message.event); break;
         }
-    }
-
+    });
     return {
         runtime,
         destroy: () => {
-            runtime.destroy();
-            if (container.dataset.chainRuntimeId === runtimeId) {
-                delete container.dataset.chainRuntimeId;
-            }
-            _mountedRuntimes.delete(runtimeId);
+            unsubscribe();
+            runtime.reset();
+            if (typeof transport.close === 'function') transport.close();
         }
     };
 }
 
 /**
- * @param {function(): ChainElement} componentFactory - A factory function that creates the root ChainElement for the component.
- * @param {object} [options] - Rendering options.
- * @param {'html'|'stream'} [options.format='html'] - The format of the returned output, either 'html' or 'stream'.
- * @returns {{html: string, state: object, clientEventHandlers: Array<{actionId: string, eventType: string, handlerCode: string|null}>}|{stream: string, state: object, eventHandlers: Array<{actionId: string, eventType: string, handlerCode: string|null}>}}
- * @description Renders a component for Server-Side Rendering (SSR).
+ * @param {string|HTMLElement} selector - The CSS selector of the DOM element or the actual HTMLElement to mount into.
+ * @param {SyncTransport} transport - The transport connected to a worker that calls `runInWorker()`.
+ * @param {object} [options] - Mount options, see `mount()`.
+ * @returns {{runtime: ChainRuntime, destroy: function(): void}|null} The main-thread runtime and a function that unmounts it and
+ * disconnects from the worker, or null if the mount target is not found.
+ * @description Mounts a UI built in a worker. Operation batches posted by the worker are applied by a `ChainRuntime` as they arrive, and
+ * events on elements with handlers are forwarded to the worker by action ID, with their target's value and checked state.
  * @example
- * const { html, state, clientEventHandlers } = render(() => h('div').child('Hello SSR'));
- * // html: "<div>Hello SSR</div>"
+ * mountWorker('#app', createPortTransport(new Worker('./app.worker.js', { type: 'module' })));
  */
-export function render(componentFactory, options = {}) {
-    const component = componentFactory();
-    /**
-     * @type {object}
-     * @description Object to store collected states.
-     */
-    const states = {};
-    
-    /**
-     * @private
-     * @param {ChainElement} element - The element from which to collect states.
-     * @returns {void}
-     */
-    const collectStates = (element) => {
-        if (element.stream) {
-            element.stream.getOperations().forEach(op => {
-                if (op.type === OperationType.BIND_STATE && op.state) {
-                    states[op.stateId] = op.state.value;
-                }
-            });
+export function mountWorker(selector, transport, options = {}) {
+    const mounted = mount(selector, null, options);
+    if (!mounted) return null;
+
+    const { runtime } = mounted;
+    runtime.eventDelegator.forwardEvent = (actionId, event, currentTarget) => {
+        transport.postMessage({ type: 'event', actionId, event: describeEvent(event, currentTarget) });
+    };
+    const unsubscribe = transport.subscribe(message => {
+        if (message?.type === 'batch' && runtime.nodeMap) {
+            runtime.execute(message.operations.map(fromPlainOperation), true);
         }
-        if (element.children) {
-            element.children.forEach(child => {
-                if (child instanceof ChainElement) {
-                    collectStates(child);
-                }
-            });
+    });
+    transport.postMessage({ type: 'connect' });
+
+    return {
+        runtime,
+        destroy: () => {
+            unsubscribe();
+            transport.postMessage({ type: 'disconnect' });
+            mounted.destroy();
         }
     };
-    collectStates(component);
-
-    const { html, eventHandlers } = component.toHtml();
-
-    const clientEventHandlers = eventHandlers.map(({ actionId, eventType, handler }) => ({
-        actionId,
-        eventType,
-        handlerCode: handler && typeof handler === 'function' ? handler.toString().replace(/\s+/g, ' ').trim() : null
-    }));
-
-    if (options.format === 'stream') {
-        return { 
-            stream: component.stream.serialize(), 
-            state: states,
-            eventHandlers: clientEventHandlers
-        };
-    }
-    return { html, state: states, clientEventHandlers };
 }
 
 /**
@@ -1364,20 +5654,28 @@ export function map(stateArray, factory) {
 }
 
 /**
- * @param {string} name - The name of the component, used for debugging or identification.
+ * @param {string} name - The name of the component, used for debugging or identification, and to reference the component in serialized operation streams.
  * @param {function(...any[]): ChainElement} factory - A factory function that accepts arguments and returns a ChainElement instance as the root of the component.
  * @returns {function(...any[]): ChainElement} A new component function that can be used like a ChainElement.
- * @description Creates a reusable component.
+ * @description Creates a reusable component. Components are registered by name for deserialization, so each name can be used once;
+ * define components at module level rather than inside functions that run more than once.
+ * @throws {Error} Throws an error if a component with the same name was already created.
  * @example
  * const MyButton = createComponent('MyButton', (text) => h('button').child(text));
  * h('div').child(MyButton('Click Me'));
  */
 export function createComponent(name, factory) {
-    return (...args) => {
+    if (componentsByName.has(name)) {
+        throw new Error(`A component named "${name}" already exists. Component names must be unique, because serialized streams refer to components by name.`);
+    }
+    const component = (...args) => {
         const componentRoot = factory(...args);
         componentRoot.set('data-component', name, 'attr');
         return componentRoot;
     };
+    componentsByName.set(name, component);
+    componentNames.set(component, name);
+    return component;
 }
 
 /**
@@ -1701,12 +5999,12 @@ export class ChainPageRouter {
                 if (cachedRuntime?.runtime) {
                     const oldNode = cachedRuntime.runtime.nodeMap.get(cachedRuntime.runtime.rootNodeId);
                     if (oldPageConfig && !oldPageConfig.options.keepAlive) {
-                        if (oldNode && oldNode.parentNode === this.root) {
-                            this.root.removeChild(oldNode);
-                        }
                         if (cachedRuntime.runtime && typeof cachedRuntime.runtime.destroy === 'function') {
                             cachedRuntime.runtime.destroy();
                         }
+                        if (oldNode && oldNode.parentNode === this.root) {
+                            this.root.removeChild(oldNode);
+                        }
                         this._runtimeCache.delete(previousPage.factory);
                     } else if (oldNode) {
                         oldNode.hidden = true;
@@ -1722,31 +6020,26 @@ export class ChainPageRouter {
 
             if (this.pages.has(pageId)) {
                 const { factory, options = {} } = this.pages.get(pageId);
-                let cached = this._runtimeCache.get(factory);
+                const cached = this._runtimeCache.get(factory);
                 const paramsChanged = cached ? JSON.stringify(cached.params) !== JSON.stringify(params) : true;
 
                 if (cached && options.keepAlive && paramsChanged) {
-                    const oldNode = cached.runtime.nodeMap.get(cached.runtime.rootNodeId);
-                    if (oldNode && oldNode.parentNode === this.root) {
-                        this.root.removeChild(oldNode);
-                    }
-                    if (cached.runtime && typeof cached.runtime.destroy === 'function') {
-                        cached.runtime.destroy();
-                    }
-                    this._runtimeCache.delete(factory);
-                    cached = null;
+                    cached.runtime.patch(factory(params).stream);
+                    cached.params = params;
                 }
 
                 if (!cached) {
                     const component = factory(params);
                     const runtime = new ChainRuntime();
                     runtime.rootNodeId = component.nodeId;
+                    runtime.stream = component.stream;
                     runtime.eventDelegator.registerHandlers(component.eventHandlers);
                     runtime.executeOperations(component.stream, true);
 
                     const newNode = runtime.nodeMap.get(component.nodeId);
                     if (this.root && newNode) {
                         this.root.appendChild(newNode);
+                        flushPendingMounts();
                     }
 
                     runtime.bindOperations(component.stream);
@@ -2077,6 +6370,7 @@ export class ChainPageRouter {
             const newNode = runtime.nodeMap.get(fallbackComponent.nodeId);
             if (this.root && newNode) {
                 this.root.appendChild(newNode);
+                flushPendingMounts();
             }
 
             runtime.bindOperations(fallbackComponent.stream);
@@ -2236,6 +6530,7 @@ export function createApp(config = {}) {
         
         container.innerHTML = ''; 
         container.appendChild(pageViewNode);
+        flushPendingMounts();
     }
 
     return { 
@@ -2250,5 +6545,5 @@ export function createApp(config = {}) {
     };
 }
 
-const ChainUI = { h, createState, createComponent, createApp, createRouter, map, mount, render };
+const ChainUI = { h, createState, computed, batch, effect, watch, createStore, createResource, withHistory, createPersistedState, createListState, syncState, createComponent, registerOperation, createRecorder, replayOperations, runInWorker, mountWorker, diffStreams, createApp, createRouter, map, mount, render };
 export default ChainUI;
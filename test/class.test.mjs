@@ -0,0 +1,52 @@
+import { nextFrame, resetContainer } from './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h, mount, render, createState } from '../src/chainui.js';
+
+const classesOf = (element) => Array.from(element.classList).sort();
+
+test('a class bound to a boolean state is added and removed as the state flips', async (t) => {
+    const isActive = createState(true);
+    const container = resetContainer();
+    const app = mount(container, h('div').child(h('button').set({
+        class: { btn: true, active: isActive, inactive: isActive.map(value => !value), hidden: false }
+    })));
+    t.after(() => app.destroy());
+    const button = container.querySelector('button');
+    assert.deepEqual(classesOf(button), ['active', 'btn']);
+
+    isActive.value = false;
+    await nextFrame();
+    assert.deepEqual(classesOf(button), ['btn', 'inactive']);
+    isActive.value = true;
+    await nextFrame();
+    assert.deepEqual(classesOf(button), ['active', 'btn']);
+});
+
+test('a class list state applies the difference with its previous value and keeps the other classes', async (t) => {
+    const variant = createState(['btn', 'btn-small']);
+    const container = resetContainer();
+    const app = mount(container, h('div').child(h('button').set({ class: ['rounded', variant] })));
+    t.after(() => app.destroy());
+    const button = container.querySelector('button');
+    assert.deepEqual(classesOf(button), ['btn', 'btn-small', 'rounded']);
+
+    button.classList.add('external');
+    variant.value = 'btn btn-large';
+    await nextFrame();
+    assert.deepEqual(classesOf(button), ['btn', 'btn-large', 'external', 'rounded']);
+    variant.value = [];
+    await nextFrame();
+    assert.deepEqual(classesOf(button), ['external', 'rounded']);
+});
+
+test('toHtml() and render() write the current classes of class states', () => {
+    const isActive = createState(false);
+    const variant = createState('btn btn-small');
+    const button = () => h('button').set({ class: ['rounded', variant] }).set('active', isActive, 'class');
+    assert.equal(button().toHtml().html, '<button class="rounded btn btn-small"></button>');
+
+    isActive.value = true;
+    variant.value = ['btn', 'btn-large'];
+    assert.equal(render(button).html, '<button class="rounded btn btn-large active"></button>');
+});
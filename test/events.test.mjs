@@ -0,0 +1,142 @@
+import { nextFrame, resetContainer } from './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h, mount, createState } from '../src/chainui.js';
+
+const click = (element) => element.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+
+test('on() runs capture listeners top-down, then the others bottom-up', (t) => {
+    const calls = [];
+    const container = resetContainer();
+    const app = mount(container, h('div')
+        .on('click', () => calls.push('outer capture'), { capture: true })
+        .on('click', () => calls.push('outer'))
+        .child(h('button').on('click', () => calls.push('button'))));
+    t.after(() => app.destroy());
+
+    click(container.querySelector('button'));
+    assert.deepEqual(calls, ['outer capture', 'button', 'outer']);
+});
+
+test('stop ends the walk through on() listeners, but not the native event', (t) => {
+    const calls = [];
+    const container = resetContainer();
+    const app = mount(container, h('div')
+        .on('click', () => calls.push('outer'))
+        .child(
+            h('section').on('click', () => calls.push('section capture'), { capture: true, stop: true })
+                .child(h('button').set('class', 'inner').on('click', () => calls.push('inner'))),
+            h('button').set('class', 'stopped').on('click', () => calls.push('stopped'), { stop: true })
+        ));
+    t.after(() => app.destroy());
+    const inner = container.querySelector('.inner');
+    inner.addEventListener('click', () => calls.push('native inner'));
+    document.addEventListener('click', () => calls.push('native document'), { once: true });
+
+    click(inner);
+    assert.deepEqual(calls, ['section capture', 'native inner', 'native document']);
+
+    calls.length = 0;
+    document.addEventListener('click', () => calls.push('native document'), { once: true });
+    click(container.querySelector('.stopped'));
+    assert.deepEqual(calls, ['stopped', 'native document']);
+});
+
+test('on() applies the prevent, self, keys and once options', (t) => {
+    const calls = [];
+    const container = resetContainer();
+    const app = mount(container, h('div')
+        .on('click', () => calls.push('self'), { self: true })
+        .child(
+            h('a').set('href', '#').on('click', () => calls.push('link'), { prevent: true, once: true }),
+            h('input').on('keydown', () => calls.push('enter'), { keys: 'Enter' })
+        ));
+    t.after(() => app.destroy());
+    const link = container.querySelector('a');
+    const input = container.querySelector('input');
+
+    const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+    link.dispatchEvent(event);
+    assert.equal(event.defaultPrevented, true);
+    click(link);
+    click(container.querySelector('div'));
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'a', bubbles: true }));
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    assert.deepEqual(calls, ['link', 'self', 'enter']);
+});
+
+test('stop on a listener bound directly stops the native event', (t) => {
+    const calls = [];
+    const container = resetContainer();
+    const app = mount(container, h('div').child(h('p').on('scroll', () => calls.push('scroll'), { stop: true })));
+    t.after(() => app.destroy());
+    const paragraph = container.querySelector('p');
+    container.addEventListener('scroll', () => calls.push('native container'));
+
+    paragraph.dispatchEvent(new Event('scroll', { bubbles: true }));
+    assert.deepEqual(calls, ['scroll']);
+});
+
+test('an element keeps every listener it gets, each run only for its own event type', (t) => {
+    const calls = [];
+    const container = resetContainer();
+    const app = mount(container, h('div').child(h('input')
+        .on('click', () => calls.push('click 1'))
+        .on('keydown', () => calls.push('keydown'))
+        .on('click', () => calls.push('click 2'))
+        .on('input', () => calls.push('input'))));
+    t.after(() => app.destroy());
+    const input = container.querySelector('input');
+    assert.equal(input.dataset.chainAction.split(' ').length, 4);
+    assert.equal(input.dataset.chainEvent, 'click keydown click input');
+
+    click(input);
+    assert.deepEqual(calls, ['click 1', 'click 2']);
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'a', bubbles: true }));
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    assert.deepEqual(calls, ['click 1', 'click 2', 'keydown', 'input']);
+});
+
+test('mouseenter is bound directly, so it does not fire for the descendants of the element', (t) => {
+    const calls = [];
+    const container = resetContainer();
+    const app = mount(container, h('div').set('class', 'card')
+        .on('mouseenter', () => calls.push('card'))
+        .child(h('span').set('class', 'label')));
+    t.after(() => app.destroy());
+    assert.equal(app.runtime.eventDelegator.directEvents.has('mouseenter'), true);
+
+    container.querySelector('.label').dispatchEvent(new MouseEvent('mouseenter'));
+    assert.deepEqual(calls, []);
+    container.querySelector('.card').dispatchEvent(new MouseEvent('mouseenter'));
+    assert.deepEqual(calls, ['card']);
+});
+
+test('onWindow() and onDocument() listeners are removed when their node is cleaned up', async (t) => {
+    const calls = [];
+    const open = createState(true);
+    const container = resetContainer();
+    const app = mount(container, h('div')
+        .onWindow('resize', () => calls.push('app resize'))
+        .when(open, () => h('dialog')
+            .onDocument('keydown', () => calls.push('escape'), { keys: ['Escape'] })
+            .onWindow('resize', () => calls.push('dialog resize'))));
+    const dispatch = () => {
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+        window.dispatchEvent(new Event('resize'));
+    };
+
+    dispatch();
+    assert.deepEqual(calls, ['escape', 'app resize', 'dialog resize']);
+    calls.length = 0;
+    open.value = false;
+    await nextFrame();
+    dispatch();
+    assert.deepEqual(calls, ['app resize']);
+
+    calls.length = 0;
+    app.destroy();
+    dispatch();
+    assert.deepEqual(calls, []);
+});
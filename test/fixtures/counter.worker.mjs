@@ -0,0 +1,5 @@
+import { parentPort } from 'node:worker_threads';
+import { h, createState, runInWorker, createPortTransport } from '../../src/chainui.js';
+
+const count = createState(0);
+runInWorker(() => h('button').on('click', () => count.value++).child(count.map(value => `Count: ${value}`)), createPortTransport(parentPort));
@@ -0,0 +1,62 @@
+import './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createState, withHistory } from '../src/chainui.js';
+
+test('withHistory() undoes and redoes changes, and a new change clears the redo entries', () => {
+    const text = createState('a');
+    const history = withHistory(text);
+    const flags = () => [history.canUndo.value, history.canRedo.value];
+    assert.deepEqual(flags(), [false, false]);
+
+    text.value = 'ab';
+    text.value = 'abc';
+    history.undo();
+    assert.equal(text.value, 'ab');
+    assert.deepEqual(flags(), [true, true]);
+    history.undo();
+    history.undo();
+    assert.equal(text.value, 'a');
+    history.redo();
+    assert.equal(text.value, 'ab');
+
+    text.value = 'abx';
+    assert.deepEqual(flags(), [true, false]);
+    history.redo();
+    assert.equal(text.value, 'abx');
+});
+
+test('withHistory() records the changes of group() as one entry', () => {
+    const shapes = createState([]);
+    const history = withHistory(shapes);
+
+    const result = history.group(() => {
+        shapes.update(list => [...list, 'circle']);
+        shapes.update(list => [...list, 'square']);
+        return 'added';
+    });
+    assert.equal(result, 'added');
+    history.undo();
+    assert.deepEqual(shapes.value, []);
+    assert.equal(history.canUndo.value, false);
+    history.redo();
+    assert.deepEqual(shapes.value, ['circle', 'square']);
+});
+
+test('withHistory() drops the oldest entries beyond the limit, and stops recording when disposed', () => {
+    const count = createState(0);
+    const history = withHistory(count, { limit: 2 });
+    count.value = 1;
+    count.value = 2;
+    count.value = 3;
+
+    history.undo();
+    history.undo();
+    assert.equal(count.value, 1);
+    assert.equal(history.canUndo.value, false);
+
+    history.dispose();
+    count.value = 5;
+    history.undo();
+    assert.equal(count.value, 5);
+});
@@ -0,0 +1,101 @@
+import { nextFrame, resetContainer } from './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h, map, mount, effect, createState, createListState } from '../src/chainui.js';
+
+test('onMount() runs once the node is in the document, and its cleanup and onUnmount() before it is removed', async (t) => {
+    const calls = [];
+    const open = createState(true);
+    const container = resetContainer();
+    const app = mount(container, h('div').when(open, () => h('p')
+        .onMount(node => {
+            calls.push(`mount ${node.isConnected}`);
+            return () => calls.push('cleanup');
+        })
+        .onUnmount(node => calls.push(`unmount ${node.isConnected}`))));
+    t.after(() => app.destroy());
+    assert.deepEqual(calls, ['mount true']);
+
+    open.value = false;
+    await nextFrame();
+    assert.deepEqual(calls, ['mount true', 'cleanup', 'unmount true']);
+});
+
+test('ref() receives the node when it is mounted and null before it is removed', async (t) => {
+    const input = createState(null);
+    const open = createState(true);
+    const container = resetContainer();
+    const app = mount(container, h('div').when(open, () => h('input').ref(input)));
+    t.after(() => app.destroy());
+    assert.equal(input.value, container.querySelector('input'));
+
+    open.value = false;
+    await nextFrame();
+    assert.equal(input.value, null);
+});
+
+test('lifecycle hooks of list items run as items are added and removed', async (t) => {
+    const calls = [];
+    const items = createListState([{ id: 1 }]);
+    const container = resetContainer();
+    const app = mount(container, h('ul').child(map(items, item => h('li')
+        .onMount(() => calls.push(`mount ${item.id}`))
+        .onUnmount(() => calls.push(`unmount ${item.id}`)))));
+    t.after(() => app.destroy());
+
+    items.push({ id: 2 });
+    items.remove(0);
+    await nextFrame();
+    assert.deepEqual(calls, ['mount 1', 'mount 2', 'unmount 1']);
+});
+
+test('destroying the runtime unmounts the tree', () => {
+    const calls = [];
+    const container = resetContainer();
+    const app = mount(container, h('div').child(h('p').onUnmount(() => calls.push('unmount'))));
+    app.destroy();
+    assert.deepEqual(calls, ['unmount']);
+});
+
+test('element effects re-run with cleanup, and are disposed when the element is removed or the runtime destroyed', async () => {
+    const calls = [];
+    const count = createState(0);
+    const open = createState(true);
+    const container = resetContainer();
+    const app = mount(container, h('div').child(
+        h('p').effect(function (node) {
+            calls.push(`effect ${count.value} ${node === this && node.tagName}`);
+            return () => calls.push(`cleanup ${count.value}`);
+        }),
+        h('section').when(open, () => h('span').watch(count, function (next, prev) {
+            calls.push(`watch ${prev}->${next} ${this.tagName}`);
+            return () => calls.push('watch cleanup');
+        }))
+    ));
+
+    count.value = 1;
+    open.value = false;
+    await nextFrame();
+    count.value = 2;
+    assert.deepEqual(calls, ['effect 0 P', 'cleanup 1', 'effect 1 P', 'watch 0->1 SPAN', 'watch cleanup', 'cleanup 2', 'effect 2 P']);
+
+    calls.length = 0;
+    app.destroy();
+    count.value = 3;
+    assert.deepEqual(calls, ['cleanup 2']);
+});
+
+test('effect() runs its cleanup before each run and when stopped', () => {
+    const calls = [];
+    const count = createState(0);
+    const stop = effect(() => {
+        const value = count.value;
+        calls.push(`run ${value}`);
+        return () => calls.push(`cleanup ${value}`);
+    });
+
+    count.value = 1;
+    stop();
+    count.value = 2;
+    assert.deepEqual(calls, ['run 0', 'cleanup 0', 'run 1', 'cleanup 1']);
+});
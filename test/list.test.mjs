@@ -0,0 +1,52 @@
+import { nextFrame, resetContainer } from './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h, map, mount, createListState } from '../src/chainui.js';
+
+const mountList = (t, items, factory) => {
+    const container = resetContainer();
+    const app = mount(container, h('ul').child(map(items, factory)));
+    t.after(() => app.destroy());
+    const list = () => container.querySelector('ul > div');
+    return { texts: () => Array.from(list().children, li => li.textContent), children: () => Array.from(list().children) };
+};
+
+test('list state patches keep items with an id keyed by it', async (t) => {
+    const items = createListState([{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+    const { texts, children } = mountList(t, items, item => h('li').child(item.text));
+    await nextFrame();
+
+    items.insert(0, { id: 3, text: 'z' });
+    items.move(2, 0);
+    await nextFrame();
+    assert.deepEqual(texts(), ['b', 'z', 'a']);
+    assert.deepEqual(children().map(li => li.dataset.key), ['2', '3', '1']);
+
+    const [b] = children();
+    items.value = [{ id: 2, text: 'b' }, { id: 1, text: 'a' }];
+    await nextFrame();
+    assert.deepEqual(texts(), ['b', 'a']);
+    assert.equal(children()[0], b);
+});
+
+test('list state patches of items without an id leave no stale keys', async (t) => {
+    const items = createListState(['a', 'b']);
+    const { texts, children } = mountList(t, items, item => h('li').child(item));
+    await nextFrame();
+
+    items.insert(0, 'z');
+    await nextFrame();
+    assert.deepEqual(texts(), ['z', 'a', 'b']);
+    assert.ok(children().every(li => !li.hasAttribute('data-key')));
+
+    const nodes = children();
+    items.value = ['z', 'a', 'b', 'c'];
+    await nextFrame();
+    assert.deepEqual(texts(), ['z', 'a', 'b', 'c']);
+    assert.deepEqual(children().slice(0, 3), nodes);
+
+    items.remove(0);
+    items.value = ['a'];
+    await nextFrame();
+    assert.deepEqual(texts(), ['a']);
+});
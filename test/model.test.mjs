@@ -0,0 +1,95 @@
+import { nextFrame, resetContainer } from './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h, mount, createState } from '../src/chainui.js';
+
+const change = (control, eventType = 'change') => control.dispatchEvent(new Event(eventType, { bubbles: true }));
+
+test('model() binds a checkbox whose type is set after it in the chain', (t) => {
+    const flag = createState(true);
+    const element = h('input').model(flag).set('type', 'checkbox');
+    assert.equal(element.toHtml().html, '<input type="checkbox" checked=""></input>');
+
+    const container = resetContainer();
+    const app = mount(container, element);
+    t.after(() => app.destroy());
+    const input = container.querySelector('input');
+    assert.equal(input.checked, true);
+    assert.equal(input.hasAttribute('value'), false);
+
+    input.checked = false;
+    change(input);
+    assert.equal(flag.value, false);
+});
+
+test('model() adds and removes the value of a checkbox bound to an array', async (t) => {
+    const topics = createState(['news']);
+    const container = resetContainer();
+    const app = mount(container, h('div').child(
+        h('input').model(topics).set('type', 'checkbox').set('value', 'news'),
+        h('input').set('type', 'checkbox').set('value', 'sports').model(topics)
+    ));
+    t.after(() => app.destroy());
+    const [news, sports] = container.querySelectorAll('input');
+    assert.deepEqual([news.checked, sports.checked], [true, false]);
+
+    sports.checked = true;
+    change(sports);
+    news.checked = false;
+    change(news);
+    assert.deepEqual(topics.value, ['sports']);
+
+    topics.value = ['news'];
+    await nextFrame();
+    assert.deepEqual([news.checked, sports.checked], [true, false]);
+});
+
+test('model() on a text input updates on input, and on change with lazy', (t) => {
+    const name = createState('Ann');
+    const lazyName = createState('');
+    const container = resetContainer();
+    const app = mount(container, h('div').child(
+        h('input').model(name, { trim: true }),
+        h('input').model(lazyName, { lazy: true })
+    ));
+    t.after(() => app.destroy());
+    const [eager, lazy] = container.querySelectorAll('input');
+    assert.equal(eager.value, 'Ann');
+
+    eager.value = ' Bob ';
+    change(eager, 'input');
+    assert.equal(name.value, 'Bob');
+    change(eager);
+    assert.equal(eager.value, 'Bob');
+
+    lazy.value = 'x';
+    change(lazy, 'input');
+    assert.equal(lazyName.value, '');
+    change(lazy);
+    assert.equal(lazyName.value, 'x');
+});
+
+test('model() on a select writes numeric option values back as numbers when the state holds numbers', (t) => {
+    const size = createState(2);
+    const sizes = createState([2]);
+    const label = createState('2');
+    const options = () => [1, 2].map(value => h('option').set('value', value).child(String(value)));
+    const container = resetContainer();
+    const app = mount(container, h('div').child(
+        h('select').model(size).child(...options()),
+        h('select').set('multiple', true).model(sizes).child(...options()),
+        h('select').model(label).child(...options())
+    ));
+    t.after(() => app.destroy());
+    const [single, multiple, text] = container.querySelectorAll('select');
+
+    single.value = '1';
+    change(single);
+    multiple.options[0].selected = true;
+    change(multiple);
+    text.value = '1';
+    change(text);
+    assert.equal(size.value, 1);
+    assert.deepEqual(sizes.value, [1, 2]);
+    assert.equal(label.value, '1');
+});
@@ -0,0 +1,75 @@
+import { resetContainer } from './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h, mount, registerOperation, OperationStream, OperationType } from '../src/chainui.js';
+
+const registerPaint = (t, hooks = {}) => {
+    const applied = [];
+    const unregister = registerOperation('TEST_PAINT', {
+        apply: (op, node, runtime) => {
+            applied.push({ color: op.color, runtime });
+            node.dataset.paint = op.color;
+        },
+        ...hooks
+    });
+    t.after(unregister);
+    return applied;
+};
+
+test('a registered operation is applied by the runtime to the node it refers to', (t) => {
+    const applied = registerPaint(t);
+    const container = resetContainer();
+    const app = mount(container, h('div').child(h('canvas').operation('TEST_PAINT', { color: 'red' })));
+    t.after(() => app.destroy());
+
+    assert.equal(container.querySelector('canvas').dataset.paint, 'red');
+    assert.equal(applied.length, 1);
+    assert.equal(applied[0].runtime, app.runtime);
+});
+
+test('a registered operation survives serialize() and encode() through its serialize and deserialize hooks', (t) => {
+    const applied = registerPaint(t, {
+        serialize: ({ type, nodeId, color }) => ({ type, nodeId, rgb: color.toUpperCase() }),
+        deserialize: ({ nodeId, rgb }) => ({ nodeId, color: rgb.toLowerCase() })
+    });
+    const element = h('canvas').operation('TEST_PAINT', { color: 'blue', onDone: () => {} });
+
+    const json = element.stream.serialize();
+    const written = JSON.parse(json).operations.find(op => op.type === 'TEST_PAINT');
+    assert.deepEqual(Object.keys(written).sort(), ['nodeId', 'rgb', 'type']);
+    assert.equal(written.rgb, 'BLUE');
+
+    for (const stream of [OperationStream.deserialize(json), OperationStream.decode(element.stream.encode())]) {
+        const container = resetContainer();
+        const app = mount(container, stream);
+        assert.equal(container.querySelector('canvas').dataset.paint, 'blue');
+        app.destroy();
+    }
+    assert.equal(applied.length, 2);
+});
+
+test('a registered operation adds its attributes and HTML to toHtml(), and has no effect there without a hook', (t) => {
+    registerPaint(t, {
+        toHtml: (op) => ({ attributes: { 'data-paint': op.color }, html: '<span>fallback</span>' })
+    });
+    assert.equal(
+        h('canvas').operation('TEST_PAINT', { color: 'green' }).toHtml().html,
+        '<canvas data-paint="green"><span>fallback</span></canvas>'
+    );
+
+    const unregister = registerOperation('TEST_FOCUS', { apply: (_, node) => node.focus() });
+    t.after(unregister);
+    assert.equal(h('button').operation('TEST_FOCUS').toHtml().html, '<button></button>');
+});
+
+test('registerOperation() rejects built-in, duplicate and invalid types, and .operation() rejects unknown ones', (t) => {
+    registerPaint(t);
+    assert.throws(() => registerOperation(OperationType.SET_ATTRIBUTE, { apply() {} }), /built-in/);
+    assert.throws(() => registerOperation('TEST_PAINT', { apply() {} }), /already registered/);
+    assert.throws(() => registerOperation('TEST_EMPTY', {}), /apply function/);
+    assert.throws(() => h('div').operation('TEST_UNKNOWN'), /Unknown operation type/);
+
+    const unregister = registerOperation('TEST_ONCE', { apply() {} });
+    unregister();
+    assert.throws(() => h('div').operation('TEST_ONCE'), /Unknown operation type/);
+});
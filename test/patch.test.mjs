@@ -0,0 +1,103 @@
+import { nextFrame, resetContainer } from './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h, map, mount, diffStreams, createState, createListState } from '../src/chainui.js';
+
+const mountPage = (t, element) => {
+    const container = resetContainer();
+    const app = mount(container, element);
+    t.after(() => app.destroy());
+    return { container, runtime: app.runtime };
+};
+
+test('diffStreams() updates only the changed attributes and text of kept nodes', () => {
+    const UserPage = (params) => h('div').set('title', params.title).set('lang', 'en').child(h('h1').child(`User ${params.id}`));
+    const oldPage = UserPage({ id: 1, title: 'One' });
+
+    const operations = diffStreams(oldPage.stream, UserPage({ id: 2, title: 'Two' }).stream);
+    assert.deepEqual(operations.map(op => [op.type, op.name ?? op.content]), [['SET_ATTRIBUTE', 'title'], ['SET_TEXT_CONTENT', 'User 2']]);
+    assert.equal(operations[0].nodeId, oldPage.nodeId);
+});
+
+test('diffStreams() removes, moves and inserts keyed children', () => {
+    const List = (keys) => h('ul').child(...keys.map(key => h('li').set('data-key', key)));
+    const oldList = List(['a', 'b', 'c']);
+
+    const operations = diffStreams(oldList.stream, List(['c', 'a', 'd']).stream);
+    assert.deepEqual(operations.map(op => op.type), ['REMOVE_CHILD', 'INSERT_BEFORE', 'CREATE_ELEMENT', 'SET_ATTRIBUTE', 'APPEND_CHILD']);
+    assert.ok(operations.every(op => op.parentId === undefined || op.parentId === oldList.nodeId));
+});
+
+test('patch() keeps matched nodes and the focused input', (t) => {
+    const Form = (params) => h('form').child(
+        h('label').child(params.label),
+        ...params.fields.map(name => h('input').set('name', name).set('data-key', name))
+    );
+    const { container, runtime } = mountPage(t, Form({ label: 'Sign in', fields: ['user', 'password'] }));
+    const form = container.querySelector('form');
+    const user = container.querySelector('[name=user]');
+    user.focus();
+    user.value = 'ann';
+    user.setSelectionRange(1, 2);
+
+    runtime.patch(Form({ label: 'Sign up', fields: ['email', 'user'] }).stream);
+    assert.equal(container.querySelector('form'), form);
+    assert.equal(container.querySelector('label').textContent, 'Sign up');
+    assert.deepEqual(Array.from(container.querySelectorAll('input'), input => input.name), ['email', 'user']);
+    assert.equal(container.querySelector('[name=user]'), user);
+    assert.equal(document.activeElement, user);
+    assert.deepEqual([user.selectionStart, user.selectionEnd], [1, 2]);
+});
+
+test('patch() renders the items of map() again when the factory changed', async (t) => {
+    const items = createListState([{ id: 1, t: 'a' }, { id: 2, t: 'b' }]);
+    const Page = (params) => h('ul').child(map(items, item => h('li').child(params.prefix + item.t)));
+    const { container, runtime } = mountPage(t, Page({ prefix: '1-' }));
+    await nextFrame();
+    assert.equal(container.textContent, '1-a1-b');
+
+    runtime.patch(Page({ prefix: '2-' }).stream);
+    assert.equal(container.textContent, '2-a2-b');
+
+    items.push({ id: 3, t: 'c' });
+    await nextFrame();
+    assert.equal(container.textContent, '2-a2-b2-c');
+});
+
+test('patch() keeps the items of map() and the content of when() bound to the same state and factory', async (t) => {
+    const items = createListState([{ id: 1 }]);
+    const open = createState(true);
+    const item = (entry) => h('li').child(String(entry.id));
+    const panel = () => h('p').child('Panel');
+    const Page = (params) => h('div').set('title', params.title).child(map(items, item)).when(open, panel);
+    const { container, runtime } = mountPage(t, Page({ title: 'a' }));
+    await nextFrame();
+    const [li, p] = [container.querySelector('li'), container.querySelector('p')];
+
+    runtime.patch(Page({ title: 'b' }).stream);
+    assert.equal(container.querySelector('li'), li);
+    assert.equal(container.querySelector('p'), p);
+
+    runtime.patch(h('div').set('title', 'c').child(map(items, item)).when(open, () => h('p').child('Other')).stream);
+    assert.equal(container.querySelector('li'), li);
+    assert.equal(container.querySelectorAll('p').length, 1);
+    assert.equal(container.querySelector('p').textContent, 'Other');
+});
+
+test('patch() does not run the lifecycle hooks of kept nodes again', () => {
+    const calls = [];
+    const Page = (params) => h('div').child(
+        h('h1').child(params.title).onMount(() => calls.push(`mount ${params.title}`)).onUnmount(() => calls.push(`unmount ${params.title}`)),
+        ...params.extra.map(text => h('p').child(text).onMount(() => calls.push(`mount ${text}`)))
+    );
+    const container = resetContainer();
+    const app = mount(container, Page({ title: 'a', extra: [] }));
+
+    app.runtime.patch(Page({ title: 'b', extra: ['p'] }).stream);
+    app.runtime.patch(Page({ title: 'c', extra: ['p'] }).stream);
+    assert.equal(container.querySelector('h1').textContent, 'c');
+    assert.deepEqual(calls, ['mount a', 'mount p']);
+
+    app.destroy();
+    assert.deepEqual(calls, ['mount a', 'mount p', 'unmount a']);
+});
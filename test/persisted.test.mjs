@@ -0,0 +1,51 @@
+import './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h, render, createPersistedState, createMemoryStorage } from '../src/chainui.js';
+
+test('createPersistedState() reports restore and write errors to onError instead of logging', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const errors = [];
+    const storage = createMemoryStorage({ theme: '{not json' });
+    storage.setItem = () => { throw new Error('quota exceeded'); };
+
+    const theme = createPersistedState('theme', 'light', { storage, onError: (error, operation) => errors.push([operation, error.name]) });
+    assert.equal(theme.value, 'light');
+    theme.value = 'dark';
+    assert.equal(theme.value, 'dark');
+
+    assert.deepEqual(errors, [['restore', 'SyntaxError'], ['persist', 'Error']]);
+    assert.equal(warn.mock.callCount(), 0);
+});
+
+test('createPersistedState() restores and writes back versioned records in localStorage', (t) => {
+    t.after(() => localStorage.clear());
+    const theme = createPersistedState('theme', 'light');
+    theme.value = 'dark';
+    assert.deepEqual(JSON.parse(localStorage.getItem('theme')), { version: 0, value: 'dark' });
+    assert.equal(createPersistedState('theme', 'light').value, 'dark');
+});
+
+test('createPersistedState() migrates values stored with another version, and discards them without migrate', () => {
+    const storage = createMemoryStorage({ settings: JSON.stringify({ version: 1, value: { size: 12 } }) });
+    const settings = createPersistedState('settings', { fontSize: 14 }, {
+        storage,
+        version: 2,
+        migrate: (old, version) => version === 1 ? { fontSize: old.size } : { fontSize: 14 }
+    });
+    assert.deepEqual(settings.value, { fontSize: 12 });
+    assert.deepEqual(JSON.parse(storage.getItem('settings')), { version: 2, value: { fontSize: 12 } });
+
+    assert.deepEqual(createPersistedState('settings', { fontSize: 16 }, { storage, version: 3 }).value, { fontSize: 16 });
+});
+
+test('createPersistedState() falls back to memory storage when window is undefined', (t) => {
+    const { window } = globalThis;
+    delete globalThis.window;
+    t.after(() => { globalThis.window = window; });
+
+    const theme = createPersistedState('theme', 'light');
+    theme.value = 'dark';
+    assert.equal(render(() => h('p').child(theme)).html, '<p>dark</p>');
+    assert.equal(localStorage.getItem('theme'), null);
+});
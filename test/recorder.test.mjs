@@ -0,0 +1,79 @@
+import { nextFrame, resetContainer } from './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h, map, mount, createState, createListState, createRecorder, replayOperations } from '../src/chainui.js';
+
+const mountRecorded = (t) => {
+    const count = createState(0);
+    const items = createListState(['a', 'b']);
+    const open = createState(true);
+    const recorder = createRecorder();
+    const container = resetContainer();
+    const app = mount(container, h('div').set('class', 'counter').child(
+        h('p').child(count.map(value => `Count: ${value}`)),
+        h('ul').child(map(items, item => h('li').child(item))),
+        h('section').when(open, () => h('em').child('open'))
+    ), { recorder });
+    t.after(() => app.destroy());
+    return { count, items, open, recorder, container };
+};
+
+test('a recorder passed to mount() records the initial render and the batched updates', async (t) => {
+    const { count, items, open, recorder, container } = mountRecorded(t);
+    await nextFrame();
+    const initialEntries = recorder.entries.length;
+    assert.ok(initialEntries > 0);
+
+    count.value = 2;
+    items.insert(0, 'z');
+    open.value = false;
+    await nextFrame();
+    const updates = recorder.entries.slice(initialEntries);
+    assert.ok(updates.length > 0);
+    assert.ok(updates.some(entry => entry.batched));
+    assert.ok(recorder.entries.every((entry, i, all) => i === 0 || entry.time >= all[i - 1].time));
+    assert.ok(recorder.entries.every(({ operation }) => typeof operation.type === 'string'));
+
+    const replayed = document.createElement('div');
+    const replay = replayOperations(recorder.export(), replayed);
+    t.after(() => replay.destroy());
+    assert.equal(replayed.innerHTML, container.innerHTML);
+    assert.match(replayed.textContent, /Count: 2/);
+    assert.equal(replayed.querySelector('em'), null);
+});
+
+test('replayOperations() stops at options.until, and rejects unknown log versions', async (t) => {
+    const { count, recorder, container } = mountRecorded(t);
+    await nextFrame();
+    const initialHtml = container.innerHTML;
+    const initialTime = recorder.entries.at(-1).time;
+    await nextFrame();
+
+    count.value = 5;
+    await nextFrame();
+    const replayed = document.createElement('div');
+    const replay = replayOperations(recorder.export(), replayed, { until: initialTime });
+    t.after(() => replay.destroy());
+    assert.equal(replayed.innerHTML, initialHtml);
+    assert.match(replayed.textContent, /Count: 0/);
+
+    assert.throws(() => replayOperations(JSON.stringify({ version: 99, entries: [] }), document.createElement('div')), /version: 99/);
+});
+
+test('recorder.stop() and clear() end the recording and empty the log', async (t) => {
+    const { count, recorder } = mountRecorded(t);
+    await nextFrame();
+    recorder.clear();
+    assert.deepEqual(recorder.entries, []);
+
+    count.value = 1;
+    await nextFrame();
+    const recorded = recorder.entries.length;
+    assert.ok(recorded > 0);
+
+    recorder.stop();
+    count.value = 2;
+    await nextFrame();
+    assert.equal(recorder.entries.length, recorded);
+    assert.deepEqual(JSON.parse(recorder.export()).entries.length, recorded);
+});
@@ -0,0 +1,66 @@
+import { nextFrame, resetContainer } from './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h, mount, createState, createResource } from '../src/chainui.js';
+
+const deferred = () => {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+};
+
+test('createResource() aborts the pending request when a newer one starts, and ignores its result', async () => {
+    const userId = createState(1);
+    const requests = [];
+    const user = createResource(userId, (id, { signal }) => {
+        const request = { id, signal, ...deferred() };
+        requests.push(request);
+        return request.promise;
+    });
+    const unsubscribe = user.data.subscribe(() => {});
+    assert.equal(user.loading.value, true);
+
+    userId.value = 2;
+    assert.deepEqual(requests.map(request => [request.id, request.signal.aborted]), [[1, true], [2, false]]);
+    requests[1].resolve({ name: 'Bob' });
+    requests[0].resolve({ name: 'Ann' });
+    await nextFrame();
+    assert.deepEqual(user.data.value, { name: 'Bob' });
+    assert.equal(user.loading.value, false);
+    assert.equal(user.error.value, null);
+    unsubscribe();
+});
+
+test('createResource() aborts its request when the runtime binding it is destroyed', () => {
+    const signals = [];
+    const user = createResource(createState(1), (_, { signal }) => {
+        signals.push(signal);
+        return deferred().promise;
+    });
+    const container = resetContainer();
+    const app = mount(container, h('div').when(user.loading, () => h('p').child('Loading...')));
+    assert.equal(container.textContent, 'Loading...');
+    assert.equal(signals.length, 1);
+
+    app.destroy();
+    assert.equal(signals[0].aborted, true);
+});
+
+test('createResource() exposes errors and does not fetch while the source is empty', async () => {
+    const query = createState(null);
+    let calls = 0;
+    const results = createResource(query, () => {
+        calls++;
+        return Promise.reject(new Error('offline'));
+    }, { initialValue: [] });
+    const unsubscribe = results.error.subscribe(() => {});
+    assert.equal(calls, 0);
+    assert.deepEqual(results.data.value, []);
+
+    query.value = 'chain';
+    await nextFrame();
+    assert.equal(calls, 1);
+    assert.equal(results.error.value.message, 'offline');
+    assert.equal(results.loading.value, false);
+    unsubscribe();
+});
@@ -0,0 +1,74 @@
+import './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h, map, render, createState, createListState, createComponent, OperationStream, OperationType } from '../src/chainui.js';
+
+test('render() streams map() and when() with inline factories, leaving their bindings out without logging', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const items = createListState([{ id: 1, text: 'a' }]);
+    const open = createState(true);
+    const result = render(() => h('div').child(
+        h('ul').child(map(items, item => h('li').child(item.text))),
+        h('div').when(open, () => h('p').child('open'))
+    ), { format: 'stream' });
+
+    const types = OperationStream.deserialize(result.stream).getOperations().map(op => op.type);
+    assert.ok(types.includes(OperationType.CREATE_ELEMENT));
+    assert.ok(!types.includes(OperationType.BIND_LIST));
+    assert.ok(!types.includes(OperationType.BIND_STATE));
+    assert.equal(warn.mock.callCount(), 0);
+});
+
+test('serialize() references registered components by name', () => {
+    const Item = createComponent('SerializeTestItem', item => h('li').child(item.text));
+    const items = createListState([{ id: 1, text: 'a' }]);
+    const stream = OperationStream.deserialize(h('ul').child(map(items, Item)).stream.serialize());
+    const bindList = stream.getOperations().find(op => op.type === OperationType.BIND_LIST);
+    assert.equal(bindList.factory, Item);
+    assert.deepEqual(bindList.state.value, [{ id: 1, text: 'a' }]);
+});
+
+test('render() streams elements with lifecycle hooks and refs, leaving the hooks out', () => {
+    const input = createState(null);
+    const result = render(() => h('form').child(h('input').ref(input), h('p').onMount(() => {}).onUnmount(() => {})), { format: 'stream' });
+
+    const operations = OperationStream.deserialize(result.stream).getOperations();
+    assert.deepEqual(operations.filter(op => op.type === OperationType.CREATE_ELEMENT).map(op => op.tagName), ['form', 'input', 'p']);
+    assert.ok(!operations.some(op => op.type === OperationType.BIND_LIFECYCLE));
+    assert.equal(OperationStream.decode(h('p').onMount(() => {}).stream.encode()).getOperations().length, 1);
+});
+
+test('serialize() leaves element effects and watchers out', () => {
+    const count = createState(0);
+    const element = h('p').effect(() => {}).watch(count, () => {}).child('text');
+
+    const operations = OperationStream.deserialize(element.stream.serialize()).getOperations();
+    assert.deepEqual(operations.map(op => op.type), [OperationType.CREATE_ELEMENT, OperationType.CREATE_TEXT_NODE, OperationType.APPEND_CHILD]);
+});
+
+test('createComponent() throws for a name that is already registered', () => {
+    const Card = createComponent('SerializeTestCard', () => h('div'));
+    assert.throws(() => createComponent('SerializeTestCard', () => h('section')), /SerializeTestCard/);
+    const stream = OperationStream.deserialize(h('div').when(createState(true), Card).stream.serialize());
+    assert.equal(stream.getOperations().find(op => op.binding?.kind === 'when').binding.trueFactory, Card);
+});
+
+test('encode() round-trips exactly through decode() and is smaller than serialize()', () => {
+    const Row = createComponent('SerializeTestRow', row => h('li').child(row.label));
+    const rows = createListState([{ id: 1, label: 'Straße ✓' }, { id: 2, label: '' }]);
+    const count = createState(-1.5);
+    const stream = h('section').set('data-meta', { nested: [true, null, 3] }).set('tabindex', -2).child(
+        h('h1').child(count),
+        h('button').on('click', () => {}).set('disabled', count.map(value => value < 0)),
+        h('ul').child(map(rows, Row)),
+        ...Array.from({ length: 20 }, (_, i) => h('p').set('class', 'note').child(`Note ${i}`))
+    ).stream;
+
+    const json = stream.serialize();
+    const bytes = stream.encode();
+    assert.ok(bytes instanceof Uint8Array);
+    const decoded = OperationStream.decode(bytes);
+    assert.equal(decoded.serialize(), json);
+    assert.deepEqual(decoded.getOperations().find(op => op.type === OperationType.BIND_LIST).state.value, rows.value);
+    assert.ok(bytes.byteLength < Buffer.byteLength(json) / 2, `${bytes.byteLength} bytes encoded, ${Buffer.byteLength(json)} serialized`);
+});
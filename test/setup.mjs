@@ -0,0 +1,35 @@
+/**
+ * @file Creates a jsdom window and exposes its globals, so that chainui.js can be imported by the tests as in a browser.
+ * Import this module before chainui.js.
+ */
+import { JSDOM } from 'jsdom';
+
+export const dom = new JSDOM('<!doctype html><html><body><div id="app"></div></body></html>', {
+    pretendToBeVisual: true,
+    url: 'http://localhost/'
+});
+
+const globalNames = [
+    'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+    'Node', 'Text', 'HTMLElement', 'HTMLInputElement', 'HTMLTextAreaElement', 'HTMLSelectElement', 'HTMLButtonElement',
+    'Event', 'CustomEvent', 'MouseEvent', 'KeyboardEvent', 'FocusEvent', 'InputEvent', 'CompositionEvent'
+];
+for (const name of globalNames) {
+    Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+}
+globalThis.requestAnimationFrame = dom.window.requestAnimationFrame.bind(dom.window);
+globalThis.cancelAnimationFrame = dom.window.cancelAnimationFrame.bind(dom.window);
+
+/**
+ * @returns {Promise<void>} Resolves after pending animation frames, where runtimes apply batched updates.
+ */
+export const nextFrame = () => new Promise(resolve => setTimeout(resolve, 40));
+
+/**
+ * @param {string} [id='app'] - The ID of the mount container.
+ * @returns {HTMLElement} An empty mount container, replacing the previous one.
+ */
+export const resetContainer = (id = 'app') => {
+    document.body.innerHTML = `<div id="${id}"></div>`;
+    return document.getElementById(id);
+};
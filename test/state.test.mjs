@@ -0,0 +1,150 @@
+import { nextFrame, resetContainer } from './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h, mount, batch, computed, createState, shallowEqual } from '../src/chainui.js';
+
+test('computed() tracks every state read, including conditional reads', () => {
+    const useTax = createState(false);
+    const price = createState(10);
+    const taxRate = createState(0.5);
+    const total = computed(() => useTax.value ? price.value * (1 + taxRate.value) : price.value);
+    const values = [];
+    total.subscribe(value => values.push(value));
+
+    taxRate.value = 1;
+    useTax.value = true;
+    taxRate.value = 0;
+    price.value = 20;
+    assert.deepEqual(values, [10, 20, 10, 20]);
+    assert.throws(() => { total.value = 1; });
+});
+
+test('computed() recomputes lazily, once per change of its dependencies', () => {
+    const a = createState(1);
+    const b = createState(2);
+    let runs = 0;
+    const sum = computed(() => {
+        runs++;
+        return a.value + b.value;
+    });
+    assert.equal(runs, 0);
+
+    assert.equal(sum.value, 3);
+    assert.equal(sum.value, 3);
+    assert.equal(runs, 1);
+
+    a.value = 5;
+    b.value = 6;
+    assert.equal(runs, 1);
+    assert.equal(sum.value, 11);
+    assert.equal(runs, 2);
+});
+
+test('batch() notifies each changed state once, after the outermost batch, with a consistent snapshot', () => {
+    const firstName = createState('Ada');
+    const lastName = createState('Byron');
+    const unchanged = createState(0);
+    const fullName = computed(() => `${firstName.value} ${lastName.value}`);
+    const names = [];
+    const calls = [];
+    fullName.subscribe(name => names.push(name));
+    firstName.subscribe(name => calls.push(name));
+    unchanged.subscribe(value => calls.push(value));
+
+    const result = batch(() => {
+        firstName.value = 'Ann';
+        batch(() => {
+            firstName.value = 'Augusta';
+            lastName.value = 'Lovelace';
+        });
+        unchanged.value = 1;
+        unchanged.value = 0;
+        assert.equal(firstName.value, 'Augusta');
+        assert.deepEqual(names, ['Ada Byron']);
+        return 'done';
+    });
+    assert.equal(result, 'done');
+    assert.deepEqual(names, ['Ada Byron', 'Augusta Lovelace']);
+    assert.deepEqual(calls, ['Ada', 0, 'Augusta']);
+});
+
+test('batch() delivers its notifications even if the function throws', () => {
+    const count = createState(0);
+    const values = [];
+    count.subscribe(value => values.push(value));
+
+    assert.throws(() => batch(() => {
+        count.value = 1;
+        throw new Error('failed');
+    }), /failed/);
+    assert.deepEqual(values, [0, 1]);
+});
+
+test('state.map() subscribes to its source only while it has subscribers', () => {
+    const count = createState(1);
+    const mapped = [];
+    const doubled = count.map(value => {
+        mapped.push(value);
+        return value * 2;
+    });
+    count.value = 2;
+    assert.deepEqual(mapped, []);
+
+    const values = [];
+    const unsubscribe = doubled.subscribe(value => values.push(value));
+    count.value = 3;
+    unsubscribe();
+    count.value = 4;
+    assert.deepEqual(values, [4, 6]);
+    assert.deepEqual(mapped, [2, 3]);
+    assert.equal(doubled.value, 8);
+});
+
+test('state.map() bound in a runtime releases its source when the node is cleaned up', async (t) => {
+    const count = createState(0);
+    const open = createState(true);
+    let runs = 0;
+    const container = resetContainer();
+    const app = mount(container, h('div').when(open, () => h('p').child(count.map(value => {
+        runs++;
+        return `Count: ${value}`;
+    }))));
+    t.after(() => app.destroy());
+    count.value = 1;
+    await nextFrame();
+    assert.equal(container.textContent, 'Count: 1');
+
+    open.value = false;
+    await nextFrame();
+    const before = runs;
+    count.value = 2;
+    assert.equal(runs, before);
+});
+
+test('the equals option skips equal assignments and recomputed values', () => {
+    const filters = createState({ tag: 'js', page: 1 }, { equals: shallowEqual });
+    const items = createState([1, 2, 3, 4]);
+    const evens = items.map(list => list.filter(n => n % 2 === 0), { equals: shallowEqual });
+    const calls = [];
+    filters.subscribe(value => calls.push(['filters', value.page]));
+    evens.subscribe(value => calls.push(['evens', value.length]));
+    const [initialFilters, initialEvens] = [filters.value, evens.value];
+
+    filters.value = { tag: 'js', page: 1 };
+    items.value = [1, 2, 3, 4, 5];
+    assert.equal(filters.value, initialFilters);
+    assert.equal(evens.value, initialEvens);
+    filters.value = { tag: 'js', page: 2 };
+    items.value = [2];
+    assert.deepEqual(calls, [['filters', 1], ['evens', 2], ['filters', 2], ['evens', 1]]);
+});
+
+test('shallowEqual() compares arrays and plain objects one level deep', () => {
+    const shared = { id: 1 };
+    assert.equal(shallowEqual([1, shared], [1, shared]), true);
+    assert.equal(shallowEqual({ a: 1, b: shared }, { b: shared, a: 1 }), true);
+    assert.equal(shallowEqual([{ id: 1 }], [{ id: 1 }]), false);
+    assert.equal(shallowEqual({ a: 1 }, { a: 1, b: undefined }), false);
+    assert.equal(shallowEqual([1, 2], [1, 2, 3]), false);
+    assert.equal(shallowEqual(NaN, NaN), true);
+});
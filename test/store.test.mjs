@@ -0,0 +1,70 @@
+import './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore, watch } from '../src/chainui.js';
+
+test('select() returns a state that reads and writes the path', () => {
+    const store = createStore({ user: { name: 'Ann' } });
+    const name = store.select('user.name');
+    assert.equal(name.value, 'Ann');
+    name.value = 'Bob';
+    assert.deepEqual(store.get(), { user: { name: 'Bob' } });
+});
+
+test('select() does not confuse dotted keys with nested paths', () => {
+    const store = createStore({ 'a.b': 1, a: { b: 2 } });
+    const dotted = store.select(['a.b']);
+    const nested = store.select('a.b');
+    const stopDotted = dotted.subscribe(() => {});
+    const stopNested = nested.subscribe(() => {});
+    assert.notEqual(dotted, nested);
+    assert.equal(store.select(['a.b']).value, 1);
+    assert.equal(store.select('a.b').value, 2);
+    stopDotted();
+    stopNested();
+});
+
+test('select() caches a path only while it has subscribers', () => {
+    const store = createStore({ count: 0 });
+    const count = store.select('count');
+    const unsubscribe = count.subscribe(() => {});
+    assert.equal(store.select('count'), count);
+    unsubscribe();
+    assert.notEqual(store.select('count'), count);
+});
+
+test('actions dispatch to reducers and run through middleware', () => {
+    const seen = [];
+    const store = createStore({ n: 0 }, {
+        reducers: { add: (state, amount) => ({ ...state, n: state.n + amount }) },
+        middleware: [() => next => action => { seen.push(action.type); return next(action); }]
+    });
+    store.actions.add(2);
+    store.dispatch({ type: 'add', payload: 3 });
+    assert.equal(store.get('n'), 5);
+    assert.deepEqual(seen, ['add', 'add']);
+});
+
+test('watchers of the new state may dispatch', () => {
+    const store = createStore({ n: 0, log: 0 }, {
+        reducers: {
+            increment: state => ({ ...state, n: state.n + 1 }),
+            log: state => ({ ...state, log: state.log + 1 })
+        }
+    });
+    const stop = watch(store.select('n'), () => store.actions.log());
+    store.actions.increment();
+    assert.deepEqual(store.get(), { n: 1, log: 1 });
+    stop();
+});
+
+test('reducers may not dispatch', () => {
+    let store;
+    store = createStore({ n: 0 }, {
+        reducers: {
+            nested: state => { store.actions.other(); return state; },
+            other: state => state
+        }
+    });
+    assert.throws(() => store.actions.nested(), /Reducers may not dispatch actions/);
+});
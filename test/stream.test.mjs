@@ -0,0 +1,23 @@
+import './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h, OperationType } from '../src/chainui.js';
+
+test('operations added to a child after it is attached appear in the parent stream', () => {
+    const child = h('span');
+    const parent = h('div').child(child);
+    child.set('title', 'late');
+
+    const operations = parent.stream.getOperations();
+    const late = operations.findIndex(op => op.type === OperationType.SET_ATTRIBUTE && op.nodeId === child.nodeId);
+    const append = operations.findIndex(op => op.type === OperationType.APPEND_CHILD && op.childId === child.nodeId);
+    assert.ok(late >= 0 && late < append);
+    assert.equal(parent.toHtml().html.includes('title="late"'), true);
+});
+
+test('an element cannot become a child of its own descendant', () => {
+    const child = h('span');
+    const parent = h('div').child(child);
+    child.child(parent);
+    assert.throws(() => parent.stream.getOperations(), /cannot be a child of itself/);
+});
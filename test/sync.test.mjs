@@ -0,0 +1,77 @@
+import './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { batch, createState, syncState, createMemoryTransport } from '../src/chainui.js';
+
+const recordingTransport = (channelName, sent) => {
+    const transport = createMemoryTransport(channelName);
+    const postMessage = transport.postMessage;
+    transport.postMessage = (message) => {
+        sent.push(message);
+        postMessage.call(transport, message);
+    };
+    return transport;
+};
+
+test('syncState() applies changes in the other tabs without echoing them back', (t) => {
+    const sent = [];
+    const tabA = createState(0);
+    const tabB = createState(0);
+    const stops = [
+        syncState(tabA, 'sync-echo', { transport: recordingTransport('sync-echo', sent) }),
+        syncState(tabB, 'sync-echo', { transport: recordingTransport('sync-echo', sent) })
+    ];
+    t.after(() => stops.forEach(stop => stop()));
+    const updates = () => sent.filter(message => message.type === 'update');
+
+    tabA.value = 1;
+    assert.equal(tabB.value, 1);
+    batch(() => {
+        tabB.value = 2;
+        tabB.value = 3;
+    });
+    assert.equal(tabA.value, 3);
+    assert.deepEqual(updates().map(message => message.value), [1, 3]);
+});
+
+test('syncState() keeps the value of the last writer', (t) => {
+    const sent = [];
+    let deliver;
+    const cart = createState('local');
+    const stop = syncState(cart, 'sync-lww', {
+        transport: {
+            postMessage: (message) => sent.push(message),
+            subscribe: (listener) => {
+                deliver = listener;
+                return () => {};
+            }
+        }
+    });
+    t.after(stop);
+    const future = Date.now() + 60000;
+
+    deliver({ type: 'update', channelName: 'sync-lww', senderId: 'b', timestamp: future, value: 'newer' });
+    deliver({ type: 'update', channelName: 'sync-lww', senderId: 'c', timestamp: future - 1, value: 'older' });
+    deliver({ type: 'update', channelName: 'sync-lww', senderId: 'a', timestamp: future, value: 'tie' });
+    assert.equal(cart.value, 'newer');
+    assert.equal(sent.filter(message => message.type === 'update').length, 0);
+
+    cart.value = 'mine';
+    const [update] = sent.filter(message => message.type === 'update');
+    assert.equal(update.value, 'mine');
+    assert.ok(update.timestamp > future);
+});
+
+test('syncState() lets a tab opened later catch up with the changed value', (t) => {
+    const tabA = createState('empty');
+    const stopA = syncState(tabA, 'sync-late', { transport: createMemoryTransport('sync-late') });
+    tabA.value = 'filled';
+
+    const tabB = createState('empty');
+    const stopB = syncState(tabB, 'sync-late', { transport: createMemoryTransport('sync-late') });
+    t.after(() => {
+        stopA();
+        stopB();
+    });
+    assert.equal(tabB.value, 'filled');
+});
@@ -0,0 +1,86 @@
+import { resetContainer } from './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker } from 'node:worker_threads';
+import { h, map, createState, createListState, createPortTransport, mountWorker, WorkerRuntime } from '../src/chainui.js';
+
+const createRuntime = () => new WorkerRuntime({ postMessage() {}, subscribe: () => () => {} });
+
+test('WorkerRuntime applies list patches to its node tree', () => {
+    const runtime = createRuntime();
+    const items = createListState([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    const list = map(items, item => h('li').child(String(item.id)));
+    runtime.render(h('ul').child(list));
+    const keys = () => runtime.nodes.get(list.nodeId).children.map(id => runtime.nodes.get(id).key);
+
+    items.insert(1, { id: 4 });
+    assert.deepEqual(keys(), ['1', '4', '2', '3']);
+    items.move(0, 3);
+    assert.deepEqual(keys(), ['4', '2', '3', '1']);
+    items.remove(1, 2);
+    assert.deepEqual(keys(), ['4', '1']);
+    items.value = [{ id: 1 }, { id: 5 }];
+    assert.deepEqual(keys(), ['1', '5']);
+});
+
+test('WorkerRuntime switches when() content and cleans up the previous content', () => {
+    const runtime = createRuntime();
+    const open = createState(true);
+    const host = h('div').when(open, () => h('p').child('open'), () => h('span').child('closed'));
+    runtime.render(host);
+    const [placeholderId] = runtime.nodes.get(host.nodeId).children;
+    const content = () => runtime.nodes.get(placeholderId).children;
+
+    const [openId] = content();
+    assert.equal(runtime.whenChildren.get(placeholderId), openId);
+    open.value = false;
+    assert.equal(content().length, 1);
+    assert.notEqual(content()[0], openId);
+    assert.equal(runtime.nodes.has(openId), false);
+    assert.equal(runtime.whenChildren.get(placeholderId), content()[0]);
+});
+
+test('WorkerRuntime warns once per unsupported operation type', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const runtime = createRuntime();
+    const items = createListState([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    runtime.render(h('ul').child(map(items, () => h('li').onMount(() => {}).effect(() => {}))));
+    items.push({ id: 4 });
+    assert.equal(warn.mock.callCount(), 2);
+});
+
+const waitFor = async (condition, timeout = 5000) => {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting for the worker.');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+test('mountWorker() renders the batches of a worker thread and forwards events to it by action ID', async (t) => {
+    const worker = new Worker(new URL('./fixtures/counter.worker.mjs', import.meta.url));
+    const transport = createPortTransport(worker);
+    const received = [];
+    const sent = [];
+    transport.subscribe(message => received.push(message));
+    const postMessage = transport.postMessage;
+    transport.postMessage = (message) => {
+        sent.push(message);
+        postMessage(message);
+    };
+    const container = resetContainer();
+    const app = mountWorker(container, transport);
+    t.after(() => {
+        app.destroy();
+        return worker.terminate();
+    });
+
+    await waitFor(() => container.querySelector('button'));
+    assert.equal(container.textContent, 'Count: 0');
+    const listener = received.flatMap(message => message.operations ?? []).find(op => op.type === 'ADD_EVENT_LISTENER');
+
+    container.querySelector('button').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    await waitFor(() => container.textContent === 'Count: 1');
+    const events = sent.filter(message => message.type === 'event');
+    assert.deepEqual(events.map(message => [message.actionId, message.event.type]), [[listener.actionId, 'click']]);
+});